@@ -1,11 +1,89 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { format } from 'date-fns';
 import { useAuth } from './contexts/AuthContext';
 import Login from './components/Login';
 import StarsBackground from './components/StarsBackground';
 import MLCommitReminder from './components/MLCommitReminder';
-import { withErrorHandling, getFriendlyErrorMessage } from './utils/errorHandler';
+import FolderTree from './components/FolderTree';
+import ConflictResolver from './components/ConflictResolver';
+import HistoryPanel from './components/HistoryPanel';
+import TagCloud from './components/TagCloud';
+import RepoSettings from './components/RepoSettings';
+import CreateRepoWizard from './components/CreateRepoWizard';
+import RepoPicker from './components/RepoPicker';
+import BranchBar from './components/BranchBar';
+import AttachmentsManager from './components/AttachmentsManager';
+import PendingChanges from './components/PendingChanges';
+import DraftsPanel from './components/DraftsPanel';
+import TrashPanel from './components/TrashPanel';
+import BulkActionsBar from './components/BulkActionsBar';
+import RenameNoteDialog from './components/RenameNoteDialog';
+import LinkSuggestions from './components/LinkSuggestions';
+import BacklinksPanel from './components/BacklinksPanel';
+import MarkdownPreview from './components/MarkdownPreview';
+import EditorToolbar from './components/EditorToolbar';
+import TasksPanel from './components/TasksPanel';
+import TemplatePicker from './components/TemplatePicker';
+import HighlightedText from './components/HighlightedText';
+import { withErrorHandling, getFriendlyErrorMessage, isConflictError, isNetworkError } from './utils/errorHandler';
+import { getBaseName, getParentFolder, isInFolder, joinPath, uniquePath, FOLDER_PLACEHOLDER } from './utils/noteTree';
+import { createNoteStore, LOCAL_REPOSITORY } from './stores';
+import { buildNote, buildPlaceholderNote, compareByCreated, compareByUpdated, explicitTitle, getCustomFields, parseNoteDate, withSaveMetadata } from './utils/noteMeta';
+import { parseFrontMatter, stringifyFrontMatter } from './utils/frontMatter';
+import { addTagToContent, countTags, matchesTags, removeTagFromContent, renameTagInContent } from './utils/tags';
+import {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  buildNotePath,
+  dailyNotePath,
+  filterNoteFolders,
+  isNoteFile,
+  loadRepoConfig,
+  resolveNoteFolder,
+  serializeRepoConfig
+} from './utils/repoConfig';
+import { buildSeedChanges } from './utils/repoSetup';
+import { getBranchSettings, loadAllBranchSettings, saveAllBranchSettings } from './utils/branchSettings';
+import { cacheWrittenContents, getCachedContents, loadContents } from './utils/contentCache';
+import { getRepoDrafts, loadDrafts, moveDrafts, newDraftId, noteDraftId, saveDrafts } from './utils/drafts';
+import {
+  buildBacklinkIndex,
+  buildMoveChanges,
+  createWikiResolver,
+  findOpenWikiLink,
+  parseWikiLinks,
+  suggestWikiLinks,
+  wikiLinkAt
+} from './utils/links';
+import { findExpiredTrash, listTrash, trashPathFor } from './utils/trash';
+import {
+  applyQueuedWrites,
+  applyWrite,
+  completeEntry,
+  enqueueWrite,
+  getQueueKey,
+  getWrittenShas,
+  loadAllQueues,
+  markConflict,
+  saveAllQueues
+} from './utils/writeQueue';
+import {
+  MAX_ATTACHMENT_SIZE,
+  attachmentMarkdown,
+  buildAttachmentPath,
+  getLinkedPaths,
+  readFileAsBase64,
+  resolveLinkTarget
+} from './utils/attachments';
+import { markdownExcerpt, markdownText } from './utils/markdown';
+import { FORMAT_ACTIONS, continueList, getShortcutAction, indentListItems } from './utils/editorCommands';
+import { collectTasks, setTaskDone } from './utils/tasks';
+import { applyTemplate, listTemplates, renderTemplate, templatePathFor, templateVariables } from './utils/templates';
+import { buildSnippet, createSearchIndex, hasSearchText, highlightText, isEmptyQuery, parseSearchQuery } from './utils/search';
 import './App.css';
 
+const QUEUED_MESSAGE = 'Saved offline. It will be committed once GitHub can be reached.';
+
 const ThemeToggle = ({ theme, setTheme }) => {
   return (
     <button 
@@ -19,7 +97,7 @@ const ThemeToggle = ({ theme, setTheme }) => {
 };
 
 const App = () => {
-  const { user, octokit, logout, isAuthenticated, loading, loginWithOAuthCode } = useAuth();
+  const { user, octokit, logout, isAuthenticated, loading, loginWithOAuthCode, storageMode } = useAuth();
   const [notes, setNotes] = useState('');
   const [selectedRepo, setSelectedRepo] = useState(null);
   const [repositories, setRepositories] = useState([]);
@@ -28,16 +106,65 @@ const App = () => {
   const [message, setMessage] = useState({ text: '', type: '' });
   const [savedNotes, setSavedNotes] = useState([]);
   const [activeNote, setActiveNote] = useState(null);
+  const [folders, setFolders] = useState([]);
+  const [selectedFolder, setSelectedFolder] = useState('');
+  const [importProgress, setImportProgress] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [historyNotePath, setHistoryNotePath] = useState(null);
+  const [repoConfig, setRepoConfig] = useState({ config: DEFAULT_CONFIG, sha: null });
+  const [showSettings, setShowSettings] = useState(false);
+  const [assetFiles, setAssetFiles] = useState([]);
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [showAttachments, setShowAttachments] = useState(false);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const editorRef = useRef(null);
+  const savedNotesRef = useRef(savedNotes);
+  const loadingContentsRef = useRef(new Map());
   const [searchTerm, setSearchTerm] = useState('');
   const [filters, setFilters] = useState({
     category: 'all',
-    sortBy: 'newest'
+    tags: [],
+    tagMode: 'and',
+    // Best match while searching, newest first otherwise
+    sortBy: 'relevance'
   });
+  const [searchIndex] = useState(createSearchIndex);
   const [theme, setTheme] = useState(() => {
     const savedTheme = localStorage.getItem('kiara-theme');
     return savedTheme || (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
   });
-  const [, setShowRepoSelector] = useState(false);
+  const [branchSettings, setBranchSettings] = useState(loadAllBranchSettings);
+  const [branches, setBranches] = useState([]);
+  const [pullRequest, setPullRequest] = useState(null);
+  const [showCreateRepo, setShowCreateRepo] = useState(false);
+  const [createRepoStatus, setCreateRepoStatus] = useState('');
+  const [writeQueues, setWriteQueues] = useState(loadAllQueues);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const writeQueuesRef = useRef(writeQueues);
+  const syncingRef = useRef(false);
+  const replayingIdRef = useRef(null);
+  const replayRef = useRef(null);
+  const [drafts, setDrafts] = useState(loadDrafts);
+  const [newDraftKey, setNewDraftKey] = useState(null);
+  const [showDrafts, setShowDrafts] = useState(false);
+  const [trashFiles, setTrashFiles] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashContents, setTrashContents] = useState(() => new Map());
+  const [showTasks, setShowTasks] = useState(false);
+  const [showBacklinks, setShowBacklinks] = useState(false);
+  const [templateFiles, setTemplateFiles] = useState([]);
+  const [templateContents, setTemplateContents] = useState(() => new Map());
+  const [templatePicker, setTemplatePicker] = useState(null);
+  const purgedStoresRef = useRef(new WeakSet());
+  const [selectedPaths, setSelectedPaths] = useState([]);
+  const selectionAnchorRef = useRef(null);
+  const [renamingNote, setRenamingNote] = useState(null);
+  const [linkQuery, setLinkQuery] = useState(null);
+  const [linkSuggestionIndex, setLinkSuggestionIndex] = useState(0);
+  const [editorMode, setEditorMode] = useState(() => localStorage.getItem('kiara-editor-mode') || 'edit');
+  const previewRef = useRef(null);
+  const syncedScrollRef = useRef(null);
 
   // Apply theme to document
   useEffect(() => {
@@ -45,6 +172,95 @@ const App = () => {
     localStorage.setItem('kiara-theme', theme);
   }, [theme]);
 
+  useEffect(() => {
+    localStorage.setItem('kiara-editor-mode', editorMode);
+  }, [editorMode]);
+
+  // Branch preferences for the selected repository
+  const repoBranchSettings = React.useMemo(() => {
+    if (!selectedRepo || selectedRepo.isLocal) return null;
+    return getBranchSettings(branchSettings, selectedRepo, user?.login);
+  }, [branchSettings, selectedRepo, user]);
+
+  // Storage backend for the selected repository
+  const noteStore = React.useMemo(() => {
+    if (!selectedRepo) return null;
+    if (selectedRepo.isLocal) {
+      return createNoteStore({ backend: process.env.REACT_APP_LOCAL_NOTE_STORE || 'local' });
+    }
+    if (!octokit || !user || !repoBranchSettings) return null;
+    return createNoteStore({
+      backend: repoBranchSettings.prMode ? 'github-pr' : 'github',
+      octokit,
+      owner: selectedRepo.owner.login,
+      repo: selectedRepo.name,
+      branch: repoBranchSettings.branch,
+      workBranch: repoBranchSettings.workBranch,
+      onPullRequestChange: setPullRequest
+    });
+  }, [selectedRepo, octokit, user, repoBranchSettings]);
+
+  // Writes waiting for GitHub, per repository and branch; the browser's own notes never need one
+  const writeQueueKey = selectedRepo && repoBranchSettings ? getQueueKey(selectedRepo, repoBranchSettings) : null;
+  const queuedWrites = React.useMemo(() => (writeQueueKey && writeQueues[writeQueueKey]) || [], [writeQueues, writeQueueKey]);
+
+  // Persist the queue before showing it, so a write is never reported as kept when it was not
+  const updateWriteQueue = useCallback((update) => {
+    if (!writeQueueKey) return;
+    const { [writeQueueKey]: entries = [], ...others } = writeQueuesRef.current;
+    const nextEntries = update(entries);
+    const next = nextEntries.length > 0 ? { ...others, [writeQueueKey]: nextEntries } : others;
+    saveAllQueues(next);
+    writeQueuesRef.current = next;
+    setWriteQueues(next);
+  }, [writeQueueKey]);
+
+  // Draft of whatever is in the editor: one per note, and one per new note once something is typed
+  const editorDraftId = activeNote && selectedRepo ? noteDraftId(selectedRepo.full_name, activeNote.path) : newDraftKey;
+  const repoDrafts = React.useMemo(() => (selectedRepo ? getRepoDrafts(drafts, selectedRepo.full_name) : []), [drafts, selectedRepo]);
+
+  const updateDrafts = useCallback((update) => {
+    setDrafts(prev => {
+      const next = update(prev);
+      if (next !== prev) saveDrafts(next);
+      return next;
+    });
+  }, []);
+
+  const discardDraft = useCallback((id) => {
+    updateDrafts(prev => {
+      if (!id || !prev[id]) return prev;
+      const { [id]: discarded, ...rest } = prev;
+      return rest;
+    });
+  }, [updateDrafts]);
+
+  // Empty the editor; its draft, if any, stays in the drafts panel
+  const closeEditor = useCallback(() => {
+    setNotes('');
+    setActiveNote(null);
+    setNewDraftKey(null);
+  }, []);
+
+  // The editor belongs to one repository, so it starts empty whenever the repository changes
+  const selectRepository = useCallback((repo) => {
+    setSelectedRepo(repo);
+    setSelectedPaths([]);
+    closeEditor();
+  }, [closeEditor]);
+
+  const updateBranchSettings = useCallback((changes) => {
+    if (!selectedRepo) return;
+    setBranchSettings(prev => {
+      const next = {
+        ...prev,
+        [selectedRepo.full_name]: { ...getBranchSettings(prev, selectedRepo, user?.login), ...changes }
+      };
+      saveAllBranchSettings(next);
+      return next;
+    });
+  }, [selectedRepo, user]);
+
   // Show message helper
   const showMessage = (text, type = 'success') => {
     setMessage({ text, type });
@@ -57,8 +273,10 @@ const App = () => {
 
     setIsLoading(true);
     try {
-      const { data } = await withErrorHandling(
-        async () => await octokit.rest.repos.listForAuthenticatedUser({
+      // Every page, including organization and collaborator repositories
+      const data = await withErrorHandling(
+        async () => await octokit.paginate(octokit.rest.repos.listForAuthenticatedUser, {
+          affiliation: 'owner,collaborator,organization_member',
           sort: 'updated',
           direction: 'desc',
           per_page: 100
@@ -80,377 +298,1672 @@ const App = () => {
     }
   }, [octokit, showMessage]);
 
+  // Create a private notes repository, seed it and switch to it
+  const createNotesRepository = useCallback(async ({ name, description, isPrivate, config }) => {
+    if (!octokit) return false;
+
+    let repo;
+    setCreateRepoStatus('Creating repository...');
+    try {
+      const { data } = await withErrorHandling(
+        async () => await octokit.rest.repos.createForAuthenticatedUser({
+          name,
+          description,
+          private: isPrivate,
+          // An initial commit gives the seed commit a branch to build on
+          auto_init: true
+        }),
+        {
+          operationName: 'createRepository',
+          maxRetries: 0
+        }
+      );
+      repo = data;
+    } catch (error) {
+      setCreateRepoStatus('');
+      const friendlyMessage = error.status === 422
+        ? `A repository named "${name}" already exists on your account`
+        : getFriendlyErrorMessage(error);
+      showMessage(friendlyMessage, 'error');
+      console.error('Error creating repository:', error);
+      return false;
+    }
+
+    setCreateRepoStatus('Adding README, settings and a welcome note...');
+    const store = createNoteStore({
+      backend: 'github',
+      octokit,
+      owner: repo.owner.login,
+      repo: repo.name,
+      branch: repo.default_branch
+    });
+
+    try {
+      // The branch from auto_init can take a moment to appear
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await store.commitChanges(buildSeedChanges(repo.name, config), 'Set up Kiara Note');
+          break;
+        } catch (error) {
+          if (attempt >= 3 || (error.status !== 404 && error.status !== 409)) throw error;
+          await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+        }
+      }
+      showMessage(`Created ${repo.full_name}`);
+    } catch (error) {
+      showMessage(`Created ${repo.full_name}, but adding the starter files failed. ${getFriendlyErrorMessage(error)}`, 'error');
+      console.error('Error seeding repository:', error);
+    } finally {
+      setCreateRepoStatus('');
+    }
+
+    setRepositories(prev => [repo, ...prev.filter(r => r.id !== repo.id)]);
+    selectRepository(repo);
+    return true;
+  }, [octokit, showMessage, selectRepository]);
+
+  // Fill in note contents by blob sha, sharing downloads already in flight; resolves to a Map of sha -> content
+  const loadNoteContents = useCallback(async (notesToLoad) => {
+    if (!noteStore || notesToLoad.length === 0) return new Map();
+
+    const inFlight = loadingContentsRef.current;
+    const fresh = notesToLoad.filter(note => !inFlight.has(note.sha));
+    if (fresh.length > 0) {
+      const batch = loadContents(noteStore, fresh);
+      fresh.forEach(note => inFlight.set(note.sha, batch.then(contents => contents.get(note.sha))));
+      batch
+        .then(contents => {
+          // Keep the same array when nothing loaded so failed downloads do not trigger endless retries
+          setSavedNotes(prev => (prev.some(note => !note.isLoaded && contents.has(note.sha))
+            ? prev.map(note => (!note.isLoaded && contents.has(note.sha) ? buildNote(note, contents.get(note.sha)) : note))
+            : prev));
+        })
+        .finally(() => fresh.forEach(note => inFlight.delete(note.sha)));
+    }
+
+    const shas = notesToLoad.map(note => note.sha);
+    const contents = await Promise.all(shas.map(sha => inFlight.get(sha)));
+    return new Map(shas.map((sha, index) => [sha, contents[index]]).filter(([, content]) => content !== undefined));
+  }, [noteStore]);
+
+  // The given notes with their contents; notes that could not be downloaded are left out
+  const withContents = useCallback(async (notesToLoad) => {
+    const contents = await loadNoteContents(notesToLoad.filter(note => !note.isLoaded));
+    return notesToLoad
+      .map(note => (note.isLoaded || !contents.has(note.sha) ? note : buildNote(note, contents.get(note.sha))))
+      .filter(note => note.isLoaded);
+  }, [loadNoteContents]);
+
+  // Every note with its content, for features that look inside all of them
+  const loadAllNotes = useCallback(() => withContents(savedNotesRef.current), [withContents]);
+
   // Fetch existing notes from selected repository
   const fetchNotes = useCallback(async () => {
-    if (!octokit || !selectedRepo || !user) return;
+    if (!noteStore) return;
 
     setIsLoading(true);
     try {
-      const { data } = await octokit.rest.repos.getContent({
-        owner: user.login,
-        repo: selectedRepo.name,
-        path: ''
-      });
+      const { files, folders: repoFolders } = await noteStore.list();
 
-      const gitnotes = data.filter(item => 
-        item.type === 'file' && item.name.startsWith('gitnote-') && item.name.endsWith('.md')
-      );
+      // The repository's own settings decide where notes live and how they are named
+      let loadedConfig = { config: DEFAULT_CONFIG, sha: null };
+      try {
+        loadedConfig = await loadRepoConfig(noteStore, files);
+      } catch (error) {
+        // Keep the sha so fixing the file in the settings dialog updates it in place
+        const configFile = files.find(file => file.path === CONFIG_PATH);
+        loadedConfig = { config: DEFAULT_CONFIG, sha: configFile?.sha || null, error: error.message };
+        console.error('Error loading repository config:', error);
+      }
+      setRepoConfig(loadedConfig);
+      setFolders(filterNoteFolders(repoFolders, loadedConfig.config));
+      setAssetFiles(files.filter(file => isInFolder(file.path, loadedConfig.config.assets)));
 
-      const notesData = await Promise.all(
-        gitnotes.map(async (file) => {
-          try {
-            const { data: content } = await octokit.rest.repos.getContent({
-              owner: user.login,
-              repo: selectedRepo.name,
-              path: file.path
-            });
-            return {
-              name: file.name,
-              path: file.path,
-              content: atob(content.content),
-              sha: content.sha,
-              size: file.size
-            };
-          } catch (error) {
-            return null;
-          }
-        })
-      );
+      // Notes past the trash retention period are purged once per visit to a repository. Not in
+      // pull request mode, where the purge would open a pull request nobody asked for.
+      let trash = listTrash(files);
+      const expired = findExpiredTrash(trash, loadedConfig.config.trashRetentionDays);
+      if (expired.length > 0 && navigator.onLine && !repoBranchSettings?.prMode && !purgedStoresRef.current.has(noteStore)) {
+        purgedStoresRef.current.add(noteStore);
+        try {
+          await noteStore.commitChanges(
+            expired.map(entry => ({ path: entry.path, delete: true })),
+            `Purge ${expired.length} GitNote${expired.length === 1 ? '' : 's'} deleted more than ${loadedConfig.config.trashRetentionDays} days ago`
+          );
+          trash = trash.filter(entry => !expired.includes(entry));
+        } catch (error) {
+          console.error('Error purging trash:', error);
+        }
+      }
+      setTrashFiles(trash);
+      setTemplateFiles(listTemplates(files));
+
+      const gitnotes = files.filter(file => isNoteFile(file.path, loadedConfig.config));
+
+      // The listing carries blob shas: unchanged notes are kept as they are and the rest
+      // come from the content cache, so only new or changed notes are ever downloaded
+      const previous = new Map(savedNotesRef.current.map(note => [note.path, note]));
+      const isUnchanged = (file) => previous.get(file.path)?.sha === file.sha && !previous.get(file.path).isPending;
+      const cached = await getCachedContents(gitnotes.filter(file => !isUnchanged(file)).map(file => file.sha));
+
+      // Writes still waiting in the offline queue are shown on top of the repository
+      const nextNotes = applyQueuedWrites(gitnotes.map(file => {
+        if (isUnchanged(file)) return previous.get(file.path);
+        if (cached.has(file.sha)) return buildNote(file, cached.get(file.sha));
+        return buildPlaceholderNote(file);
+      }), writeQueuesRef.current[writeQueueKey] || [], path => isNoteFile(path, loadedConfig.config));
 
       // Sort notes by creation date (newest first)
-      const sortedNotes = notesData
-        .filter(note => note !== null)
-        .sort((a, b) => {
-          // Extract timestamp from filename and sort by newest first
-          const dateA = new Date(a.name.replace('gitnote-', '').replace('.md', '').replace(/_/g, 'T').replace(/-/g, ':'));
-          const dateB = new Date(b.name.replace('gitnote-', '').replace('.md', '').replace(/_/g, 'T').replace(/-/g, ':'));
-          return dateB - dateA;
-        });
+      setSavedNotes(nextNotes.sort(compareByCreated));
 
-      setSavedNotes(sortedNotes);
+      // Notes that were on screen and changed elsewhere are refreshed right away; others load when needed
+      const changed = nextNotes.filter(note => !note.isLoaded && previous.get(note.path)?.isLoaded);
+      if (changed.length > 0) {
+        loadNoteContents(changed);
+      }
     } catch (error) {
       console.error('Error fetching notes:', error);
     } finally {
       setIsLoading(false);
     }
-  }, [octokit, selectedRepo, user]);
+  }, [noteStore, writeQueueKey, repoBranchSettings, loadNoteContents]);
 
-  // Save notes to GitHub
-  const saveNotes = useCallback(async () => {
-    if (!octokit || !selectedRepo || !user || !notes.trim()) {
+  // Keep a write in this browser and show it right away; it is committed once GitHub can be reached
+  const queueWrite = useCallback(async (write) => {
+    updateWriteQueue(entries => enqueueWrite(entries, write, { busyId: replayingIdRef.current }));
+    setSavedNotes(prev => applyQueuedWrites(prev, [write], path => isNoteFile(path, repoConfig.config)).sort(compareByCreated));
+    await cacheWrittenContents(write.changes.filter(change => !change.delete && !change.encoding).map(change => change.content));
+  }, [updateWriteQueue, repoConfig]);
+
+  // Commit queued writes in order. A write GitHub rejects is set aside for review together with
+  // later writes to the same files; a network failure stops the replay until the next attempt.
+  const replayWriteQueue = useCallback(async () => {
+    if (!noteStore || !writeQueueKey || syncingRef.current) return;
+
+    syncingRef.current = true;
+    setIsSyncing(true);
+    let synced = 0;
+    let conflicts = 0;
+    try {
+      for (;;) {
+        const entries = writeQueuesRef.current[writeQueueKey] || [];
+        const blockedPaths = new Set(entries
+          .filter(entry => entry.status === 'conflict')
+          .flatMap(entry => entry.changes.map(change => change.path)));
+        const entry = entries.find(e => e.status !== 'conflict' && !e.changes.some(change => blockedPaths.has(change.path)));
+        if (!entry) break;
+
+        replayingIdRef.current = entry.id;
+        try {
+          await applyWrite(noteStore, entry);
+        } catch (error) {
+          if (isNetworkError(error)) break;
+          const reason = isConflictError(error) || error.status === 404
+            ? 'Changed or deleted on GitHub since this offline edit'
+            : getFriendlyErrorMessage(error);
+          updateWriteQueue(current => markConflict(current, entry.id, reason));
+          conflicts++;
+          console.error('Error replaying queued write:', error);
+          continue;
+        }
+        const writtenShas = await getWrittenShas(entry);
+        updateWriteQueue(current => completeEntry(current, entry, writtenShas));
+        synced++;
+      }
+    } finally {
+      replayingIdRef.current = null;
+      syncingRef.current = false;
+      setIsSyncing(false);
+    }
+
+    if (conflicts > 0) {
+      showMessage(`${conflicts} offline change${conflicts === 1 ? '' : 's'} could not be committed. Review them under pending changes.`, 'error');
+    } else if (synced > 0) {
+      showMessage(`Committed ${synced} offline change${synced === 1 ? '' : 's'}`);
+    }
+    if (synced > 0 || conflicts > 0) {
+      await fetchNotes();
+    }
+  }, [noteStore, writeQueueKey, updateWriteQueue, fetchNotes, showMessage]);
+
+  // Commit a write now, or queue it while offline, behind earlier queued writes, or when GitHub
+  // is unreachable; resolves to true when the write is waiting in the queue
+  const submitWrite = useCallback(async (write, options) => {
+    const touchesQueue = (entries) => entries.some(entry => entry.changes.some(queued => write.changes.some(change => change.path === queued.path)));
+
+    if (writeQueueKey) {
+      const entries = writeQueuesRef.current[writeQueueKey] || [];
+      if (!navigator.onLine || touchesQueue(entries) || entries.some(entry => entry.status !== 'conflict')) {
+        await queueWrite(write);
+        if (navigator.onLine) await replayWriteQueue();
+        return touchesQueue(writeQueuesRef.current[writeQueueKey] || []);
+      }
+    }
+
+    try {
+      await applyWrite(noteStore, write, options);
+    } catch (error) {
+      if (!writeQueueKey || !isNetworkError(error)) throw error;
+      await queueWrite(write);
+      return true;
+    }
+    await cacheWrittenContents(write.changes.filter(change => !change.delete && !change.encoding).map(change => change.content));
+    return false;
+  }, [noteStore, writeQueueKey, queueWrite, replayWriteQueue]);
+
+  // Load the remote version of a note whose save was rejected because it changed elsewhere
+  const openConflict = useCallback(async (note, mine, base = note.content, queueId = null) => {
+    try {
+      const remote = await noteStore.read(note.path);
+      setConflict({
+        path: note.path,
+        note,
+        base,
+        mine,
+        theirs: remote.content,
+        remoteSha: remote.sha,
+        queueId
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        showMessage('This note was deleted elsewhere. Copy your changes into a new note to keep them.', 'error');
+      } else {
+        showMessage(getFriendlyErrorMessage(error), 'error');
+      }
+      console.error('Error loading remote version:', error);
+    }
+  }, [noteStore, showMessage]);
+
+  // Write a note, committing any pasted attachments it links to in the same commit; resolves to true when queued
+  const writeNote = useCallback(async (path, content, sha, message) => {
+    const linkedPaths = getLinkedPaths(path, content);
+    const attachments = pendingAttachments.filter(attachment => linkedPaths.has(attachment.path));
+
+    const queued = await submitWrite({
+      changes: [
+        ...attachments.map(({ path: assetPath, content: data }) => ({ path: assetPath, content: data, encoding: 'base64' })),
+        sha ? { path, content, sha } : { path, content }
+      ],
+      message: attachments.length > 0
+        ? `${message} with ${attachments.length} attachment${attachments.length === 1 ? '' : 's'}`
+        : message
+    });
+
+    setPendingAttachments(prev => prev.filter(attachment => !attachments.includes(attachment)));
+    return queued;
+  }, [submitWrite, pendingAttachments]);
+
+  // Commit note content to the repository; shared by the editor and history restore
+  const persistNote = useCallback(async (note, content, commitMessage) => {
+    if (!noteStore || !content.trim()) {
       showMessage('Please select a repository and enter notes', 'error');
-      return;
+      return false;
     }
 
     setIsSaving(true);
     try {
       let fileName;
+      let queued;
       
-      if (activeNote) {
+      if (note) {
         // Update existing note
-        fileName = activeNote.name;
-        await withErrorHandling(
-          async () => await octokit.rest.repos.createOrUpdateFileContents({
-            owner: user.login,
-            repo: selectedRepo.name,
-            path: activeNote.path,
-            message: `Update GitNote: ${fileName}`,
-            content: btoa(unescape(encodeURIComponent(notes))),
-            sha: activeNote.sha
-          }),
-          {
-            operationName: 'updateNote',
-            maxRetries: 3,
-            circuitBreakerThreshold: 5
-          }
-        );
-        showMessage('Note updated successfully!');
+        fileName = note.name;
+        queued = await writeNote(note.path, withSaveMetadata(note.path, content), note.sha, commitMessage || `Update GitNote: ${fileName}`);
+        showMessage(queued ? QUEUED_MESSAGE : 'Note updated successfully!');
+      } else {
+        // Create new note named after the repository's filename pattern
+        const path = buildNotePath(repoConfig.config, selectedFolder, { content }, new Set(savedNotes.map(n => n.path)));
+        fileName = getBaseName(path);
+        queued = await writeNote(path, withSaveMetadata(path, content), null, commitMessage || `Create GitNote: ${fileName}`);
+        showMessage(queued ? QUEUED_MESSAGE : 'Note saved successfully!');
+      }
+
+      // Clear the editor for the next note, unless it holds a different note than the one saved
+      if (!note || note.path === activeNote?.path) {
+        // The draft is done once exactly its content was saved (a restored revision leaves it be)
+        if (content === notes) discardDraft(editorDraftId);
+        closeEditor();
+      }
+      
+      // Refresh the notes list to show the new note; queued notes are already shown
+      if (!queued) await fetchNotes();
+      return true;
+    } catch (error) {
+      if (note && isConflictError(error)) {
+        // Someone else committed first; let the user merge instead of losing either side
+        await openConflict(note, content);
+      } else {
+        const friendlyMessage = getFriendlyErrorMessage(error);
+        showMessage(friendlyMessage, 'error');
+      }
+      console.error('Error saving note:', error);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, repoConfig, selectedFolder, savedNotes, activeNote, notes, editorDraftId, showMessage, fetchNotes, openConflict, writeNote, discardDraft, closeEditor]);
+
+  // Save notes to GitHub
+  const saveNotes = useCallback(() => {
+    return persistNote(activeNote, notes);
+  }, [persistNote, activeNote, notes]);
+
+  // Bring back an older revision as a new commit
+  const restoreRevision = useCallback(async (note, content, revision) => {
+    const restored = await persistNote(note, content, `Restore GitNote: ${note.name} to ${revision.sha.substring(0, 7)}`);
+    if (restored) {
+      setHistoryNotePath(null);
+    }
+  }, [persistNote]);
+
+  // Commit the chosen resolution on top of the remote version
+  const resolveConflict = useCallback(async (content) => {
+    if (!noteStore || !conflict) return;
+
+    setIsSaving(true);
+    try {
+      // The resolution replaces the queued write it came from
+      if (conflict.queueId) {
+        updateWriteQueue(entries => entries.filter(entry => entry.id !== conflict.queueId));
+      }
+      const queued = await writeNote(conflict.path, withSaveMetadata(conflict.path, content), conflict.remoteSha, `Merge GitNote: ${conflict.note.name}`);
+      setConflict(null);
+      if (conflict.path === activeNote?.path) {
+        discardDraft(editorDraftId);
+        closeEditor();
+      }
+      showMessage(queued ? QUEUED_MESSAGE : 'Merged note saved successfully!');
+      if (!queued) await fetchNotes();
+    } catch (error) {
+      if (isConflictError(error)) {
+        // The note moved again while resolving; merge against the newest remote version
+        await openConflict(conflict.note, content, conflict.theirs);
       } else {
-        // Create new note with unique timestamp
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_');
-        fileName = `gitnote-${timestamp}.md`;
-        await withErrorHandling(
-          async () => await octokit.rest.repos.createOrUpdateFileContents({
-            owner: user.login,
-            repo: selectedRepo.name,
-            path: fileName,
-            message: `Create GitNote: ${fileName}`,
-            content: btoa(unescape(encodeURIComponent(notes)))
-          }),
-          {
-            operationName: 'createNote',
-            maxRetries: 3,
-            circuitBreakerThreshold: 5
-          }
-        );
-        showMessage('Note saved successfully!');
-      }
-
-      // Clear the editor for the next note
+        showMessage(getFriendlyErrorMessage(error), 'error');
+      }
+      console.error('Error saving merged note:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, conflict, activeNote, editorDraftId, showMessage, fetchNotes, openConflict, writeNote, updateWriteQueue, discardDraft, closeEditor]);
+
+  // Merge a queued write that GitHub rejected, starting from the version it was based on
+  const resolveQueuedWrite = useCallback(async (entry) => {
+    const [change] = entry.changes;
+    const cached = change.sha ? await getCachedContents([change.sha]) : new Map();
+    const note = savedNotes.find(n => n.path === change.path) || buildNote({ path: change.path, sha: change.sha || null, size: change.content.length }, change.content);
+    await openConflict(note, change.content, cached.get(change.sha) || '', entry.id);
+  }, [savedNotes, openConflict]);
+
+  // Try a rejected write again, e.g. after fixing permissions
+  const retryQueuedWrite = useCallback(async (entry) => {
+    updateWriteQueue(entries => entries.map(e => (e.id === entry.id ? { ...e, status: 'pending', error: null } : e)));
+    await replayWriteQueue();
+  }, [updateWriteQueue, replayWriteQueue]);
+
+  const discardQueuedWrite = useCallback(async (entry) => {
+    updateWriteQueue(entries => entries.filter(e => e.id !== entry.id));
+    await fetchNotes();
+    // Writes held back behind this one can go now
+    await replayWriteQueue();
+  }, [updateWriteQueue, fetchNotes, replayWriteQueue]);
+
+  // Read pasted or dropped files and link them at the cursor; they are uploaded when the note is saved
+  const addAttachments = useCallback(async (fileList) => {
+    const files = Array.from(fileList);
+    const tooLarge = files.filter(file => file.size > MAX_ATTACHMENT_SIZE);
+    if (tooLarge.length > 0) {
+      showMessage(`${tooLarge.map(file => file.name).join(', ')} ${tooLarge.length === 1 ? 'is' : 'are'} larger than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`, 'error');
+    }
+
+    const accepted = files.filter(file => file.size <= MAX_ATTACHMENT_SIZE);
+    if (accepted.length === 0) return;
+
+    const noteFolder = activeNote ? getParentFolder(activeNote.path) : resolveNoteFolder(selectedFolder, repoConfig.config);
+    const takenPaths = new Set([...assetFiles, ...pendingAttachments].map(file => file.path));
+
+    try {
+      const attachments = await Promise.all(accepted.map(async (file) => {
+        const path = buildAttachmentPath(repoConfig.config.assets, file, takenPaths);
+        takenPaths.add(path);
+        return {
+          path,
+          name: file.name || getBaseName(path),
+          size: file.size,
+          content: await readFileAsBase64(file),
+          markdown: attachmentMarkdown(path, noteFolder, file.name)
+        };
+      }));
+
+      // Insert at the cursor, or at the end when the editor is not focused
+      const textarea = editorRef.current;
+      const insertion = attachments.map(attachment => attachment.markdown).join('\n');
+      const start = textarea ? textarea.selectionStart : notes.length;
+      const end = textarea ? textarea.selectionEnd : notes.length;
+      setNotes(prev => prev.substring(0, start) + insertion + prev.substring(end));
+      setPendingAttachments(prev => [...prev, ...attachments]);
+
+      requestAnimationFrame(() => {
+        if (!textarea) return;
+        textarea.focus();
+        textarea.setSelectionRange(start + insertion.length, start + insertion.length);
+      });
+    } catch (error) {
+      showMessage('Could not read the attached file', 'error');
+      console.error('Error reading attachment:', error);
+    }
+  }, [activeNote, selectedFolder, repoConfig, assetFiles, pendingAttachments, notes, showMessage]);
+
+  const removePendingAttachment = useCallback((attachment) => {
+    setPendingAttachments(prev => prev.filter(item => item !== attachment));
+    setNotes(prev => prev.replace(attachment.markdown, ''));
+  }, []);
+
+  const handleEditorPaste = useCallback((e) => {
+    if (e.clipboardData.files.length > 0) {
+      e.preventDefault();
+      addAttachments(e.clipboardData.files);
+    }
+  }, [addAttachments]);
+
+  const handleEditorDrop = useCallback((e) => {
+    setIsDraggingFile(false);
+    if (e.dataTransfer.files.length > 0) {
+      e.preventDefault();
+      // Put the cursor where the file was dropped when the browser supports it
+      const textarea = editorRef.current;
+      if (textarea && document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(e.clientX, e.clientY);
+        if (position && position.offsetNode === textarea) {
+          textarea.setSelectionRange(position.offset, position.offset);
+        }
+      }
+      addAttachments(e.dataTransfer.files);
+    }
+  }, [addAttachments]);
+
+  // Remove attachments in one commit
+  const deleteAttachments = useCallback(async (paths) => {
+    if (!noteStore || paths.length === 0) return false;
+
+    setIsSaving(true);
+    try {
+      await noteStore.commitChanges(
+        paths.map(path => ({ path, delete: true })),
+        `Remove ${paths.length} unused attachment${paths.length === 1 ? '' : 's'}`
+      );
+      showMessage(`Deleted ${paths.length} attachment${paths.length === 1 ? '' : 's'}`);
+      await fetchNotes();
+      return true;
+    } catch (error) {
+      showMessage(getFriendlyErrorMessage(error), 'error');
+      console.error('Error deleting attachments:', error);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, showMessage, fetchNotes]);
+
+  // Auto-save new notes when typing
+  const autoSaveNewNote = useCallback(async () => {
+    if (!noteStore || !notes.trim()) {
+      return; // Don't auto-save if no content, no repo
+    }
+
+    // Only auto-save if this is truly a new note (not editing existing)
+    if (activeNote) {
+      return;
+    }
+
+    try {
+      // Generate a filename that does not collide with existing notes
+      const path = buildNotePath(repoConfig.config, selectedFolder, { content: notes }, new Set(savedNotes.map(n => n.path)));
+      const fileName = getBaseName(path);
+
+      await noteStore.create(path, notes, `Create GitNote: ${fileName}`);
+
+      showMessage('Note created and saved to GitHub!');
+      
+      // Clear the editor to allow creating new notes
       setNotes('');
-      setActiveNote(null);
+      // Keep activeNote as null so new notes can be created
       
-      // Refresh the notes list to show the new note
+      // Refresh the notes list
       await fetchNotes();
     } catch (error) {
+      showMessage('Failed to auto-save note', 'error');
+      console.error('Error auto-saving note:', error);
+    }
+  }, [noteStore, repoConfig, selectedFolder, savedNotes, notes, activeNote, fetchNotes]);
+
+  // Open a draft in the editor. When the note changed since the draft was started, the editor gets
+  // the version the draft was based on, so saving asks to merge instead of overwriting the newer commit.
+  const resumeDraft = useCallback(async (draft) => {
+    const note = draft.path ? savedNotes.find(n => n.path === draft.path) : null;
+
+    let base = null;
+    if (note) {
+      const isStale = !!draft.baseSha && draft.baseSha !== note.sha;
+      const file = isStale ? { path: note.path, sha: draft.baseSha, size: note.size } : note;
+      const contents = isStale ? await loadContents(noteStore, [file]) : await loadNoteContents([note]);
+      if (note.isLoaded && !isStale) {
+        base = note;
+      } else if (contents.has(file.sha)) {
+        base = buildNote(file, contents.get(file.sha));
+      } else {
+        showMessage('Could not load the note this draft belongs to. Please try again.', 'error');
+        return;
+      }
+    }
+
+    // Drafts move to the key of the note they are resumed into; a deleted note's draft becomes a new note
+    const targetId = base ? noteDraftId(selectedRepo.full_name, base.path) : draft.id;
+    if (targetId !== draft.id) discardDraft(draft.id);
+    setActiveNote(base);
+    setNewDraftKey(base ? null : draft.id);
+    if (!base) setSelectedFolder(folders.includes(draft.folder) ? draft.folder : '');
+    setNotes(draft.content);
+    setShowDrafts(false);
+    showMessage(draft.path && !base ? 'The note was deleted; the draft will be saved as a new note' : 'Draft resumed');
+  }, [noteStore, savedNotes, selectedRepo, folders, loadNoteContents, discardDraft, showMessage]);
+
+  // Discarding the draft in the editor also reverts the editor to the committed note
+  const discardDraftFromPanel = useCallback((draft) => {
+    discardDraft(draft.id);
+    if (draft.id !== editorDraftId) return;
+    if (activeNote) {
+      setNotes(activeNote.content);
+    } else {
+      closeEditor();
+    }
+  }, [editorDraftId, activeNote, discardDraft, closeEditor]);
+
+  // Committed content a draft is compared with; empty for new notes
+  const loadCommittedContent = useCallback(async (draft) => {
+    const note = draft.path ? savedNotes.find(n => n.path === draft.path) : null;
+    if (!note) return '';
+    if (note.isLoaded) return note.content;
+    const contents = await loadNoteContents([note]);
+    return contents.has(note.sha) ? contents.get(note.sha) : null;
+  }, [savedNotes, loadNoteContents]);
+
+  // Load note for editing; a note with a draft opens the draft
+  const loadNote = useCallback(async (note) => {
+    const draft = drafts[noteDraftId(selectedRepo.full_name, note.path)];
+    if (draft) {
+      await resumeDraft(draft);
+      return;
+    }
+
+    let loaded = note;
+    if (!note.isLoaded) {
+      const contents = await loadNoteContents([note]);
+      if (!contents.has(note.sha)) {
+        showMessage('Could not load this note. Please try again.', 'error');
+        return;
+      }
+      loaded = buildNote(note, contents.get(note.sha));
+    }
+    setNotes(loaded.content);
+    setActiveNote(loaded);
+    setNewDraftKey(null);
+    showMessage('Note loaded for editing');
+  }, [drafts, selectedRepo, resumeDraft, loadNoteContents, showMessage]);
+
+  // Export notes to JSON file; all of them unless a selection is given
+  const exportNotes = useCallback(async (notesToExport) => {
+    const allNotes = notesToExport ? await withContents(notesToExport) : await loadAllNotes();
+    const exportData = {
+      metadata: {
+        exportDate: new Date().toISOString(),
+        repository: selectedRepo?.full_name,
+        totalNotes: allNotes.length,
+        version: '1.0'
+      },
+      notes: allNotes.map(note => ({
+        name: note.name,
+        path: note.path,
+        title: note.meta.title,
+        tags: note.meta.tags,
+        createdDate: note.meta.created,
+        updatedDate: note.meta.updated,
+        fields: getCustomFields(note.meta),
+        content: note.content,
+        size: note.size
+      }))
+    };
+
+    const dataStr = JSON.stringify(exportData, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gitnote-export-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    showMessage(`Exported ${allNotes.length} notes successfully`);
+  }, [withContents, loadAllNotes, selectedRepo, showMessage]);
+
+  // Commit the notes of an import file as a single commit, optionally placing each into a template
+  const runImport = useCallback(async (importData, template = null) => {
+    if (template && template.content == null) {
+      showMessage(`The template "${template.name}" could not be loaded, no notes were imported. Please try again.`, 'error');
+      return;
+    }
+
+    // Offset each timestamp by a millisecond and track taken paths so every imported note gets a unique file name
+    const baseTime = Date.now();
+    const takenPaths = new Set(savedNotes.map(n => n.path));
+    const changes = importData.notes
+      .filter(note => note.content && note.name)
+      .map((note, index) => {
+        // Carry exported metadata into the front matter unless the content already has it
+        const { data, body } = parseFrontMatter(note.content);
+        let content = stringifyFrontMatter({
+          title: explicitTitle(note.title, body),
+          tags: note.tags && note.tags.length > 0 ? note.tags : undefined,
+          created: note.createdDate,
+          updated: note.updatedDate,
+          ...note.fields,
+          ...data
+        }, body);
+        if (template) {
+          const date = parseNoteDate(note.createdDate) || new Date();
+          content = applyTemplate(template.content, content, templateVariables({ user, repo: selectedRepo, date, title: note.title || '' }));
+        }
+        return {
+          path: buildNotePath(repoConfig.config, selectedFolder, { content, date: new Date(baseTime + index) }, takenPaths),
+          content
+        };
+      });
+
+    if (changes.length === 0) {
+      showMessage('No notes found in the import file', 'error');
+      return;
+    }
+
+    setImportProgress({ phase: 'blobs', done: 0, total: changes.length });
+    try {
+      const queued = await submitWrite(
+        { changes, message: `Import ${changes.length} GitNote${changes.length === 1 ? '' : 's'}${template ? ` with template ${template.name}` : ''}` },
+        { onProgress: setImportProgress }
+      );
+      showMessage(queued ? `Imported ${changes.length} notes offline. They will be committed once GitHub can be reached.` : `Successfully imported ${changes.length} notes`);
+      if (!queued) await fetchNotes();
+    } catch (error) {
+      // The import is all-or-nothing, so nothing was written
       const friendlyMessage = getFriendlyErrorMessage(error);
-      showMessage(friendlyMessage, 'error');
-      console.error('Error saving note:', error);
+      showMessage(`Import failed, no notes were added. ${friendlyMessage}`, 'error');
+      console.error('Import error:', error);
+    } finally {
+      setImportProgress(null);
+    }
+  }, [repoConfig, selectedFolder, savedNotes, user, selectedRepo, showMessage, fetchNotes, submitWrite]);
+
+  // Import notes from a JSON export; with templates in the repository one can be picked first
+  const importNotes = useCallback((event) => {
+    const file = event.target.files[0];
+    if (!file || !noteStore) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      // Reset file input so the same file can be picked again
+      event.target.value = '';
+      let importData;
+      try {
+        importData = JSON.parse(e.target.result);
+        
+        if (!importData.notes || !Array.isArray(importData.notes)) {
+          throw new Error('Invalid import file format');
+        }
+      } catch (error) {
+        showMessage('Failed to import notes: Invalid file format', 'error');
+        console.error('Import error:', error);
+        return;
+      }
+
+      if (templateFiles.length > 0) {
+        setTemplatePicker({ purpose: 'import', importData });
+      } else {
+        runImport(importData);
+      }
+    };
+    reader.readAsText(file);
+  }, [noteStore, templateFiles, runImport, showMessage]);
+
+  // Create a folder inside the selected one; git only tracks folders that contain a file
+  const createFolder = useCallback(async (name) => {
+    if (!noteStore) return false;
+
+    const folderPath = joinPath(resolveNoteFolder(selectedFolder, repoConfig.config), name);
+    if (folders.includes(folderPath)) {
+      showMessage('A folder with that name already exists', 'error');
+      return false;
+    }
+
+    try {
+      await noteStore.create(joinPath(folderPath, FOLDER_PLACEHOLDER), '', `Create folder: ${folderPath}`);
+      setFolders(prev => [...prev, folderPath].sort((a, b) => a.localeCompare(b)));
+      setSelectedFolder(folderPath);
+      showMessage(`Folder "${folderPath}" created`);
+      return true;
+    } catch (error) {
+      const friendlyMessage = getFriendlyErrorMessage(error);
+      showMessage(friendlyMessage, 'error');
+      console.error('Error creating folder:', error);
+      return false;
+    }
+  }, [noteStore, repoConfig, selectedFolder, folders, showMessage]);
+
+  // Commit the repository's note settings and re-read the notes with them
+  const saveRepoConfig = useCallback(async (config) => {
+    if (!noteStore) return false;
+
+    setIsSaving(true);
+    try {
+      const content = serializeRepoConfig(config);
+      if (repoConfig.sha) {
+        await noteStore.update(CONFIG_PATH, content, repoConfig.sha, 'Update Kiara Note settings');
+      } else {
+        await noteStore.create(CONFIG_PATH, content, 'Add Kiara Note settings');
+      }
+      setSelectedFolder('');
+      showMessage('Note settings saved');
+      await fetchNotes();
+      return true;
+    } catch (error) {
+      showMessage(getFriendlyErrorMessage(error), 'error');
+      console.error('Error saving settings:', error);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, repoConfig, showMessage, fetchNotes]);
+
+  // Move a note to the trash in one commit; it can be restored until the trash is purged
+  const deleteNote = useCallback(async (note) => {
+    if (!noteStore) return;
+
+    if (window.confirm('Move this note to the trash?')) {
+      setIsLoading(true);
+      try {
+        const changes = [{ path: note.path, sha: note.sha, delete: true }];
+        // A note that was never committed has no version worth keeping
+        if (note.sha) {
+          const content = note.isLoaded ? note.content : (await loadNoteContents([note])).get(note.sha);
+          if (content === undefined) throw new Error(`Could not load ${note.path}`);
+          changes.unshift({ path: trashPathFor(note.path), content });
+        }
+        const queued = await submitWrite({ changes, message: `Move GitNote to trash: ${note.name}` });
+        
+        showMessage(queued ? 'Note moved to the trash offline. It will be committed once GitHub can be reached.' : 'Note moved to the trash');
+        if (!queued) await fetchNotes();
+        discardDraft(noteDraftId(selectedRepo.full_name, note.path));
+        if (activeNote?.path === note.path) {
+          closeEditor();
+        }
+      } catch (error) {
+        showMessage(`Failed to move the note to the trash. ${getFriendlyErrorMessage(error)}`, 'error');
+        console.error('Error deleting note:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    }
+  }, [noteStore, selectedRepo, activeNote, showMessage, fetchNotes, loadNoteContents, submitWrite, discardDraft, closeEditor]);
+
+  // Move a trashed note back to its original path, or next to it when that path is taken again
+  const restoreNote = useCallback(async (entry) => {
+    if (!noteStore) return;
+
+    setIsSaving(true);
+    try {
+      const contents = await loadContents(noteStore, [entry]);
+      if (!contents.has(entry.sha)) throw new Error(`Could not load ${entry.path}`);
+      const path = uniquePath(entry.originalPath, new Set(savedNotes.map(note => note.path)));
+      const queued = await submitWrite({
+        changes: [
+          { path, content: contents.get(entry.sha) },
+          { path: entry.path, sha: entry.sha, delete: true }
+        ],
+        message: `Restore GitNote from trash: ${getBaseName(path)}`
+      });
+      setTrashFiles(prev => prev.filter(e => e.path !== entry.path));
+      showMessage(queued ? QUEUED_MESSAGE : path === entry.originalPath ? 'Note restored' : `Note restored as ${path}`);
+      if (!queued) await fetchNotes();
+    } catch (error) {
+      showMessage(getFriendlyErrorMessage(error), 'error');
+      console.error('Error restoring note:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, savedNotes, showMessage, fetchNotes, submitWrite]);
+
+  // Delete trashed notes for good, in one commit
+  const purgeTrash = useCallback(async (entries) => {
+    if (!noteStore || entries.length === 0) return;
+
+    setIsSaving(true);
+    try {
+      await noteStore.commitChanges(
+        entries.map(entry => ({ path: entry.path, delete: true })),
+        `Purge ${entries.length} GitNote${entries.length === 1 ? '' : 's'} from trash`
+      );
+      showMessage(`Permanently deleted ${entries.length} note${entries.length === 1 ? '' : 's'}`);
+      await fetchNotes();
+    } catch (error) {
+      showMessage(getFriendlyErrorMessage(error), 'error');
+      console.error('Error purging trash:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, showMessage, fetchNotes]);
+
+  // Initialize repositories on mount
+  useEffect(() => {
+    if (isAuthenticated && octokit) {
+      fetchRepositories();
+    } else if (isAuthenticated && storageMode === 'local') {
+      // Without GitHub the browser's own note store is the only repository
+      setRepositories([LOCAL_REPOSITORY]);
+      selectRepository(LOCAL_REPOSITORY);
+    }
+  }, [isAuthenticated, octokit, storageMode, fetchRepositories, selectRepository]);
+
+  // Handle OAuth callback on mount
+  useEffect(() => {
+    const handleOAuthCallback = async () => {
+      const urlParams = new URLSearchParams(window.location.search);
+      const code = urlParams.get('code');
+      
+      if (code && !isAuthenticated) {
+        try {
+          await loginWithOAuthCode(code);
+          // Clear the code from URL
+          window.history.replaceState({}, document.title, window.location.pathname);
+        } catch (error) {
+          console.error('OAuth callback error:', error);
+          showMessage('OAuth authentication failed. Please use a personal access token instead.', 'error');
+          // Clear the code from URL
+          window.history.replaceState({}, document.title, window.location.pathname);
+        }
+      }
+    };
+
+    handleOAuthCallback();
+  }, [isAuthenticated, showMessage, loginWithOAuthCode]);
+
+  // Fetch notes when repository is selected
+  useEffect(() => {
+    if (selectedRepo) {
+      fetchNotes();
+    } else {
+      setSavedNotes([]);
+      setFolders([]);
+      setAssetFiles([]);
+      setTrashFiles([]);
+      setTemplateFiles([]);
+    }
+  }, [selectedRepo, fetchNotes]);
+
+  // Track connectivity so writes queue up offline and replay as soon as the browser is back
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Replay on reconnect and when a repository with queued writes is opened; the ref keeps
+  // this from re-running on every render
+  useEffect(() => {
+    replayRef.current = replayWriteQueue;
+  }, [replayWriteQueue]);
+
+  useEffect(() => {
+    if (isOnline && noteStore) {
+      replayRef.current();
+    }
+  }, [isOnline, noteStore]);
+
+  // Branches to choose from; the pull request status belongs to the previous store
+  useEffect(() => {
+    setPullRequest(null);
+    if (!noteStore?.listBranches) {
+      setBranches([]);
+      return;
+    }
+    noteStore.listBranches()
+      .then(setBranches)
+      .catch(error => console.error('Error fetching branches:', error));
+  }, [noteStore]);
+
+  const refreshPullRequest = useCallback(async () => {
+    if (!noteStore?.refreshPullRequest) return;
+    try {
+      await noteStore.refreshPullRequest();
+    } catch (error) {
+      showMessage(getFriendlyErrorMessage(error), 'error');
+      console.error('Error fetching pull request:', error);
+    }
+  }, [noteStore, showMessage]);
+
+  // Attachments are only uploaded with the note that links them
+  useEffect(() => {
+    if (!notes) setPendingAttachments([]);
+  }, [notes]);
+
+  // Start from the repository root whenever the repository changes
+  useEffect(() => {
+    setSelectedFolder('');
+    setPendingAttachments([]);
+    setFilters(prev => ({ ...prev, category: 'all', tags: [] }));
+  }, [selectedRepo]);
+
+  // Notes in the selected folder, before search and tag filters
+  const folderNotes = React.useMemo(() => {
+    return savedNotes.filter(note => isInFolder(note.path, selectedFolder));
+  }, [savedNotes, selectedFolder]);
+
+  const tagCounts = React.useMemo(() => countTags(folderNotes), [folderNotes]);
+
+  useEffect(() => {
+    savedNotesRef.current = savedNotes;
+  }, [savedNotes]);
+
+  const unloadedCount = React.useMemo(() => savedNotes.filter(note => !note.isLoaded).length, [savedNotes]);
+
+  // Searching, tag filters, the attachments check, the Tasks view, note links and the backlinks list
+  // look inside every note; opening a note on its own does not
+  const needsLinkSources = notes.includes('[[') || (showBacklinks && !!activeNote);
+  const needsAllNotes = !!searchTerm.trim() || filters.tags.length > 0 || filters.category !== 'all' || showAttachments || showTasks || needsLinkSources;
+  useEffect(() => {
+    if (needsAllNotes && unloadedCount > 0) {
+      loadAllNotes();
+    }
+  }, [needsAllNotes, unloadedCount, loadAllNotes]);
+
+  // [[Wiki links]]: what they point at, which notes link back, and suggestions while typing one
+  const resolveWikiLink = React.useMemo(() => createWikiResolver(savedNotes), [savedNotes]);
+  const backlinkIndex = React.useMemo(() => buildBacklinkIndex(savedNotes), [savedNotes]);
+
+  const editorLinks = React.useMemo(() => {
+    const targets = new Map();
+    parseWikiLinks(notes).forEach(link => {
+      if (!targets.has(link.target.toLowerCase())) targets.set(link.target.toLowerCase(), link.target);
+    });
+    return Array.from(targets.values()).map(target => ({ target, note: resolveWikiLink(target) }));
+  }, [notes, resolveWikiLink]);
+
+  const linkSuggestions = React.useMemo(() => {
+    if (!linkQuery) return [];
+    return suggestWikiLinks(linkQuery.query, savedNotes.filter(note => note.path !== activeNote?.path));
+  }, [linkQuery, savedNotes, activeNote]);
+
+  const updateLinkQuery = useCallback((textarea) => {
+    const hasCaret = textarea.selectionStart === textarea.selectionEnd;
+    setLinkQuery(hasCaret ? findOpenWikiLink(textarea.value, textarea.selectionStart) : null);
+    setLinkSuggestionIndex(0);
+  }, []);
+
+  // Finish the link being typed with the note's title
+  const insertWikiLink = useCallback((note) => {
+    const textarea = editorRef.current;
+    if (!textarea || !linkQuery) return;
+
+    const caret = textarea.selectionStart;
+    const hasClosing = notes.startsWith(']]', caret);
+    const insertion = `${note.meta.title}${hasClosing ? '' : ']]'}`;
+    setNotes(notes.substring(0, linkQuery.start) + insertion + notes.substring(caret));
+    setLinkQuery(null);
+
+    const position = linkQuery.start + insertion.length + (hasClosing ? 2 : 0);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(position, position);
+    });
+  }, [notes, linkQuery]);
+
+  // Focus the editor with the caret at `index` once it has rendered
+  const focusEditorAt = useCallback((index) => {
+    requestAnimationFrame(() => {
+      if (!editorRef.current) return;
+      editorRef.current.focus();
+      editorRef.current.setSelectionRange(index, index);
+    });
+  }, []);
+
+  // Start a new note for a link that points nowhere yet
+  const createLinkedNote = useCallback((title) => {
+    const content = `# ${title}\n\n`;
+    closeEditor();
+    setNotes(content);
+    focusEditorAt(content.length);
+  }, [closeEditor, focusEditorAt]);
+
+  const openWikiLink = useCallback((target) => {
+    const note = resolveWikiLink(target);
+    if (note) {
+      loadNote(note);
+    } else if (unloadedCount > 0) {
+      showMessage('Still loading notes, try the link again in a moment', 'error');
+    } else if (window.confirm(`No note is called "${target}". Start a new note with that title?`)) {
+      createLinkedNote(target);
+    }
+  }, [resolveWikiLink, unloadedCount, loadNote, createLinkedNote, showMessage]);
+
+  // Run a formatting command on the editor's text and selection; false when it does not apply
+  const applyEditorCommand = useCallback((command) => {
+    const textarea = editorRef.current;
+    if (!textarea) return false;
+
+    const result = command({ text: notes, start: textarea.selectionStart, end: textarea.selectionEnd });
+    if (!result) return false;
+    setNotes(result.text);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(result.start, result.end);
+    });
+    return true;
+  }, [notes]);
+
+  const handleEditorKeyDown = useCallback((e) => {
+    if (e.nativeEvent.isComposing) return;
+
+    // An open link suggestion list takes the navigation keys first
+    if (linkQuery) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setLinkQuery(null);
+        return;
+      }
+      if (linkSuggestions.length > 0 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setLinkSuggestionIndex(prev => (prev + step + linkSuggestions.length) % linkSuggestions.length);
+        return;
+      }
+      if (linkSuggestions.length > 0 && (e.key === 'Enter' || e.key === 'Tab')) {
+        e.preventDefault();
+        insertWikiLink(linkSuggestions[Math.min(linkSuggestionIndex, linkSuggestions.length - 1)]);
+        return;
+      }
+    }
+
+    const action = getShortcutAction(e);
+    if (action) {
+      e.preventDefault();
+      applyEditorCommand(FORMAT_ACTIONS[action]);
+      return;
+    }
+
+    const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+    if (e.key === 'Enter' && !hasModifier && !e.shiftKey && applyEditorCommand(continueList)) {
+      e.preventDefault();
+    } else if (e.key === 'Tab' && !hasModifier && applyEditorCommand(state => indentListItems(state, e.shiftKey))) {
+      // Outside lists Tab keeps moving focus as usual
+      e.preventDefault();
+    }
+  }, [linkQuery, linkSuggestions, linkSuggestionIndex, insertWikiLink, applyEditorCommand]);
+
+  // Ctrl/Cmd-click on a [[link]] in the editor follows it
+  const handleEditorClick = useCallback((e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    const link = wikiLinkAt(notes, e.target.selectionStart);
+    if (link) {
+      e.preventDefault();
+      openWikiLink(link.target);
+    }
+  }, [notes, openWikiLink]);
+
+  // Relative links in the preview open the note they point at
+  const openMarkdownLink = useCallback((href) => {
+    const folder = activeNote ? getParentFolder(activeNote.path) : resolveNoteFolder(selectedFolder, repoConfig.config);
+    const path = resolveLinkTarget(folder, href);
+    const note = savedNotes.find(n => n.path === path);
+    if (note) {
+      loadNote(note);
+    } else {
+      showMessage(`${path || href} is not a note in this repository`, 'error');
+    }
+  }, [activeNote, selectedFolder, repoConfig, savedNotes, loadNote, showMessage]);
+
+  // In split view, scrolling either pane moves the other to the same relative position
+  const syncScroll = useCallback((source, target) => {
+    if (editorMode !== 'split' || !source || !target) return;
+    if (syncedScrollRef.current === source) {
+      // This scroll came from the other pane
+      syncedScrollRef.current = null;
+      return;
+    }
+    const ratio = source.scrollTop / Math.max(1, source.scrollHeight - source.clientHeight);
+    const scrollTop = Math.round(ratio * (target.scrollHeight - target.clientHeight));
+    if (Math.abs(target.scrollTop - scrollTop) > 1) {
+      syncedScrollRef.current = target;
+      target.scrollTop = scrollTop;
+    }
+  }, [editorMode]);
+
+  const toggleTagFilter = useCallback((tag) => {
+    setFilters(prev => ({
+      ...prev,
+      tags: prev.tags.includes(tag) ? prev.tags.filter(t => t !== tag) : [...prev.tags, tag]
+    }));
+  }, []);
+
+  // Rename (or merge) a tag across every note in one commit
+  const renameTag = useCallback(async (fromTag, toTag) => {
+    if (!noteStore) return;
+
+    setIsSaving(true);
+    try {
+      const allNotes = await loadAllNotes();
+      const renamed = allNotes
+        .map(note => ({ note, content: renameTagInContent(note.content, fromTag, toTag) }))
+        .filter(({ note, content }) => content !== note.content);
+
+      if (renamed.length === 0) {
+        showMessage(`No notes use #${fromTag}`, 'error');
+        return;
+      }
+
+      const includesActive = !!activeNote && renamed.some(({ note }) => note.path === activeNote.path);
+      if (includesActive && notes !== activeNote.content) {
+        showMessage('Save or close the note you are editing before renaming its tags', 'error');
+        return;
+      }
+
+      const changes = renamed.map(({ note, content }) => ({ path: note.path, content: withSaveMetadata(note.path, content), sha: note.sha }));
+      const queued = await submitWrite({
+        changes,
+        message: `Rename tag #${fromTag} to #${toTag} in ${changes.length} note${changes.length === 1 ? '' : 's'}`
+      });
+      setFilters(prev => ({
+        ...prev,
+        tags: Array.from(new Set(prev.tags.map(tag => (tag === fromTag ? toTag : tag))))
+      }));
+      if (includesActive) closeEditor();
+      showMessage(queued ? QUEUED_MESSAGE : `Renamed #${fromTag} to #${toTag} in ${changes.length} notes`);
+      if (!queued) await fetchNotes();
+    } catch (error) {
+      if (isConflictError(error)) {
+        showMessage('Some notes with this tag changed on GitHub. The list has been refreshed; please try again.', 'error');
+        await fetchNotes();
+      } else {
+        showMessage(getFriendlyErrorMessage(error), 'error');
+      }
+      console.error('Error renaming tag:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, activeNote, notes, loadAllNotes, submitWrite, closeEditor, showMessage, fetchNotes]);
+
+  // Filter and search notes
+  const searchQuery = React.useMemo(() => parseSearchQuery(searchTerm), [searchTerm]);
+
+  // Matches for the search box by path, from an index that only re-reads notes whose text changed
+  const searchResults = React.useMemo(() => {
+    if (isEmptyQuery(searchQuery)) return null;
+    searchIndex.update(savedNotes);
+    return searchIndex.search(searchQuery);
+  }, [searchIndex, searchQuery, savedNotes]);
+
+  const filteredNotes = React.useMemo(() => {
+    let filtered = folderNotes;
+
+    // Apply category and tag filters
+    if (filters.category === 'tagged') {
+      filtered = filtered.filter(note => note.tags.length > 0);
+    } else if (filters.category === 'untagged') {
+      filtered = filtered.filter(note => note.tags.length === 0);
+    }
+    filtered = filtered.filter(note => matchesTags(note.tags, filters.tags, filters.tagMode));
+
+    // Apply search filter
+    if (searchResults) {
+      filtered = filtered.filter(note => searchResults.has(note.path));
+    }
+
+    // Apply sorting
+    if (filters.sortBy === 'relevance' && searchResults && hasSearchText(searchQuery)) {
+      filtered = [...filtered].sort((a, b) =>
+        searchResults.get(b.path).score - searchResults.get(a.path).score || compareByCreated(a, b)
+      );
+    } else if (filters.sortBy === 'newest' || filters.sortBy === 'relevance') {
+      filtered = [...filtered].sort(compareByCreated);
+    } else if (filters.sortBy === 'oldest') {
+      filtered = [...filtered].sort((a, b) => compareByCreated(b, a));
+    } else if (filters.sortBy === 'updated') {
+      filtered = [...filtered].sort(compareByUpdated);
+    } else if (filters.sortBy === 'name') {
+      filtered = [...filtered].sort((a, b) => 
+        a.meta.title.localeCompare(b.meta.title)
+      );
+    } else if (filters.sortBy === 'size') {
+      filtered = [...filtered].sort((a, b) => b.size - a.size);
+    }
+
+    return filtered;
+  }, [folderNotes, searchResults, searchQuery, filters]);
+
+  // Card text: the passage matching the search, otherwise the start of the note
+  const noteCardText = (note) => {
+    if (!note.isLoaded) return 'Loading...';
+    const match = searchResults?.get(note.path);
+    const snippet = match && buildSnippet(markdownText(note.body), match);
+    return snippet ? <HighlightedText segments={snippet} /> : markdownExcerpt(note.body);
+  };
+
+  // Notes picked for bulk actions; the selection survives filtering, so it may include hidden notes
+  const selectedNotes = React.useMemo(() => {
+    return savedNotes.filter(note => selectedPaths.includes(note.path));
+  }, [savedNotes, selectedPaths]);
+
+  // Toggle a note's selection; with shift held, select every listed note between it and the last one clicked
+  const toggleNoteSelection = useCallback((note, extendRange) => {
+    const listedPaths = filteredNotes.map(n => n.path);
+    const anchorIndex = listedPaths.indexOf(selectionAnchorRef.current);
+    setSelectedPaths(prev => {
+      if (extendRange && anchorIndex !== -1) {
+        const noteIndex = listedPaths.indexOf(note.path);
+        const range = listedPaths.slice(Math.min(anchorIndex, noteIndex), Math.max(anchorIndex, noteIndex) + 1);
+        return Array.from(new Set([...prev, ...range]));
+      }
+      return prev.includes(note.path) ? prev.filter(path => path !== note.path) : [...prev, note.path];
+    });
+    selectionAnchorRef.current = note.path;
+  }, [filteredNotes]);
+
+  // Rewrite the selected notes as a single commit rather than one per note, then clear the selection.
+  // `describe` turns the loaded notes into { changes, message, doneMessage }, or null when nothing changes.
+  const runBulkWrite = useCallback(async (describe, nothingToDo = 'Nothing to change in the selected notes') => {
+    if (!noteStore || selectedNotes.length === 0) return false;
+
+    const includesActive = !!activeNote && selectedNotes.some(note => note.path === activeNote.path);
+    if (includesActive && notes !== activeNote.content) {
+      showMessage('Save or close the note you are editing before changing it with others', 'error');
+      return false;
+    }
+
+    setIsSaving(true);
+    try {
+      const loaded = await withContents(selectedNotes);
+      if (loaded.length < selectedNotes.length) {
+        showMessage(`Could not load ${selectedNotes.length - loaded.length} of the selected notes. Please try again.`, 'error');
+        return false;
+      }
+      const write = await describe(loaded);
+      if (!write) {
+        showMessage(nothingToDo, 'error');
+        return false;
+      }
+
+      const queued = await submitWrite({ changes: write.changes, message: write.message });
+      showMessage(queued ? QUEUED_MESSAGE : write.doneMessage);
+      setSelectedPaths([]);
+      if (includesActive) closeEditor();
+      if (!queued) await fetchNotes();
+      return true;
+    } catch (error) {
+      if (isConflictError(error)) {
+        showMessage('Some of the selected notes changed on GitHub. The list has been refreshed; please try again.', 'error');
+        await fetchNotes();
+      } else {
+        showMessage(getFriendlyErrorMessage(error), 'error');
+      }
+      console.error('Error updating selected notes:', error);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, selectedNotes, activeNote, notes, withContents, submitWrite, showMessage, closeEditor, fetchNotes]);
+
+  const trashSelectedNotes = useCallback(async () => {
+    if (!window.confirm(`Move ${selectedNotes.length} note${selectedNotes.length === 1 ? '' : 's'} to the trash?`)) return;
+
+    const deletedAt = new Date();
+    const done = await runBulkWrite(loaded => ({
+      // A note that was never committed has no version worth keeping
+      changes: loaded.flatMap(note => (note.sha
+        ? [{ path: trashPathFor(note.path, deletedAt), content: note.content }, { path: note.path, sha: note.sha, delete: true }]
+        : [{ path: note.path, delete: true }])),
+      message: `Move ${loaded.length} GitNotes to trash`,
+      doneMessage: `Moved ${loaded.length} notes to the trash`
+    }));
+    if (done) {
+      selectedNotes.forEach(note => discardDraft(noteDraftId(selectedRepo.full_name, note.path)));
+    }
+  }, [selectedNotes, selectedRepo, runBulkWrite, discardDraft]);
+
+  // Move the selected notes into a folder, keeping their file names unless one is taken there
+  const moveSelectedNotes = useCallback(async (folder) => {
+    const target = resolveNoteFolder(folder, repoConfig.config);
+    const where = target || 'the repository root';
+    let moves = [];
+    const done = await runBulkWrite(async (loaded) => {
+      const takenPaths = new Set(savedNotes.map(note => note.path));
+      moves = loaded
+        .filter(note => getParentFolder(note.path) !== target)
+        .map(note => {
+          const path = uniquePath(joinPath(target, getBaseName(note.path)), takenPaths);
+          takenPaths.add(path);
+          return { note, path };
+        });
+      if (moves.length === 0) return null;
+
+      const allNotes = await loadAllNotes();
+      if (allNotes.length < savedNotesRef.current.length) {
+        throw new Error('Could not load every note to update links to the moved notes');
+      }
+      return {
+        changes: buildMoveChanges(moves, allNotes),
+        message: `Move ${moves.length} GitNotes to ${where}`,
+        doneMessage: `Moved ${moves.length} notes to ${where}`
+      };
+    }, `The selected notes are already in ${where}`);
+    if (done) {
+      updateDrafts(prev => moveDrafts(prev, selectedRepo.full_name, new Map(moves.map(({ note, path }) => [note.path, path]))));
+    }
+  }, [repoConfig, savedNotes, selectedRepo, runBulkWrite, loadAllNotes, updateDrafts]);
+
+  // Rename or move one note in a single commit that also points links in other notes at its new path
+  const renameNote = useCallback(async (note, path) => {
+    if (!noteStore) return false;
+    if (activeNote?.path === note.path && notes !== activeNote.content) {
+      showMessage('Save or close the note before renaming it', 'error');
+      return false;
+    }
+
+    setIsSaving(true);
+    try {
+      const allNotes = await loadAllNotes();
+      const renamed = allNotes.find(n => n.path === note.path);
+      if (!renamed || allNotes.length < savedNotesRef.current.length) {
+        showMessage('Could not load every note to update links. Please try again.', 'error');
+        return false;
+      }
+
+      const changes = buildMoveChanges([{ note: renamed, path }], allNotes);
+      const linking = changes.length - 2;
+      const links = linking > 0 ? ` and update links in ${linking} note${linking === 1 ? '' : 's'}` : '';
+      const queued = await submitWrite({ changes, message: `Rename GitNote ${note.path} to ${path}${links}` });
+
+      updateDrafts(prev => moveDrafts(prev, selectedRepo.full_name, new Map([[note.path, path]])));
+      setSelectedPaths(prev => prev.map(p => (p === note.path ? path : p)));
+      if (activeNote?.path === note.path) closeEditor();
+      showMessage(queued ? QUEUED_MESSAGE : `Renamed to ${path}${linking > 0 ? `, links updated in ${linking} note${linking === 1 ? '' : 's'}` : ''}`);
+      if (!queued) await fetchNotes();
+      return true;
+    } catch (error) {
+      showMessage(getFriendlyErrorMessage(error), 'error');
+      console.error('Error renaming note:', error);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, activeNote, notes, selectedRepo, loadAllNotes, submitWrite, updateDrafts, closeEditor, showMessage, fetchNotes]);
+
+  const tagSelectedNotes = useCallback((tag, remove = false) => {
+    runBulkWrite(loaded => {
+      const changes = loaded
+        .map(note => ({ note, content: remove ? removeTagFromContent(note.content, tag) : addTagToContent(note.content, tag) }))
+        .filter(({ note, content }) => content !== note.content)
+        .map(({ note, content }) => ({ path: note.path, content: withSaveMetadata(note.path, content), sha: note.sha }));
+      if (changes.length === 0) return null;
+
+      return {
+        changes,
+        message: remove ? `Remove tag #${tag} from ${changes.length} GitNotes` : `Add tag #${tag} to ${changes.length} GitNotes`,
+        doneMessage: remove ? `Removed #${tag} from ${changes.length} notes` : `Added #${tag} to ${changes.length} notes`
+      };
+    }, remove ? `None of the selected notes use #${tag}` : `The selected notes already have #${tag}`);
+  }, [runBulkWrite]);
+
+  // Tags used by any selected note, for removing them in bulk
+  const selectedTags = React.useMemo(() => {
+    return Array.from(new Set(selectedNotes.flatMap(note => note.tags))).sort((a, b) => a.localeCompare(b));
+  }, [selectedNotes]);
+
+  // Checkboxes from every loaded note, for the Tasks view
+  const tasks = React.useMemo(() => (showTasks ? collectTasks(savedNotes) : []), [showTasks, savedNotes]);
+
+  // Tick or untick a task in the note it came from. If the note changed on GitHub since it was
+  // loaded, the task is looked up again in the latest version and the change committed on top of that.
+  const toggleTask = useCallback(async (task, done) => {
+    const note = savedNotes.find(n => n.path === task.path);
+    if (!noteStore || !note?.isLoaded) return;
+
+    if (activeNote?.path === note.path && notes !== activeNote.content) {
+      showMessage('Save or close this note in the editor before changing its tasks here', 'error');
+      return;
+    }
+
+    const message = `${done ? 'Complete' : 'Reopen'} task in GitNote: ${note.name}`;
+    // Resolves to 'missing', 'unchanged', 'queued' or 'committed'
+    const writeTask = async (content, sha) => {
+      const updated = setTaskDone(content, task, done);
+      if (updated === null) return 'missing';
+      if (updated === content) return 'unchanged';
+      const queued = await submitWrite({ changes: [{ path: note.path, content: withSaveMetadata(note.path, updated), sha }], message });
+      return queued ? 'queued' : 'committed';
+    };
+
+    setIsSaving(true);
+    try {
+      let result;
+      try {
+        result = await writeTask(note.content, note.sha);
+      } catch (error) {
+        if (!isConflictError(error)) throw error;
+        const latest = await noteStore.read(note.path);
+        result = await writeTask(latest.content, latest.sha);
+      }
+
+      if (result === 'missing') {
+        showMessage('This task is no longer in the note. The list has been refreshed.', 'error');
+      } else if (result === 'queued') {
+        showMessage(QUEUED_MESSAGE);
+      } else {
+        showMessage(done ? 'Task completed' : 'Task reopened');
+      }
+      // The editor would otherwise save over the change with the old sha
+      if (result === 'queued' || result === 'committed') {
+        if (activeNote?.path === note.path) closeEditor();
+      }
+      if (result !== 'queued') await fetchNotes();
+    } catch (error) {
+      if (isConflictError(error)) {
+        showMessage('This note keeps changing on GitHub. The list has been refreshed; please try again.', 'error');
+        await fetchNotes();
+      } else {
+        showMessage(getFriendlyErrorMessage(error), 'error');
+      }
+      console.error('Error updating task:', error);
     } finally {
       setIsSaving(false);
     }
-  }, [octokit, selectedRepo, notes, activeNote, user, showMessage, fetchNotes]);
+  }, [noteStore, savedNotes, activeNote, notes, submitWrite, showMessage, closeEditor, fetchNotes]);
 
-  // Auto-save new notes when typing
-  const autoSaveNewNote = useCallback(async () => {
-    if (!octokit || !selectedRepo || !user || !notes.trim()) {
-      return; // Don't auto-save if no content, no repo
-    }
+  // Open today's daily note, committing it from the daily template first when it does not exist yet
+  const openTodaysNote = useCallback(async () => {
+    if (!noteStore || isSaving) return;
 
-    // Only auto-save if this is truly a new note (not editing existing)
-    if (activeNote) {
+    const path = dailyNotePath(repoConfig.config);
+    const existing = savedNotes.find(note => note.path === path);
+    if (existing) {
+      if (activeNote?.path !== path) await loadNote(existing);
       return;
     }
 
+    setIsSaving(true);
     try {
-      // Generate unique filename with timestamp to avoid conflicts
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const fileName = `gitnote-${timestamp}.md`;
-      const content = btoa(unescape(encodeURIComponent(notes)));
-
-      await octokit.rest.repos.createOrUpdateFileContents({
-        owner: user.login,
-        repo: selectedRepo.name,
-        path: fileName,
-        message: `Create GitNote: ${fileName}`,
-        content: content
-      });
+      const rendered = renderTemplate(repoConfig.config.dailyTemplate, templateVariables({ user, repo: selectedRepo }));
+      const content = withSaveMetadata(path, rendered.content);
+      const queued = await submitWrite({ changes: [{ path, content }], message: `Create daily GitNote: ${getBaseName(path)}` });
+      if (queued) {
+        showMessage(`${QUEUED_MESSAGE} Open today's note from the list to keep writing.`);
+        return;
+      }
 
-      showMessage('Note created and saved to GitHub!');
-      
-      // Clear the editor to allow creating new notes
-      setNotes('');
-      // Keep activeNote as null so new notes can be created
-      
-      // Refresh the notes list
+      const created = await noteStore.read(path);
       await fetchNotes();
+      await loadNote(buildNote({ path, sha: created.sha, size: created.content.length }, created.content));
+      // The front matter goes in front of the template, so {{cursor}} is counted from the end
+      if (rendered.cursor !== null) focusEditorAt(created.content.length - (rendered.content.length - rendered.cursor));
     } catch (error) {
-      showMessage('Failed to auto-save note', 'error');
-      console.error('Error auto-saving note:', error);
-    }
-  }, [octokit, selectedRepo, notes, activeNote, user, fetchNotes]);
-
-  // Load note for editing
-  const loadNote = useCallback((note) => {
-    setNotes(note.content);
-    setActiveNote(note);
-    showMessage('Note loaded for editing');
-  }, [showMessage]);
-
-  // Enhanced error handling with retry logic
-  const retryOperation = useCallback(async (operation, maxRetries = 3) => {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        return await operation();
-      } catch (error) {
-        if (i === maxRetries - 1) throw error;
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
+      if (isConflictError(error)) {
+        showMessage("Today's note was just created elsewhere. The list has been refreshed; please try again.", 'error');
+        await fetchNotes();
+      } else {
+        showMessage(getFriendlyErrorMessage(error), 'error');
       }
+      console.error("Error creating today's note:", error);
+    } finally {
+      setIsSaving(false);
     }
-  }, []);
-
-  // Export notes to JSON file
-  const exportNotes = useCallback(() => {
-    const exportData = {
-      metadata: {
-        exportDate: new Date().toISOString(),
-        repository: selectedRepo?.full_name,
-        totalNotes: savedNotes.length,
-        version: '1.0'
-      },
-      notes: savedNotes.map(note => ({
-        name: note.name,
-        content: note.content,
-        createdDate: new Date(note.name.replace('gitnote-', '').replace('.md', '').replace(/_/g, 'T').replace(/-/g, ':')).toISOString(),
-        size: note.size
-      }))
-    };
+  }, [noteStore, isSaving, repoConfig, savedNotes, activeNote, user, selectedRepo, loadNote, submitWrite, focusEditorAt, showMessage, fetchNotes]);
 
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `gitnote-export-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    
-    showMessage(`Exported ${savedNotes.length} notes successfully`);
-  }, [savedNotes, selectedRepo, showMessage]);
+  // Trashed notes can still be restored, so their links keep attachments in use. Their contents are
+  // downloaded when the attachments manager opens.
+  const trashedNotes = React.useMemo(() => trashFiles
+    .filter(entry => trashContents.has(entry.sha))
+    .map(entry => ({ ...entry, content: trashContents.get(entry.sha) })), [trashFiles, trashContents]);
 
-  // Import notes from JSON file
-  const importNotes = useCallback((event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  useEffect(() => {
+    if (!showAttachments || !noteStore) return;
+    const missing = trashFiles.filter(entry => !trashContents.has(entry.sha));
+    if (missing.length === 0) return;
 
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-      try {
-        const importData = JSON.parse(e.target.result);
-        
-        if (!importData.notes || !Array.isArray(importData.notes)) {
-          throw new Error('Invalid import file format');
-        }
+    loadContents(noteStore, missing).then(contents => {
+      // Entries that failed to download stay missing, which keeps their attachments from being offered for deletion
+      if (contents.size > 0) setTrashContents(prev => new Map([...prev, ...contents]));
+    });
+  }, [showAttachments, noteStore, trashFiles, trashContents]);
 
-        let importedCount = 0;
-        for (const note of importData.notes) {
-          if (note.content && note.name) {
-            // Create a new note with imported content
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_');
-            const fileName = `gitnote-${timestamp}.md`;
-            
-            try {
-              await octokit.rest.repos.createOrUpdateFileContents({
-                owner: user.login,
-                repo: selectedRepo.name,
-                path: fileName,
-                message: `Import GitNote: ${fileName}`,
-                content: btoa(unescape(encodeURIComponent(note.content)))
-              });
-              importedCount++;
-            } catch (error) {
-              console.error('Error importing note:', error);
-            }
-          }
-        }
+  // Templates with their contents, which are downloaded when the picker opens
+  const templates = React.useMemo(() => templateFiles.map(file => ({
+    ...file,
+    content: templateContents.has(file.sha) ? templateContents.get(file.sha) : undefined
+  })), [templateFiles, templateContents]);
 
-        showMessage(`Successfully imported ${importedCount} notes`);
-        await fetchNotes();
-        
-        // Reset file input
-        event.target.value = '';
-      } catch (error) {
-        showMessage('Failed to import notes: Invalid file format', 'error');
-        console.error('Import error:', error);
-      }
-    };
-    reader.readAsText(file);
-  }, [octokit, selectedRepo, user, showMessage, fetchNotes]);
+  useEffect(() => {
+    if (!templatePicker || !noteStore) return;
+    const missing = templateFiles.filter(file => !templateContents.has(file.sha));
+    if (missing.length === 0) return;
 
-  // Delete note
-  const deleteNote = useCallback(async (note) => {
-    if (!octokit || !selectedRepo || !user) return;
+    loadContents(noteStore, missing).then(contents => {
+      // Templates that failed to download are marked with null so they are not retried in a loop
+      setTemplateContents(prev => new Map([...prev, ...missing.map(file => [file.sha, contents.get(file.sha) ?? null])]));
+    });
+  }, [templatePicker, noteStore, templateFiles, templateContents]);
 
-    if (window.confirm('Are you sure you want to delete this note?')) {
-      setIsLoading(true);
-      try {
-        await retryOperation(async () => {
-          await octokit.rest.repos.deleteFile({
-            owner: user.login,
-            repo: selectedRepo.name,
-            path: note.path,
-            message: `Delete GitNote: ${note.name}`,
-            sha: note.sha
-          });
-        });
-        
-        showMessage('Note deleted successfully');
-        await fetchNotes();
-        if (activeNote?.path === note.path) {
-          setNotes('');
-          setActiveNote(null);
-        }
-      } catch (error) {
-        showMessage('Failed to delete note after multiple attempts', 'error');
-        console.error('Error deleting note:', error);
-      } finally {
-        setIsLoading(false);
-      }
+  const pickTemplate = useCallback((template) => {
+    const picker = templatePicker;
+    setTemplatePicker(null);
+    if (picker.purpose === 'import') {
+      runImport(picker.importData, template);
+      return;
     }
-  }, [octokit, selectedRepo, user, activeNote, showMessage, fetchNotes, retryOperation]);
 
-  // Initialize repositories on mount
-  useEffect(() => {
-    if (isAuthenticated && octokit) {
-      fetchRepositories();
+    if (template && template.content == null) {
+      showMessage(`The template "${template.name}" could not be loaded. Please try again.`, 'error');
+      return;
     }
-  }, [isAuthenticated, octokit, fetchRepositories]);
+    closeEditor();
+    if (!template) return;
+    const { content, cursor } = renderTemplate(template.content, templateVariables({ user, repo: selectedRepo }));
+    setNotes(content);
+    focusEditorAt(cursor ?? content.length);
+  }, [templatePicker, user, selectedRepo, runImport, closeEditor, focusEditorAt, showMessage]);
 
-  // Handle OAuth callback on mount
-  useEffect(() => {
-    const handleOAuthCallback = async () => {
-      const urlParams = new URLSearchParams(window.location.search);
-      const code = urlParams.get('code');
-      
-      if (code && !isAuthenticated) {
-        try {
-          await loginWithOAuthCode(code);
-          // Clear the code from URL
-          window.history.replaceState({}, document.title, window.location.pathname);
-        } catch (error) {
-          console.error('OAuth callback error:', error);
-          showMessage('OAuth authentication failed. Please use a personal access token instead.', 'error');
-          // Clear the code from URL
-          window.history.replaceState({}, document.title, window.location.pathname);
-        }
+  // Create a template, or change the content of an existing one; resolves to true when saved
+  const saveTemplate = useCallback(async ({ template, name, content }) => {
+    if (!noteStore) return false;
+
+    setIsSaving(true);
+    try {
+      const path = template ? template.path : templatePathFor(name, new Set(templateFiles.map(file => file.path)));
+      const queued = await submitWrite({
+        changes: [template ? { path, content, sha: template.sha } : { path, content }],
+        message: `${template ? 'Update' : 'Add'} GitNote template: ${template ? template.name : name.trim()}`
+      });
+      showMessage(queued ? QUEUED_MESSAGE : template ? 'Template updated' : 'Template added');
+      if (!queued) await fetchNotes();
+      return true;
+    } catch (error) {
+      if (isConflictError(error)) {
+        showMessage('This template changed on GitHub. The templates have been refreshed; please edit it again.', 'error');
+        await fetchNotes();
+      } else {
+        showMessage(getFriendlyErrorMessage(error), 'error');
       }
-    };
+      console.error('Error saving template:', error);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [noteStore, templateFiles, submitWrite, showMessage, fetchNotes]);
 
-    handleOAuthCallback();
-  }, [isAuthenticated, showMessage, loginWithOAuthCode]);
+  const deleteTemplate = useCallback(async (template) => {
+    if (!noteStore) return;
 
-  // Fetch notes when repository is selected
-  useEffect(() => {
-    if (selectedRepo) {
-      fetchNotes();
-    } else {
-      setSavedNotes([]);
+    setIsSaving(true);
+    try {
+      const queued = await submitWrite({
+        changes: [{ path: template.path, sha: template.sha, delete: true }],
+        message: `Delete GitNote template: ${template.name}`
+      });
+      showMessage(queued ? QUEUED_MESSAGE : 'Template deleted');
+      if (!queued) await fetchNotes();
+    } catch (error) {
+      showMessage(getFriendlyErrorMessage(error), 'error');
+      console.error('Error deleting template:', error);
+    } finally {
+      setIsSaving(false);
     }
-  }, [selectedRepo, fetchNotes]);
+  }, [noteStore, submitWrite, showMessage, fetchNotes]);
 
-  // Filter and search notes
-  const filteredNotes = React.useMemo(() => {
-    let filtered = savedNotes;
+  // Download note contents as their cards scroll into view
+  useEffect(() => {
+    const pendingNotes = filteredNotes.filter(note => !note.isLoaded);
+    if (pendingNotes.length === 0) return undefined;
 
-    // Apply search filter
-    if (searchTerm.trim()) {
-      const searchLower = searchTerm.toLowerCase();
-      filtered = filtered.filter(note => 
-        note.name.toLowerCase().includes(searchLower) ||
-        note.content.toLowerCase().includes(searchLower)
-      );
+    if (typeof IntersectionObserver === 'undefined') {
+      loadNoteContents(pendingNotes);
+      return undefined;
     }
 
-    // Apply sorting
-    if (filters.sortBy === 'newest') {
-      filtered = [...filtered].sort((a, b) => {
-        const dateA = new Date(a.name.replace('gitnote-', '').replace('.md', '').replace(/_/g, 'T').replace(/-/g, ':'));
-        const dateB = new Date(b.name.replace('gitnote-', '').replace('.md', '').replace(/_/g, 'T').replace(/-/g, ':'));
-        return dateB - dateA;
-      });
-    } else if (filters.sortBy === 'oldest') {
-      filtered = [...filtered].sort((a, b) => {
-        const dateA = new Date(a.name.replace('gitnote-', '').replace('.md', '').replace(/_/g, 'T').replace(/-/g, ':'));
-        const dateB = new Date(b.name.replace('gitnote-', '').replace('.md', '').replace(/_/g, 'T').replace(/-/g, ':'));
-        return dateA - dateB;
-      });
-    } else if (filters.sortBy === 'name') {
-      filtered = [...filtered].sort((a, b) => 
-        a.name.localeCompare(b.name)
-      );
-    } else if (filters.sortBy === 'size') {
-      filtered = [...filtered].sort((a, b) => b.size - a.size);
-    }
+    const observer = new IntersectionObserver((entries) => {
+      const visiblePaths = entries
+        .filter(entry => entry.isIntersecting)
+        .map(entry => entry.target.dataset.path);
+      if (visiblePaths.length > 0) {
+        loadNoteContents(pendingNotes.filter(note => visiblePaths.includes(note.path)));
+      }
+    }, { rootMargin: '200px' });
 
-    return filtered;
-  }, [savedNotes, searchTerm, filters]);
+    document.querySelectorAll('.note-card[data-loaded="false"]').forEach(card => observer.observe(card));
+    return () => observer.disconnect();
+  }, [filteredNotes, loadNoteContents]);
 
   // Keyboard shortcuts
   useEffect(() => {
     const handleShortcuts = (e) => {
-      // Only handle shortcuts when no modal inputs are focused
+      // Saving also works while typing in the editor; other shortcuts wait until no input is focused
+      const isSaveShortcut = (e.ctrlKey || e.metaKey) && e.key === 's';
+      if (e.target === editorRef.current && isSaveShortcut) {
+        e.preventDefault();
+        if (notes.trim() && !isSaving) {
+          saveNotes();
+        }
+        return;
+      }
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
         return;
       }
@@ -458,8 +1971,7 @@ const App = () => {
       // Ctrl/Cmd + N: New note
       if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
         e.preventDefault();
-        setNotes('');
-        setActiveNote(null);
+        closeEditor();
         showMessage('Created new note');
       }
       
@@ -471,6 +1983,13 @@ const App = () => {
         }
       }
       
+      // Ctrl/Cmd + Shift + D: Today's note
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        openTodaysNote();
+        return;
+      }
+
       // Ctrl/Cmd + F: Focus search
       if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
         e.preventDefault();
@@ -484,9 +2003,7 @@ const App = () => {
       // Ctrl/Cmd + D: Delete active note
       if ((e.ctrlKey || e.metaKey) && e.key === 'd' && activeNote) {
         e.preventDefault();
-        if (window.confirm('Are you sure you want to delete this note?')) {
-          deleteNote(activeNote);
-        }
+        deleteNote(activeNote);
       }
       
       // Escape: Clear search or cancel editing
@@ -495,8 +2012,7 @@ const App = () => {
           setSearchTerm('');
           showMessage('Search cleared');
         } else if (activeNote) {
-          setNotes('');
-          setActiveNote(null);
+          closeEditor();
           showMessage('Editing cancelled');
         }
       }
@@ -504,7 +2020,7 @@ const App = () => {
 
     window.addEventListener('keydown', handleShortcuts);
     return () => window.removeEventListener('keydown', handleShortcuts);
-  }, [saveNotes, deleteNote, activeNote, notes, isSaving, searchTerm, showMessage]);
+  }, [saveNotes, deleteNote, closeEditor, openTodaysNote, activeNote, notes, isSaving, searchTerm, showMessage]);
 
   // Auto-save when user types in a new note (with debounce) - DISABLED to prevent infinite loops
   // useEffect(() => {
@@ -518,35 +2034,35 @@ const App = () => {
   //   }
   // }, [notes, activeNote, autoSaveNewNote]);
 
-  // Auto-save draft to localStorage for offline support
+  // Keep a draft of the editor while it differs from the committed note (or, for a new note, while it has text)
   useEffect(() => {
-    if (notes.trim()) {
-      const draftData = {
-        content: notes,
-        timestamp: new Date().toISOString(),
-        activeNote: activeNote
-      };
-      localStorage.setItem('gitnote-draft', JSON.stringify(draftData));
-    } else {
-      localStorage.removeItem('gitnote-draft');
-    }
-  }, [notes, activeNote]);
+    if (!selectedRepo) return;
 
-  // Load draft from localStorage on component mount
-  useEffect(() => {
-    const savedDraft = localStorage.getItem('gitnote-draft');
-    if (savedDraft && !activeNote && !notes.trim()) {
-      try {
-        const draftData = JSON.parse(savedDraft);
-        setNotes(draftData.content);
-        setActiveNote(draftData.activeNote);
-        showMessage('Draft restored from local storage');
-      } catch (error) {
-        console.error('Error loading draft:', error);
-        localStorage.removeItem('gitnote-draft');
-      }
+    const base = activeNote ? activeNote.content : '';
+    if (notes === base || (!activeNote && !notes.trim())) {
+      discardDraft(editorDraftId);
+      return;
     }
-  }, [activeNote, notes, showMessage]);
+
+    const id = editorDraftId || newDraftId(selectedRepo.full_name);
+    if (!editorDraftId) setNewDraftKey(id);
+    updateDrafts(prev => {
+      const path = activeNote ? activeNote.path : null;
+      if (prev[id] && prev[id].content === notes && prev[id].path === path) return prev;
+      return {
+        ...prev,
+        [id]: {
+          id,
+          repo: selectedRepo.full_name,
+          path,
+          folder: activeNote ? getParentFolder(activeNote.path) : selectedFolder,
+          content: notes,
+          baseSha: activeNote ? activeNote.sha : null,
+          updatedAt: new Date().toISOString()
+        }
+      };
+    });
+  }, [notes, activeNote, selectedRepo, selectedFolder, editorDraftId, discardDraft, updateDrafts]);
 
   // Show loading state
   if (loading) {
@@ -611,25 +2127,15 @@ const App = () => {
         <div className="repo-section">
           <div className="repo-header">
             <h2>📁 Repository</h2>
-            <select 
-              value={selectedRepo?.id || ''}
-              onChange={(e) => {
-                const repo = repositories.find(r => r.id === parseInt(e.target.value));
-                if (repo) {
-                  setSelectedRepo(repo);
-                  showMessage(`Selected: ${repo.full_name}`);
-                }
+            <RepoPicker
+              repositories={repositories}
+              selectedRepo={selectedRepo}
+              onSelect={(repo) => {
+                selectRepository(repo);
+                showMessage(`Selected: ${repo.full_name}`);
               }}
-              className="repo-select"
-              disabled={repositories.length === 0}
-            >
-              <option value="">{repositories.length === 0 ? 'Loading repositories...' : 'Select a repository'}</option>
-              {repositories.map(repo => (
-                <option key={repo.id} value={repo.id}>
-                  {repo.full_name}
-                </option>
-              ))}
-            </select>
+              isLoading={isLoading}
+            />
             <button 
               onClick={fetchRepositories}
               disabled={isLoading}
@@ -637,16 +2143,36 @@ const App = () => {
             >
               🔄 Refresh
             </button>
+            {octokit && (
+              <button 
+                onClick={() => setShowCreateRepo(true)}
+                className="refresh-btn"
+                title="Create a new private notes repository"
+              >
+                ✨ New
+              </button>
+            )}
           </div>
+          {repoBranchSettings && (
+            <BranchBar
+              branches={branches}
+              settings={repoBranchSettings}
+              onChange={updateBranchSettings}
+              pullRequest={pullRequest}
+              onRefreshPullRequest={refreshPullRequest}
+              disabled={isLoading || isSaving}
+            />
+          )}
         </div>
 
         {/* ML Commit Reminder Section */}
-        {selectedRepo && (
+        {selectedRepo && !selectedRepo.isLocal && (
           <MLCommitReminder 
             octokit={octokit}
             selectedRepo={selectedRepo}
             user={user}
             showMessage={showMessage}
+            onWriteDailyNote={openTodaysNote}
           />
         )}
 
@@ -656,20 +2182,38 @@ const App = () => {
             <div className="notes-header">
               <div className="notes-header-container">
                 <h2>📝 Notes</h2>
+                {!selectedRepo.isLocal && (
+                  <PendingChanges
+                    entries={queuedWrites}
+                    isOnline={isOnline}
+                    isSyncing={isSyncing}
+                    onSync={replayWriteQueue}
+                    onResolve={resolveQueuedWrite}
+                    onRetry={retryQueuedWrite}
+                    onDiscard={discardQueuedWrite}
+                    disabled={isSaving}
+                  />
+                )}
                 <div className="notes-actions-group">
                   <button 
-                    onClick={() => {
-                      setNotes('');
-                      setActiveNote(null);
-                    }}
+                    onClick={() => setTemplatePicker({ purpose: 'note' })}
                     className="action-button primary-button"
-                    title="Create a new note"
+                    title="Create a new note, blank or from a template"
                   >
                     <span className="button-icon">➕</span>
                     <span className="button-text">New Note</span>
                   </button>
+                  <button
+                    onClick={openTodaysNote}
+                    disabled={isSaving}
+                    className="action-button secondary-button"
+                    title={`Open or start ${dailyNotePath(repoConfig.config)} (Ctrl/Cmd+Shift+D)`}
+                  >
+                    <span className="button-icon">📅</span>
+                    <span className="button-text">Today's Note</span>
+                  </button>
                   <button 
-                    onClick={exportNotes}
+                    onClick={() => exportNotes()}
                     disabled={savedNotes.length === 0}
                     className="action-button secondary-button"
                     title="Export all notes to JSON file"
@@ -677,6 +2221,50 @@ const App = () => {
                     <span className="button-icon">📤</span>
                     <span className="button-text">Export</span>
                   </button>
+                  <button
+                    onClick={() => setShowDrafts(true)}
+                    className="action-button secondary-button"
+                    title="Resume, compare or discard unsaved drafts"
+                  >
+                    <span className="button-icon">📝</span>
+                    <span className="button-text">Drafts{repoDrafts.length > 0 ? ` (${repoDrafts.length})` : ''}</span>
+                  </button>
+                  <button
+                    onClick={() => setShowTasks(true)}
+                    disabled={isLoading}
+                    className="action-button secondary-button"
+                    title="Checkboxes from all notes"
+                  >
+                    <span className="button-icon">☑️</span>
+                    <span className="button-text">Tasks</span>
+                  </button>
+                  <button
+                    onClick={() => setShowTrash(true)}
+                    disabled={isLoading}
+                    className="action-button secondary-button"
+                    title="Restore or permanently delete deleted notes"
+                  >
+                    <span className="button-icon">🗑️</span>
+                    <span className="button-text">Trash{trashFiles.length > 0 ? ` (${trashFiles.length})` : ''}</span>
+                  </button>
+                  <button
+                    onClick={() => setShowAttachments(true)}
+                    disabled={isLoading}
+                    className="action-button secondary-button"
+                    title="Review and clean up attachments"
+                  >
+                    <span className="button-icon">📎</span>
+                    <span className="button-text">Attachments</span>
+                  </button>
+                  <button
+                    onClick={() => setShowSettings(true)}
+                    disabled={isLoading}
+                    className="action-button secondary-button"
+                    title="Choose where notes are stored and how they are named"
+                  >
+                    <span className="button-icon">⚙️</span>
+                    <span className="button-text">Settings</span>
+                  </button>
                   <label className="action-button secondary-button import-button">
                     <span className="button-icon">📥</span>
                     <span className="button-text">Import</span>
@@ -684,40 +2272,160 @@ const App = () => {
                       type="file"
                       accept=".json"
                       onChange={importNotes}
+                      disabled={!!importProgress}
                       style={{ display: 'none' }}
                     />
                   </label>
                 </div>
               </div>
+              {repoConfig.error && (
+                <div className="config-warning" role="alert">
+                  ⚠️ {repoConfig.error}. Using the default note settings until it is fixed.
+                </div>
+              )}
+              {importProgress && (
+                <div className="import-progress" role="status">
+                  <div className="import-progress-label">
+                    {importProgress.phase === 'blobs'
+                      ? `Uploading notes ${importProgress.done}/${importProgress.total}...`
+                      : `Creating commit for ${importProgress.total} notes...`}
+                  </div>
+                  <div className="import-progress-bar">
+                    <div
+                      className="import-progress-fill"
+                      style={{ width: `${importProgress.total ? Math.round((importProgress.done / importProgress.total) * 100) : 100}%` }}
+                    />
+                  </div>
+                </div>
+              )}
             </div>
 
-            <div className="notes-content">
+            <div className="notes-content with-sidebar">
+              {/* Folder and Tag Sidebar */}
+              <div className="notes-sidebar">
+                <FolderTree
+                  folders={folders}
+                  notes={savedNotes}
+                  selectedFolder={selectedFolder}
+                  onSelectFolder={setSelectedFolder}
+                  onCreateFolder={createFolder}
+                  disabled={isLoading || isSaving}
+                />
+                <TagCloud
+                  tagCounts={tagCounts}
+                  selectedTags={filters.tags}
+                  tagMode={filters.tagMode}
+                  onToggleTag={toggleTagFilter}
+                  onModeChange={(tagMode) => setFilters(prev => ({ ...prev, tagMode }))}
+                  onClear={() => setFilters(prev => ({ ...prev, tags: [] }))}
+                  onRenameTag={renameTag}
+                  unloadedCount={folderNotes.filter(note => !note.isLoaded).length}
+                  onLoadAll={loadAllNotes}
+                  disabled={isLoading || isSaving}
+                />
+              </div>
+
               {/* Note Editor */}
               <div className="note-editor">
                 <div className="editor-header">
                   <h3>
-                    {activeNote ? `Editing: ${activeNote.name}` : 'New Note'}
+                    {activeNote ? `Editing: ${activeNote.path}` : resolveNoteFolder(selectedFolder, repoConfig.config) ? `New Note in ${resolveNoteFolder(selectedFolder, repoConfig.config)}` : 'New Note'}
                   </h3>
-                  {activeNote && (
-                    <button 
-                      onClick={() => {
-                        setNotes('');
-                        setActiveNote(null);
+                  <div className="editor-header-actions">
+                    <div className="editor-mode-toggle" role="group" aria-label="Editor view">
+                      {[['edit', '✏️ Edit'], ['split', '◫ Split'], ['preview', '👁️ Preview']].map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          className={editorMode === mode ? 'active' : ''}
+                          onClick={() => setEditorMode(mode)}
+                          aria-pressed={editorMode === mode}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    {activeNote && (
+                      <button 
+                        onClick={closeEditor}
+                        className="cancel-edit-btn"
+                      >
+                        ❌ Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+                
+                {editorMode !== 'preview' && (
+                  <EditorToolbar
+                    onAction={(action) => applyEditorCommand(FORMAT_ACTIONS[action])}
+                    disabled={isSaving}
+                  />
+                )}
+
+                <div className={`editor-panes ${editorMode}`}>
+                  {editorMode !== 'preview' && (
+                    <textarea
+                      ref={editorRef}
+                      value={notes}
+                      onChange={(e) => setNotes(e.target.value)}
+                      onSelect={(e) => updateLinkQuery(e.target)}
+                      onKeyDown={handleEditorKeyDown}
+                      onClick={handleEditorClick}
+                      onBlur={() => setLinkQuery(null)}
+                      onScroll={(e) => syncScroll(e.target, previewRef.current)}
+                      onPaste={handleEditorPaste}
+                      onDragOver={(e) => {
+                        if (Array.from(e.dataTransfer.types).includes('Files')) {
+                          e.preventDefault();
+                          setIsDraggingFile(true);
+                        }
                       }}
-                      className="cancel-edit-btn"
-                    >
-                      ❌ Cancel
-                    </button>
+                      onDragLeave={() => setIsDraggingFile(false)}
+                      onDrop={handleEditorDrop}
+                      placeholder="Start writing your note here... The first # heading becomes the title, or add YAML front matter with title and tags. Type [[ to link another note. Paste or drop images and files to attach them."
+                      className={`note-textarea ${isDraggingFile ? 'drag-over' : ''}`}
+                      disabled={isSaving}
+                    />
+                  )}
+                  {editorMode !== 'edit' && (
+                    <MarkdownPreview
+                      ref={previewRef}
+                      content={notes}
+                      resolveWikiLink={resolveWikiLink}
+                      onOpenWikiLink={openWikiLink}
+                      onOpenLink={openMarkdownLink}
+                      onScroll={(e) => syncScroll(e.currentTarget, editorRef.current)}
+                    />
                   )}
                 </div>
-                
-                <textarea
-                  value={notes}
-                  onChange={(e) => setNotes(e.target.value)}
-                  placeholder="Start writing your note here..."
-                  className="note-textarea"
-                  disabled={isSaving}
-                />
+
+                {linkQuery && (
+                  <LinkSuggestions
+                    query={linkQuery.query}
+                    suggestions={linkSuggestions}
+                    activeIndex={linkSuggestionIndex}
+                    onPick={insertWikiLink}
+                    onHover={setLinkSuggestionIndex}
+                  />
+                )}
+
+                {pendingAttachments.length > 0 && (
+                  <div className="pending-attachments">
+                    <span className="pending-attachments-label">📎 Uploaded with this note:</span>
+                    {pendingAttachments.map(attachment => (
+                      <span key={attachment.path} className="pending-attachment" title={attachment.path}>
+                        {attachment.name}
+                        <button
+                          onClick={() => removePendingAttachment(attachment)}
+                          aria-label={`Remove ${attachment.name}`}
+                          disabled={isSaving}
+                        >
+                          ✕
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
                 
                 <div className="editor-actions">
                   <button 
@@ -725,8 +2433,21 @@ const App = () => {
                     disabled={isSaving || !notes.trim()}
                     className="save-btn"
                   >
-                    {isSaving ? '💾 Saving...' : '💾 Save to GitHub'}
+                    {isSaving ? '💾 Saving...' : selectedRepo.isLocal ? '💾 Save Locally' : repoBranchSettings?.prMode ? '💾 Save to Pull Request' : '💾 Save to GitHub'}
                   </button>
+                  <label className={`attach-btn ${isSaving ? 'disabled' : ''}`} title="Attach images or files">
+                    📎 Attach
+                    <input
+                      type="file"
+                      multiple
+                      onChange={(e) => {
+                        addAttachments(e.target.files);
+                        e.target.value = '';
+                      }}
+                      disabled={isSaving}
+                      style={{ display: 'none' }}
+                    />
+                  </label>
                   <button 
                     onClick={() => setNotes('')}
                     disabled={!notes.trim()}
@@ -735,6 +2456,18 @@ const App = () => {
                     🗑️ Clear
                   </button>
                 </div>
+
+                {(activeNote || editorLinks.length > 0) && (
+                  <BacklinksPanel
+                    links={editorLinks}
+                    backlinks={activeNote && showBacklinks ? backlinkIndex.get(activeNote.path) || [] : null}
+                    pendingCount={needsLinkSources ? unloadedCount : 0}
+                    onOpen={loadNote}
+                    onCreate={createLinkedNote}
+                    onToggleBacklinks={activeNote ? () => setShowBacklinks(prev => !prev) : null}
+                    disabled={isSaving}
+                  />
+                )}
               </div>
 
               {/* Notes List */}
@@ -747,39 +2480,90 @@ const App = () => {
                       <input
                         type="text"
                         placeholder="🔍 Search notes..."
+                        title={'Search titles and text, with typos forgiven. "exact phrase", tag:name, in:title, in:body, before:2024-01-31, after:2024-01'}
                         value={searchTerm}
                         onChange={(e) => setSearchTerm(e.target.value)}
                         className="search-input"
                       />
                     </div>
                     
+                    {/* Category Dropdown */}
+                    <select
+                      value={filters.category}
+                      onChange={(e) => setFilters(prev => ({ ...prev, category: e.target.value }))}
+                      className="sort-select"
+                      aria-label="Filter by category"
+                    >
+                      <option value="all">🗂️ All Notes</option>
+                      <option value="tagged">🏷️ Tagged</option>
+                      <option value="untagged">📄 Untagged</option>
+                    </select>
+
                     {/* Sort Dropdown */}
                     <select
                       value={filters.sortBy}
                       onChange={(e) => setFilters(prev => ({ ...prev, sortBy: e.target.value }))}
                       className="sort-select"
                     >
+                      <option value="relevance">🎯 Best Match</option>
                       <option value="newest">📅 Newest First</option>
                       <option value="oldest">📅 Oldest First</option>
+                      <option value="updated">✏️ Recently Updated</option>
                       <option value="name">📝 By Name</option>
                       <option value="size">📊 By Size</option>
                     </select>
                   </div>
                 </div>
                 
+                {selectedNotes.length > 0 && (
+                  <BulkActionsBar
+                    count={selectedNotes.length}
+                    visibleCount={filteredNotes.length}
+                    folders={folders}
+                    rootFolder={repoConfig.config.directory}
+                    tags={selectedTags}
+                    onSelectAll={() => setSelectedPaths(prev => Array.from(new Set([...prev, ...filteredNotes.map(note => note.path)])))}
+                    onClear={() => setSelectedPaths([])}
+                    onTrash={trashSelectedNotes}
+                    onMove={moveSelectedNotes}
+                    onAddTag={tag => tagSelectedNotes(tag)}
+                    onRemoveTag={tag => tagSelectedNotes(tag, true)}
+                    onExport={() => exportNotes(selectedNotes)}
+                    disabled={isSaving}
+                  />
+                )}
+
                 {filteredNotes.length === 0 ? (
                   <div className="no-notes">
-                    <p>{savedNotes.length === 0 ? 'No notes found in this repository' : 'No notes match your search criteria'}</p>
+                    <p>{savedNotes.length === 0 ? 'No notes found in this repository' : folderNotes.length === 0 ? 'No notes in this folder yet' : 'No notes match your search criteria'}</p>
                   </div>
                 ) : (
                   <div className="notes-grid">
                     {filteredNotes.map(note => (
                       <div
                         key={note.path}
-                        className={`note-card ${activeNote?.path === note.path ? 'active' : ''}`}
+                        className={`note-card ${activeNote?.path === note.path ? 'active' : ''} ${note.isPending ? 'pending' : ''} ${selectedPaths.includes(note.path) ? 'selected' : ''}`}
+                        data-path={note.path}
+                        data-loaded={note.isLoaded}
+                        onClick={(e) => {
+                          // Shift-click anywhere on a card extends the selection; controls handle their own clicks
+                          if (e.shiftKey && !e.target.closest('button, input, a')) {
+                            e.preventDefault();
+                            toggleNoteSelection(note, true);
+                          }
+                        }}
                       >
                         <div className="note-card-header">
-                          <h4>{note.name.replace('gitnote-', '').replace('.md', '')}</h4>
+                          <input
+                            type="checkbox"
+                            className="note-select"
+                            checked={selectedPaths.includes(note.path)}
+                            onChange={(e) => toggleNoteSelection(note, e.nativeEvent.shiftKey)}
+                            aria-label={`Select ${note.meta.title}`}
+                          />
+                          <h4 title={note.path}>
+                            <HighlightedText segments={highlightText(note.meta.title, searchResults?.get(note.path))} />
+                          </h4>
                           <div className="note-card-actions">
                             <button 
                               onClick={() => loadNote(note)}
@@ -788,21 +2572,71 @@ const App = () => {
                             >
                               ✏️
                             </button>
+                            <button
+                              onClick={() => setRenamingNote(note)}
+                              className="note-action-btn rename"
+                              title="Rename or move note"
+                            >
+                              🔀
+                            </button>
+                            <button 
+                              onClick={() => setHistoryNotePath(historyNotePath === note.path ? null : note.path)}
+                              className={`note-action-btn history ${historyNotePath === note.path ? 'active' : ''}`}
+                              title="Show version history"
+                            >
+                              🕘
+                            </button>
                             <button 
                               onClick={() => deleteNote(note)}
                               className="note-action-btn delete"
-                              title="Delete note"
+                              title="Move note to the trash"
                             >
                               🗑️
                             </button>
                           </div>
                         </div>
                         <div className="note-card-content">
-                          <p>{note.content.substring(0, 100)}...</p>
+                          <p>{noteCardText(note)}</p>
                         </div>
+                        {note.tags.length > 0 && (
+                          <div className="note-card-tags">
+                            {note.tags.map(tag => (
+                              <button
+                                key={tag}
+                                className={`tag-chip ${filters.tags.includes(tag) ? 'selected' : ''}`}
+                                onClick={() => toggleTagFilter(tag)}
+                                title={`Filter by #${tag}`}
+                              >
+                                #{tag}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                         <div className="note-card-footer">
+                          {parseNoteDate(note.meta.created) && (
+                            <span className="note-date" title={`Updated ${format(parseNoteDate(note.meta.updated) || parseNoteDate(note.meta.created), 'PPpp')}`}>
+                              {format(parseNoteDate(note.meta.created), 'MMM d, yyyy')}
+                            </span>
+                          )}
+                          {getParentFolder(note.path) && (
+                            <span className="note-folder" title={getParentFolder(note.path)}>📁 {getParentFolder(note.path)}</span>
+                          )}
+                          {note.isPending && (
+                            <span className={`note-pending ${note.hasConflict ? 'conflict' : ''}`}>
+                              {note.hasConflict ? '⚠️ Conflict' : '⏳ Not committed yet'}
+                            </span>
+                          )}
                           <span className="note-size">{Math.round(note.size / 1024)} KB</span>
                         </div>
+                        {historyNotePath === note.path && note.isLoaded && (
+                          <HistoryPanel
+                            note={note}
+                            noteStore={noteStore}
+                            onRestore={restoreRevision}
+                            onClose={() => setHistoryNotePath(null)}
+                            disabled={isSaving}
+                          />
+                        )}
                       </div>
                     ))}
                   </div>
@@ -817,18 +2651,119 @@ const App = () => {
           <div className="no-repo-selected">
             <div className="no-repo-content">
               <h2>📁 Select a Repository</h2>
-              <p>Choose a GitHub repository to start managing your notes</p>
+              <p>Choose a GitHub repository above, or create a private one just for your notes</p>
               <button 
-                onClick={() => setShowRepoSelector(true)}
+                onClick={() => setShowCreateRepo(true)}
                 className="select-repo-btn"
               >
-                Browse Repositories
+                ✨ Create Notes Repository
               </button>
             </div>
           </div>
         )}
       </main>
 
+      {conflict && (
+        <ConflictResolver
+          conflict={conflict}
+          onResolve={resolveConflict}
+          onCancel={() => setConflict(null)}
+          isSaving={isSaving}
+        />
+      )}
+
+      {showCreateRepo && (
+        <CreateRepoWizard
+          owner={user?.login}
+          onCreate={createNotesRepository}
+          onClose={() => setShowCreateRepo(false)}
+          status={createRepoStatus}
+        />
+      )}
+
+      {showAttachments && (
+        <AttachmentsManager
+          assetsFolder={repoConfig.config.assets}
+          assetFiles={assetFiles}
+          notes={[...savedNotes.filter(note => note.isLoaded), ...trashedNotes]}
+          pendingNoteCount={unloadedCount + trashFiles.length - trashedNotes.length}
+          onDelete={deleteAttachments}
+          onClose={() => setShowAttachments(false)}
+          isSaving={isSaving}
+        />
+      )}
+
+      {showDrafts && (
+        <DraftsPanel
+          drafts={repoDrafts}
+          notes={savedNotes}
+          activeDraftId={editorDraftId}
+          loadCommitted={loadCommittedContent}
+          onResume={resumeDraft}
+          onDiscard={discardDraftFromPanel}
+          onClose={() => setShowDrafts(false)}
+        />
+      )}
+
+      {showTrash && (
+        <TrashPanel
+          entries={trashFiles}
+          retentionDays={repoBranchSettings?.prMode ? 0 : repoConfig.config.trashRetentionDays}
+          onRestore={restoreNote}
+          onPurge={purgeTrash}
+          onClose={() => setShowTrash(false)}
+          isSaving={isSaving}
+        />
+      )}
+
+      {showTasks && (
+        <TasksPanel
+          tasks={tasks}
+          notes={savedNotes}
+          pendingCount={unloadedCount}
+          onToggle={toggleTask}
+          onOpen={(note) => {
+            setShowTasks(false);
+            loadNote(note);
+          }}
+          onClose={() => setShowTasks(false)}
+          isSaving={isSaving}
+        />
+      )}
+
+      {templatePicker && (
+        <TemplatePicker
+          templates={templates}
+          purpose={templatePicker.purpose}
+          onPick={pickTemplate}
+          onSave={saveTemplate}
+          onDelete={deleteTemplate}
+          onClose={() => setTemplatePicker(null)}
+          isSaving={isSaving}
+        />
+      )}
+
+      {renamingNote && (
+        <RenameNoteDialog
+          note={renamingNote}
+          folders={folders}
+          config={repoConfig.config}
+          takenPaths={new Set(savedNotes.map(note => note.path))}
+          onRename={renameNote}
+          onClose={() => setRenamingNote(null)}
+          isSaving={isSaving}
+        />
+      )}
+
+      {showSettings && (
+        <RepoSettings
+          config={repoConfig.config}
+          onSave={saveRepoConfig}
+          onClose={() => setShowSettings(false)}
+          isSaving={isSaving}
+        />
+      )}
+
       {/* Footer */}
       <footer className="app-footer">
         <p>📝 Kiara Note - Your GitHub-powered note manager</p>
@@ -0,0 +1,110 @@
+import React, { useState, useMemo } from 'react';
+import { findUnreferencedAssets } from '../utils/attachments';
+import './AttachmentsManager.css';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const AttachmentsManager = ({ assetsFolder, assetFiles, notes, pendingNoteCount, onDelete, onClose, isSaving }) => {
+  const [selected, setSelected] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+  // Links can only be trusted once every note has been read
+  const isChecking = pendingNoteCount > 0;
+
+  const unreferenced = useMemo(
+    () => new Set(findUnreferencedAssets(assetFiles, notes).map(file => file.path)),
+    [assetFiles, notes]
+  );
+  const visibleFiles = showAll ? assetFiles : assetFiles.filter(file => unreferenced.has(file.path));
+  const selectedSize = assetFiles
+    .filter(file => selected.includes(file.path))
+    .reduce((total, file) => total + (file.size || 0), 0);
+
+  const toggle = (path) => {
+    setSelected(prev => (prev.includes(path) ? prev.filter(p => p !== path) : [...prev, path]));
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${selected.length} attachment${selected.length === 1 ? '' : 's'} in one commit?`)) return;
+    const deleted = await onDelete(selected);
+    if (deleted) setSelected([]);
+  };
+
+  return (
+    <div className="attachments-overlay" role="dialog" aria-modal="true" aria-labelledby="attachments-title">
+      <div className="attachments-dialog">
+        <div className="attachments-header">
+          <div>
+            <h3 id="attachments-title">📎 Attachments</h3>
+            <p>
+              {assetFiles.length} file{assetFiles.length === 1 ? '' : 's'} in <code>{assetsFolder}/</code>,
+              {isChecking
+                ? ` checking ${pendingNoteCount} more note${pendingNoteCount === 1 ? '' : 's'} for links...`
+                : ` ${unreferenced.size} not linked from any note, trashed ones included.`}
+            </p>
+          </div>
+          <button className="attachments-close" onClick={onClose} disabled={isSaving} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="attachments-toolbar">
+          <label>
+            <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+            <span>Show linked attachments too</span>
+          </label>
+          <button
+            className="attachments-link-btn"
+            onClick={() => setSelected(Array.from(unreferenced))}
+            disabled={unreferenced.size === 0 || isSaving || isChecking}
+          >
+            Select all unused
+          </button>
+        </div>
+
+        {visibleFiles.length === 0 ? (
+          <p className="attachments-empty">
+            {assetFiles.length === 0 ? 'No attachments yet. Paste or drop a file into the editor to add one.' : 'Every attachment is linked from a note. 🎉'}
+          </p>
+        ) : (
+          <ul className="attachments-list">
+            {visibleFiles.map(file => (
+              <li key={file.path} className={unreferenced.has(file.path) ? 'unused' : ''}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(file.path)}
+                    onChange={() => toggle(file.path)}
+                    disabled={isSaving}
+                  />
+                  <span className="attachments-name" title={file.path}>{file.path.substring(assetsFolder.length + 1)}</span>
+                </label>
+                <span className="attachments-meta">
+                  {unreferenced.has(file.path) ? 'unused' : 'linked'} · {formatSize(file.size || 0)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="attachments-actions">
+          <button className="attachments-btn secondary" onClick={onClose} disabled={isSaving}>
+            Close
+          </button>
+          <button
+            className="attachments-btn danger"
+            onClick={handleDelete}
+            disabled={selected.length === 0 || isSaving || isChecking}
+          >
+            {isSaving ? 'Deleting...' : `Delete ${selected.length || ''} selected${selected.length ? ` (${formatSize(selectedSize)})` : ''}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentsManager;
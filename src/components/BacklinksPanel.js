@@ -0,0 +1,71 @@
+import React from 'react';
+import './BacklinksPanel.css';
+
+// Wiki links written in the editor and the notes that link back to the open note. Backlinks are
+// only listed on request (`backlinks` is null until then), as finding them reads every note.
+const BacklinksPanel = ({ links, backlinks, pendingCount, onOpen, onCreate, onToggleBacklinks, disabled }) => {
+  return (
+    <div className="backlinks-panel">
+      {links.length > 0 && (
+        <div className="backlinks-section">
+          <h4>🔗 Links in this note</h4>
+          <ul>
+            {links.map(({ target, note }) => (
+              <li key={target.toLowerCase()}>
+                {note ? (
+                  <button className="backlinks-link" onClick={() => onOpen(note)} disabled={disabled} title={note.path}>
+                    {note.meta.title}
+                  </button>
+                ) : (
+                  <>
+                    <span className="backlinks-missing" title="No note has this title or file name">{target}</span>
+                    {pendingCount === 0 && (
+                      <button className="backlinks-create" onClick={() => onCreate(target)} disabled={disabled}>
+                        + Create
+                      </button>
+                    )}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {onToggleBacklinks && (
+        <div className="backlinks-section">
+          <h4>
+            <button
+              className="backlinks-toggle"
+              onClick={onToggleBacklinks}
+              aria-expanded={!!backlinks}
+              title={backlinks ? 'Hide the notes linking here' : 'Look through every note for links to this one'}
+            >
+              {backlinks ? '▾' : '▸'} ↩️ Linked from {backlinks && backlinks.length > 0 && `(${backlinks.length})`}
+            </button>
+          </h4>
+          {backlinks && (backlinks.length === 0 ? (
+            <p className="backlinks-empty">No other note links here yet. Link to it with <code>[[title]]</code>.</p>
+          ) : (
+            <ul>
+              {backlinks.map(({ note, context }) => (
+                <li key={note.path} className="backlinks-source">
+                  <button className="backlinks-link" onClick={() => onOpen(note)} disabled={disabled} title={note.path}>
+                    {note.meta.title}
+                  </button>
+                  {context && <span className="backlinks-context">{context}</span>}
+                </li>
+              ))}
+            </ul>
+          ))}
+        </div>
+      )}
+
+      {pendingCount > 0 && (
+        <p className="backlinks-empty">Checking {pendingCount} more note{pendingCount === 1 ? '' : 's'} for links...</p>
+      )}
+    </div>
+  );
+};
+
+export default BacklinksPanel;
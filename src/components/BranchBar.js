@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { isValidBranchName } from '../utils/branchSettings';
+import './BranchBar.css';
+
+const PR_STATE_LABELS = {
+  open: '🟢 Open',
+  merged: '🟣 Merged',
+  closed: '⚪ Closed'
+};
+
+const BranchBar = ({ branches, settings, onChange, pullRequest, onRefreshPullRequest, disabled }) => {
+  const [workBranch, setWorkBranch] = useState(settings.workBranch);
+
+  useEffect(() => {
+    setWorkBranch(settings.workBranch);
+  }, [settings.workBranch]);
+
+  // Keep the saved branch selectable even if it is not in the fetched list (yet)
+  const branchNames = branches.some(branch => branch.name === settings.branch)
+    ? branches
+    : [{ name: settings.branch, protected: false }, ...branches];
+  const isProtected = branches.some(branch => branch.name === settings.branch && branch.protected);
+
+  const workBranchError = !isValidBranchName(workBranch)
+    ? 'Not a valid branch name'
+    : workBranch === settings.branch
+      ? 'Pick a branch other than the target branch'
+      : null;
+
+  const commitWorkBranch = () => {
+    if (!workBranchError && workBranch !== settings.workBranch) {
+      onChange({ workBranch });
+    }
+  };
+
+  return (
+    <div className="branch-bar">
+      <label className="branch-field">
+        <span>🌿 {settings.prMode ? 'Merge into' : 'Commit to'}</span>
+        <select
+          value={settings.branch}
+          onChange={(e) => onChange({ branch: e.target.value })}
+          disabled={disabled}
+          className="branch-select"
+        >
+          {branchNames.map(branch => (
+            <option key={branch.name} value={branch.name}>
+              {branch.protected ? `🔒 ${branch.name}` : branch.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="branch-toggle">
+        <input
+          type="checkbox"
+          checked={settings.prMode}
+          onChange={(e) => onChange({ prMode: e.target.checked })}
+          disabled={disabled || (!settings.prMode && !!workBranchError)}
+        />
+        <span>Propose changes via pull request</span>
+      </label>
+
+      {settings.prMode && (
+        <label className="branch-field">
+          <span>from</span>
+          <input
+            type="text"
+            value={workBranch}
+            onChange={(e) => setWorkBranch(e.target.value.trim())}
+            onBlur={commitWorkBranch}
+            onKeyDown={(e) => e.key === 'Enter' && commitWorkBranch()}
+            disabled={disabled}
+            className={`branch-input ${workBranchError ? 'invalid' : ''}`}
+            title={workBranchError || 'Branch your saves are committed to'}
+          />
+        </label>
+      )}
+
+      {settings.prMode ? (
+        <div className="branch-pr-status">
+          {pullRequest?.error ? (
+            <span className="branch-pr-error">⚠️ {pullRequest.error}</span>
+          ) : pullRequest?.url ? (
+            <a href={pullRequest.url} target="_blank" rel="noopener noreferrer" title={pullRequest.title}>
+              {PR_STATE_LABELS[pullRequest.state] || pullRequest.state} · PR #{pullRequest.number} ↗
+            </a>
+          ) : (
+            <span>Your next save opens a pull request</span>
+          )}
+          {pullRequest && pullRequest.state !== 'open' && !pullRequest.error && (
+            <span className="branch-pr-hint">Your next save opens a new one</span>
+          )}
+          <button
+            className="branch-pr-refresh"
+            onClick={onRefreshPullRequest}
+            disabled={disabled}
+            title="Refresh pull request status"
+          >
+            🔄
+          </button>
+        </div>
+      ) : isProtected && (
+        <span className="branch-pr-hint">This branch is protected; if saves are rejected, propose changes via pull request instead.</span>
+      )}
+    </div>
+  );
+};
+
+export default BranchBar;
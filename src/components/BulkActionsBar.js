@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { normalizeTag } from '../utils/tags';
+import './BulkActionsBar.css';
+
+const BulkActionsBar = ({
+  count,
+  visibleCount,
+  folders,
+  rootFolder,
+  tags,
+  onSelectAll,
+  onClear,
+  onTrash,
+  onMove,
+  onAddTag,
+  onRemoveTag,
+  onExport,
+  disabled
+}) => {
+  const [newTag, setNewTag] = useState('');
+  const label = `${count} note${count === 1 ? '' : 's'}`;
+
+  const addTag = (e) => {
+    e.preventDefault();
+    const tag = normalizeTag(newTag);
+    if (!tag) return;
+    onAddTag(tag);
+    setNewTag('');
+  };
+
+  return (
+    <div className="bulk-actions" role="toolbar" aria-label="Actions for selected notes">
+      <div className="bulk-selection">
+        <strong>{label} selected</strong>
+        {count < visibleCount && (
+          <button className="bulk-link" onClick={onSelectAll} disabled={disabled}>
+            Select all {visibleCount}
+          </button>
+        )}
+        <button className="bulk-link" onClick={onClear} disabled={disabled}>
+          Clear
+        </button>
+      </div>
+
+      <div className="bulk-controls">
+        <select
+          value=""
+          onChange={(e) => onMove(e.target.value === '/' ? '' : e.target.value)}
+          disabled={disabled}
+          aria-label="Move selected notes to folder"
+        >
+          <option value="" disabled>📁 Move to...</option>
+          <option value="/">{rootFolder || 'Repository root'}</option>
+          {folders.filter(folder => folder !== rootFolder).map(folder => (
+            <option key={folder} value={folder}>{folder}</option>
+          ))}
+        </select>
+
+        <form className="bulk-tag-form" onSubmit={addTag}>
+          <input
+            type="text"
+            value={newTag}
+            onChange={(e) => setNewTag(e.target.value)}
+            placeholder="Add tag"
+            disabled={disabled}
+            aria-label="Tag to add to selected notes"
+          />
+          <button type="submit" disabled={disabled || !normalizeTag(newTag)}>
+            🏷️ Add
+          </button>
+        </form>
+
+        <select
+          value=""
+          onChange={(e) => onRemoveTag(e.target.value)}
+          disabled={disabled || tags.length === 0}
+          aria-label="Remove tag from selected notes"
+        >
+          <option value="" disabled>Remove tag...</option>
+          {tags.map(tag => (
+            <option key={tag} value={tag}>#{tag}</option>
+          ))}
+        </select>
+
+        <button onClick={onExport} disabled={disabled}>
+          📤 Export
+        </button>
+        <button className="danger" onClick={onTrash} disabled={disabled}>
+          🗑️ Trash
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionsBar;
@@ -0,0 +1,95 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { mergeThreeWay, hasConflictMarkers } from '../utils/merge';
+import './ConflictResolver.css';
+
+const ConflictResolver = ({ conflict, onResolve, onCancel, isSaving }) => {
+  const mergeResult = useMemo(
+    () => mergeThreeWay(conflict.base, conflict.mine, conflict.theirs),
+    [conflict]
+  );
+  const [merged, setMerged] = useState(mergeResult.merged);
+
+  // A fresh conflict (e.g. after another remote change) starts from its own merge
+  useEffect(() => {
+    setMerged(mergeResult.merged);
+  }, [mergeResult]);
+
+  const unresolved = hasConflictMarkers(merged);
+
+  const panes = [
+    { key: 'base', title: 'Loaded version', subtitle: 'What you started editing', content: conflict.base },
+    { key: 'mine', title: 'Your version', subtitle: 'Your unsaved changes', content: conflict.mine },
+    { key: 'theirs', title: 'Remote version', subtitle: 'Currently on GitHub', content: conflict.theirs }
+  ];
+
+  return (
+    <div className="conflict-overlay" role="dialog" aria-modal="true" aria-labelledby="conflict-title">
+      <div className="conflict-dialog">
+        <div className="conflict-header">
+          <div>
+            <h3 id="conflict-title">⚠️ This note changed elsewhere</h3>
+            <p>
+              <strong>{conflict.path}</strong> was updated on another device or directly on GitHub after you opened it.
+              {mergeResult.conflicts === 0
+                ? ' The changes do not overlap and were merged automatically.'
+                : ` ${mergeResult.conflicts} section${mergeResult.conflicts === 1 ? '' : 's'} changed on both sides and need${mergeResult.conflicts === 1 ? 's' : ''} your decision.`}
+            </p>
+          </div>
+          <button className="conflict-close" onClick={onCancel} disabled={isSaving} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="conflict-panes">
+          {panes.map(pane => (
+            <div key={pane.key} className={`conflict-pane ${pane.key}`}>
+              <div className="conflict-pane-header">
+                <span className="conflict-pane-title">{pane.title}</span>
+                <span className="conflict-pane-subtitle">{pane.subtitle}</span>
+              </div>
+              <pre className="conflict-pane-content">{pane.content}</pre>
+            </div>
+          ))}
+        </div>
+
+        <div className="conflict-merge">
+          <label htmlFor="conflict-merged">Merge result</label>
+          <textarea
+            id="conflict-merged"
+            value={merged}
+            onChange={(e) => setMerged(e.target.value)}
+            className="conflict-merged-textarea"
+            disabled={isSaving}
+          />
+          {unresolved && (
+            <p className="conflict-hint">
+              Edit the sections between the <code>&lt;&lt;&lt;&lt;&lt;&lt;&lt;</code> and <code>&gt;&gt;&gt;&gt;&gt;&gt;&gt;</code> markers, then remove the markers.
+            </p>
+          )}
+        </div>
+
+        <div className="conflict-actions">
+          <button className="conflict-btn secondary" onClick={onCancel} disabled={isSaving}>
+            Cancel
+          </button>
+          <button className="conflict-btn secondary" onClick={() => onResolve(conflict.theirs)} disabled={isSaving}>
+            Keep theirs
+          </button>
+          <button className="conflict-btn secondary" onClick={() => onResolve(conflict.mine)} disabled={isSaving}>
+            Keep mine
+          </button>
+          <button
+            className="conflict-btn primary"
+            onClick={() => onResolve(merged)}
+            disabled={isSaving || unresolved}
+            title={unresolved ? 'Resolve all conflict markers first' : 'Commit the merge result'}
+          >
+            {isSaving ? 'Saving...' : 'Save merge'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictResolver;
@@ -0,0 +1,176 @@
+import React, { useState, useMemo } from 'react';
+import { DEFAULT_CONFIG, buildNotePath, normalizeRepoConfig } from '../utils/repoConfig';
+import { validateRepoName } from '../utils/repoSetup';
+import './CreateRepoWizard.css';
+
+const STEPS = ['Repository', 'Notes layout', 'Review'];
+
+const LAYOUT_PRESETS = [
+  { label: 'Timestamped (default)', directory: '', filename: DEFAULT_CONFIG.filename },
+  { label: 'Dated with title', directory: 'notes', filename: '{date}-{slug}' },
+  { label: 'Title only', directory: 'notes', filename: '{slug}' }
+];
+
+const CreateRepoWizard = ({ owner, onCreate, onClose, status }) => {
+  const [step, setStep] = useState(0);
+  const [name, setName] = useState('notes');
+  const [description, setDescription] = useState('My notes, managed with Kiara Note');
+  const [isPrivate, setIsPrivate] = useState(true);
+  const [directory, setDirectory] = useState('');
+  const [filename, setFilename] = useState(DEFAULT_CONFIG.filename);
+
+  const isCreating = !!status;
+  const nameError = validateRepoName(name.trim());
+
+  const { config, configError } = useMemo(() => {
+    try {
+      return { config: normalizeRepoConfig({ ...DEFAULT_CONFIG, directory, filename }), configError: null };
+    } catch (err) {
+      return { config: null, configError: err.message.replace(/^Invalid [^:]+: /, '') };
+    }
+  }, [directory, filename]);
+
+  const canContinue = step === 0 ? !nameError : step === 1 ? !!config : !isCreating;
+
+  const handleNext = async (e) => {
+    e.preventDefault();
+    if (!canContinue) return;
+
+    if (step < STEPS.length - 1) {
+      setStep(step + 1);
+      return;
+    }
+
+    const created = await onCreate({
+      name: name.trim(),
+      description: description.trim(),
+      isPrivate,
+      config
+    });
+    if (created) onClose();
+  };
+
+  return (
+    <div className="wizard-overlay" role="dialog" aria-modal="true" aria-labelledby="wizard-title">
+      <form className="wizard-dialog" onSubmit={handleNext}>
+        <div className="wizard-header">
+          <div>
+            <h3 id="wizard-title">✨ Create a notes repository</h3>
+            <ol className="wizard-steps">
+              {STEPS.map((label, index) => (
+                <li key={label} className={index === step ? 'active' : index < step ? 'done' : ''}>
+                  {label}
+                </li>
+              ))}
+            </ol>
+          </div>
+          <button type="button" className="wizard-close" onClick={onClose} disabled={isCreating} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {step === 0 && (
+          <>
+            <label className="wizard-field">
+              <span>Repository name</span>
+              <div className="wizard-name">
+                <span className="wizard-owner">{owner}/</span>
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  autoFocus
+                />
+              </div>
+              {nameError && <small className="wizard-error">{nameError}</small>}
+            </label>
+            <label className="wizard-field">
+              <span>Description</span>
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+              />
+            </label>
+            <label className="wizard-checkbox">
+              <input
+                type="checkbox"
+                checked={isPrivate}
+                onChange={(e) => setIsPrivate(e.target.checked)}
+              />
+              <span>Private repository (recommended for personal notes)</span>
+            </label>
+          </>
+        )}
+
+        {step === 1 && (
+          <>
+            <div className="wizard-presets">
+              {LAYOUT_PRESETS.map(preset => (
+                <button
+                  key={preset.label}
+                  type="button"
+                  className={`wizard-preset ${preset.directory === directory && preset.filename === filename ? 'active' : ''}`}
+                  onClick={() => {
+                    setDirectory(preset.directory);
+                    setFilename(preset.filename);
+                  }}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+            <label className="wizard-field">
+              <span>Notes directory</span>
+              <input
+                type="text"
+                value={directory}
+                onChange={(e) => setDirectory(e.target.value)}
+                placeholder="Repository root"
+              />
+            </label>
+            <label className="wizard-field">
+              <span>File name pattern</span>
+              <input
+                type="text"
+                value={filename}
+                onChange={(e) => setFilename(e.target.value)}
+              />
+              {configError
+                ? <small className="wizard-error">{configError}</small>
+                : <small>Example: <code>{buildNotePath(config, '', { content: '# Meeting notes\n' })}</code></small>}
+            </label>
+          </>
+        )}
+
+        {step === 2 && (
+          <div className="wizard-review">
+            <p><strong>{owner}/{name.trim()}</strong> ({isPrivate ? 'private' : 'public'}) will be created with:</p>
+            <ul>
+              <li><code>README.md</code> describing the notes layout</li>
+              <li><code>.kiara/config.json</code> with your notes directory and file name pattern</li>
+              <li>A welcome note in <code>{config.directory || 'the repository root'}</code></li>
+            </ul>
+            {status && <p className="wizard-status" role="status">{status}</p>}
+          </div>
+        )}
+
+        <div className="wizard-actions">
+          <button
+            type="button"
+            className="wizard-btn secondary"
+            onClick={() => (step === 0 ? onClose() : setStep(step - 1))}
+            disabled={isCreating}
+          >
+            {step === 0 ? 'Cancel' : 'Back'}
+          </button>
+          <button type="submit" className="wizard-btn primary" disabled={!canContinue}>
+            {step < STEPS.length - 1 ? 'Next' : isCreating ? 'Creating...' : 'Create repository'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateRepoWizard;
@@ -0,0 +1,72 @@
+import React, { useMemo } from 'react';
+import { diffLines, diffStats } from '../utils/diff';
+import './DiffView.css';
+
+// Unchanged lines kept around each change; longer unchanged runs are folded
+const CONTEXT_LINES = 3;
+
+const foldUnchanged = (ops) => {
+  const keep = ops.map(op => op.type !== 'equal');
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') return;
+    for (let offset = -CONTEXT_LINES; offset <= CONTEXT_LINES; offset++) {
+      if (ops[index + offset]) keep[index + offset] = true;
+    }
+  });
+
+  const rows = [];
+  let hidden = 0;
+  ops.forEach((op, index) => {
+    if (keep[index]) {
+      if (hidden > 0) {
+        rows.push({ type: 'fold', count: hidden });
+        hidden = 0;
+      }
+      rows.push(op);
+    } else {
+      hidden++;
+    }
+  });
+  if (hidden > 0) rows.push({ type: 'fold', count: hidden });
+  return rows;
+};
+
+const DiffView = ({ oldText, newText, oldLabel = 'Before', newLabel = 'After' }) => {
+  const ops = useMemo(() => diffLines(oldText, newText), [oldText, newText]);
+  const stats = useMemo(() => diffStats(ops), [ops]);
+  const rows = useMemo(() => foldUnchanged(ops), [ops]);
+
+  if (stats.added === 0 && stats.removed === 0) {
+    return <div className="diff-view diff-empty">No differences</div>;
+  }
+
+  return (
+    <div className="diff-view">
+      <div className="diff-summary">
+        <span className="diff-labels">{oldLabel} → {newLabel}</span>
+        <span className="diff-added">+{stats.added}</span>
+        <span className="diff-removed">-{stats.removed}</span>
+      </div>
+      <pre className="diff-lines">
+        {rows.map((row, index) => {
+          if (row.type === 'fold') {
+            return (
+              <div key={index} className="diff-line fold">
+                ⋯ {row.count} unchanged line{row.count === 1 ? '' : 's'}
+              </div>
+            );
+          }
+          const marker = row.type === 'insert' ? '+' : row.type === 'delete' ? '-' : ' ';
+          return (
+            <div key={index} className={`diff-line ${row.type}`}>
+              <span className="diff-marker">{marker}</span>
+              {row.line || ' '}
+            </div>
+          );
+        })}
+      </pre>
+    </div>
+  );
+};
+
+export default DiffView;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import DiffView from './DiffView';
+import { inferNoteMeta } from '../utils/noteMeta';
+import './DraftsPanel.css';
+
+const draftTitle = (draft) => {
+  return inferNoteMeta(draft.path || '', draft.content).meta.title || 'Untitled draft';
+};
+
+const DraftsPanel = ({ drafts, notes, activeDraftId, loadCommitted, onResume, onDiscard, onClose }) => {
+  const [comparing, setComparing] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+
+  const compare = async (draft) => {
+    if (comparing?.id === draft.id) {
+      setComparing(null);
+      return;
+    }
+    setIsComparing(true);
+    try {
+      const committed = await loadCommitted(draft);
+      setComparing({ id: draft.id, committed });
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  return (
+    <div className="drafts-overlay" role="dialog" aria-modal="true" aria-labelledby="drafts-title">
+      <div className="drafts-dialog">
+        <div className="drafts-header">
+          <div>
+            <h3 id="drafts-title">📝 Drafts</h3>
+            <p>Unsaved changes are kept in this browser per note until you save or discard them.</p>
+          </div>
+          <button className="drafts-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {drafts.length === 0 ? (
+          <p className="drafts-empty">No drafts. Anything you type but do not save shows up here.</p>
+        ) : (
+          <ul className="drafts-list">
+            {drafts.map(draft => {
+              const note = draft.path ? notes.find(n => n.path === draft.path) : null;
+              const isStale = !!note && !!draft.baseSha && note.sha !== draft.baseSha;
+              const isMissing = !!draft.path && !note;
+
+              return (
+                <li key={draft.id}>
+                  <div className="drafts-row">
+                    <div className="drafts-summary">
+                      <span className="drafts-title">
+                        {draftTitle(draft)}
+                        {draft.id === activeDraftId && <span className="drafts-badge">In editor</span>}
+                      </span>
+                      <span className="drafts-meta" title={draft.path || draft.folder}>
+                        {draft.path || (draft.folder ? `New note in ${draft.folder}` : 'New note')}
+                        {' · '}edited {formatDistanceToNow(new Date(draft.updatedAt), { addSuffix: true })}
+                      </span>
+                      {isStale && <span className="drafts-warning">⚠️ The note changed since this draft was started; saving will ask you to merge.</span>}
+                      {isMissing && <span className="drafts-warning">⚠️ The note no longer exists; resuming saves the draft as a new note.</span>}
+                    </div>
+                    <div className="drafts-actions">
+                      <button onClick={() => onResume(draft)} disabled={draft.id === activeDraftId}>
+                        Resume
+                      </button>
+                      <button className="secondary" onClick={() => compare(draft)} disabled={isComparing}>
+                        {comparing?.id === draft.id ? 'Hide changes' : 'Compare'}
+                      </button>
+                      <button
+                        className="danger"
+                        onClick={() => {
+                          if (window.confirm(`Discard the draft "${draftTitle(draft)}"?`)) {
+                            if (comparing?.id === draft.id) setComparing(null);
+                            onDiscard(draft);
+                          }
+                        }}
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  </div>
+                  {comparing?.id === draft.id && (
+                    comparing.committed === null
+                      ? <p className="drafts-warning">Could not load the committed version.</p>
+                      : (
+                        <DiffView
+                          oldText={comparing.committed}
+                          newText={draft.content}
+                          oldLabel={draft.path && !isMissing ? 'Committed' : 'Empty'}
+                          newLabel="Draft"
+                        />
+                      )
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DraftsPanel;
@@ -0,0 +1,37 @@
+import React from 'react';
+import './EditorToolbar.css';
+
+const TOOLBAR_ACTIONS = [
+  { name: 'bold', label: 'B', title: 'Bold (Ctrl/Cmd+B)' },
+  { name: 'italic', label: 'I', title: 'Italic (Ctrl/Cmd+I)' },
+  { name: 'heading', label: 'H', title: 'Heading, press again for a smaller one (Ctrl/Cmd+Shift+H)' },
+  { name: 'bullet', label: '•', title: 'Bulleted list (Ctrl/Cmd+Shift+8)' },
+  { name: 'numbered', label: '1.', title: 'Numbered list (Ctrl/Cmd+Shift+7)' },
+  { name: 'task', label: '☑', title: 'Checklist (Ctrl/Cmd+Shift+9)' },
+  { name: 'link', label: '🔗', title: 'Link (Ctrl/Cmd+K)' },
+  { name: 'code', label: '</>', title: 'Code, a block when several lines are selected (Ctrl/Cmd+E)' }
+];
+
+const EditorToolbar = ({ onAction, disabled }) => {
+  return (
+    <div className="editor-toolbar" role="toolbar" aria-label="Formatting">
+      {TOOLBAR_ACTIONS.map(action => (
+        <button
+          key={action.name}
+          className={`editor-toolbar-btn ${action.name}`}
+          title={action.title}
+          aria-label={action.title}
+          // Keep the selection in the editor while clicking
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onAction(action.name)}
+          disabled={disabled}
+        >
+          {action.label}
+        </button>
+      ))}
+      <span className="editor-toolbar-hint">Enter continues lists · Tab / Shift+Tab indents list items</span>
+    </div>
+  );
+};
+
+export default EditorToolbar;
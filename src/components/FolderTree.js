@@ -0,0 +1,119 @@
+import React, { useState, useMemo } from 'react';
+import { buildFolderTree, isInFolder, sanitizeFolderName } from '../utils/noteTree';
+import './FolderTree.css';
+
+const FolderTree = ({ folders, notes, selectedFolder, onSelectFolder, onCreateFolder, disabled }) => {
+  const [collapsed, setCollapsed] = useState({});
+  const [isCreating, setIsCreating] = useState(false);
+  const [newFolderName, setNewFolderName] = useState('');
+
+  const tree = useMemo(() => buildFolderTree(folders), [folders]);
+
+  // Count notes in each folder including its subfolders
+  const countNotes = (folderPath) => {
+    return notes.filter(note => isInFolder(note.path, folderPath)).length;
+  };
+
+  const toggleFolder = (path) => {
+    setCollapsed(prev => ({ ...prev, [path]: !prev[path] }));
+  };
+
+  const handleCreateFolder = async (e) => {
+    e.preventDefault();
+    const name = sanitizeFolderName(newFolderName);
+    if (!name) return;
+
+    const created = await onCreateFolder(name);
+    if (created) {
+      setNewFolderName('');
+      setIsCreating(false);
+      // Make sure the parent is expanded so the new folder is visible
+      setCollapsed(prev => ({ ...prev, [selectedFolder]: false }));
+    }
+  };
+
+  const renderNode = (node, depth) => {
+    const hasChildren = node.children.length > 0;
+    const isCollapsed = collapsed[node.path];
+
+    return (
+      <li key={node.path}>
+        <div
+          className={`folder-row ${selectedFolder === node.path ? 'active' : ''}`}
+          style={{ paddingLeft: `${depth * 0.875 + 0.5}rem` }}
+        >
+          <button
+            className="folder-toggle"
+            onClick={() => toggleFolder(node.path)}
+            disabled={!hasChildren}
+            aria-label={isCollapsed ? `Expand ${node.name}` : `Collapse ${node.name}`}
+          >
+            {hasChildren ? (isCollapsed ? '▸' : '▾') : ''}
+          </button>
+          <button
+            className="folder-name"
+            onClick={() => onSelectFolder(node.path)}
+            title={node.path}
+          >
+            <span className="folder-icon">{isCollapsed || !hasChildren ? '📁' : '📂'}</span>
+            <span className="folder-label">{node.name}</span>
+            <span className="folder-count">{countNotes(node.path)}</span>
+          </button>
+        </div>
+        {hasChildren && !isCollapsed && (
+          <ul className="folder-children">
+            {node.children.map(child => renderNode(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="folder-tree">
+      <div className="folder-tree-header">
+        <h3>Folders</h3>
+        <button
+          className="folder-add-btn"
+          onClick={() => setIsCreating(prev => !prev)}
+          disabled={disabled}
+          title={`Create a folder in ${selectedFolder || 'the repository root'}`}
+        >
+          ➕
+        </button>
+      </div>
+
+      {isCreating && (
+        <form className="folder-create-form" onSubmit={handleCreateFolder}>
+          <input
+            type="text"
+            value={newFolderName}
+            onChange={(e) => setNewFolderName(e.target.value)}
+            placeholder={selectedFolder ? `New folder in ${selectedFolder}` : 'New folder name'}
+            className="folder-create-input"
+            autoFocus
+          />
+          <button type="submit" className="folder-create-submit" disabled={!newFolderName.trim() || disabled}>
+            Create
+          </button>
+        </form>
+      )}
+
+      <ul className="folder-list">
+        <li>
+          <div className={`folder-row ${selectedFolder === '' ? 'active' : ''}`}>
+            <span className="folder-toggle" />
+            <button className="folder-name" onClick={() => onSelectFolder('')}>
+              <span className="folder-icon">🗂️</span>
+              <span className="folder-label">All notes</span>
+              <span className="folder-count">{notes.length}</span>
+            </button>
+          </div>
+        </li>
+        {tree.children.map(child => renderNode(child, 0))}
+      </ul>
+    </div>
+  );
+};
+
+export default FolderTree;
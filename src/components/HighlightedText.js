@@ -0,0 +1,14 @@
+import React from 'react';
+import './HighlightedText.css';
+
+// Text split into [{ text, highlight }] parts, with search matches marked
+const HighlightedText = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (segment.highlight
+      ? <mark key={index} className="search-highlight">{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+export default HighlightedText;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
+import DiffView from './DiffView';
+import { getFriendlyErrorMessage } from '../utils/errorHandler';
+import './HistoryPanel.css';
+
+const HistoryPanel = ({ note, noteStore, onRestore, onClose, disabled }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [revisionContent, setRevisionContent] = useState(null);
+  const [isLoadingRevision, setIsLoadingRevision] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const commits = await noteStore.history(note.path);
+        if (!cancelled) setRevisions(commits);
+      } catch (err) {
+        console.error('Error loading note history:', err);
+        if (!cancelled) setError(getFriendlyErrorMessage(err));
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [noteStore, note.path, note.sha]);
+
+  const selectRevision = async (revision) => {
+    setSelected(revision);
+    setRevisionContent(null);
+    setIsLoadingRevision(true);
+    try {
+      const { content } = await noteStore.readAt(note.path, revision.sha);
+      setRevisionContent(content);
+    } catch (err) {
+      console.error('Error loading revision:', err);
+      setError(getFriendlyErrorMessage(err));
+    } finally {
+      setIsLoadingRevision(false);
+    }
+  };
+
+  const isCurrent = selected && revisionContent === note.content;
+
+  return (
+    <div className="history-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="history-header">
+        <h5>🕘 History</h5>
+        <button className="history-close" onClick={onClose} aria-label="Close history">✕</button>
+      </div>
+
+      {isLoading && <p className="history-status">Loading history...</p>}
+      {error && <p className="history-status error">{error}</p>}
+      {!isLoading && !error && revisions.length === 0 && (
+        <p className="history-status">No commits found for this note</p>
+      )}
+
+      {revisions.length > 0 && (
+        <ul className="history-list">
+          {revisions.map((revision, index) => (
+            <li key={revision.sha}>
+              <button
+                className={`history-item ${selected?.sha === revision.sha ? 'active' : ''}`}
+                onClick={() => selectRevision(revision)}
+                title={revision.date ? format(new Date(revision.date), 'PPpp') : revision.sha}
+              >
+                <span className="history-message">{revision.message.split('\n')[0]}</span>
+                <span className="history-meta">
+                  {index === 0 && <span className="history-latest">latest</span>}
+                  <code>{revision.sha.substring(0, 7)}</code>
+                  {revision.author && <span>{revision.author}</span>}
+                  {revision.date && <span>{formatDistanceToNow(new Date(revision.date), { addSuffix: true })}</span>}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selected && (
+        <div className="history-revision">
+          {isLoadingRevision && <p className="history-status">Loading revision...</p>}
+          {revisionContent !== null && (
+            <>
+              <DiffView
+                oldText={revisionContent}
+                newText={note.content}
+                oldLabel={`Version ${selected.sha.substring(0, 7)}`}
+                newLabel="Current"
+              />
+              <button
+                className="history-restore-btn"
+                onClick={() => onRestore(note, revisionContent, selected)}
+                disabled={disabled || isCurrent}
+                title={isCurrent ? 'This is the current content' : 'Commit this version as the latest content'}
+              >
+                ⏪ Restore this version
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
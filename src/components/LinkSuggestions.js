@@ -0,0 +1,38 @@
+import React from 'react';
+import { getParentFolder } from '../utils/noteTree';
+import './LinkSuggestions.css';
+
+const LinkSuggestions = ({ query, suggestions, activeIndex, onPick, onHover }) => {
+  return (
+    <div className="link-suggestions" role="listbox" aria-label="Link to note">
+      <div className="link-suggestions-hint">
+        Link to <code>[[{query}</code> · ↑↓ to choose, Enter or Tab to insert, Esc to close
+      </div>
+      {suggestions.length === 0 ? (
+        <div className="link-suggestions-empty">No note matches. Finish the link to create it later.</div>
+      ) : (
+        <ul>
+          {suggestions.map((note, index) => (
+            <li
+              key={note.path}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              // Keep focus in the editor while picking
+              onMouseDown={(e) => {
+                e.preventDefault();
+                onPick(note);
+              }}
+              onMouseEnter={() => onHover(index)}
+            >
+              <span className="link-suggestion-title">{note.meta.title}</span>
+              {getParentFolder(note.path) && <span className="link-suggestion-folder">📁 {getParentFolder(note.path)}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LinkSuggestions;
@@ -15,7 +15,7 @@ const ThemeToggle = ({ theme, setTheme }) => {
 };
 
 const Login = () => {
-  const { login } = useAuth();
+  const { login, loginLocal } = useAuth();
   const [token, setToken] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showHelp, setShowHelp] = useState(false);
@@ -109,6 +109,17 @@ const Login = () => {
                 <span className="btn-subtitle">Manual Authentication (Recommended)</span>
               </div>
             </button>
+
+            <button 
+              onClick={loginLocal}
+              className="token-btn"
+            >
+              <span className="btn-icon">💻</span>
+              <div className="btn-text">
+                <span className="btn-title">Continue Without GitHub</span>
+                <span className="btn-subtitle">Notes are kept in this browser only</span>
+              </div>
+            </button>
           </div>
 
           <div className="oauth-disabled-notice">
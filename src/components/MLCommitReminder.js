@@ -2,7 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { format, isToday, isYesterday, subDays } from 'date-fns';
 import './MLCommitReminder.css';
 
-const MLCommitReminder = ({ octokit, selectedRepo, user, showMessage }) => {
+const MLCommitReminder = ({ octokit, selectedRepo, user, showMessage, onWriteDailyNote }) => {
   const [commitSchedule, setCommitSchedule] = useState({
     enabled: true,
     reminderTime: '20:00',
@@ -645,6 +645,17 @@ const MLCommitReminder = ({ octokit, selectedRepo, user, showMessage }) => {
             ))}
           </ul>
           <div className="reminder-actions">
+            {onWriteDailyNote && (
+              <button
+                className="btn-primary"
+                onClick={() => {
+                  setShowReminder(false);
+                  onWriteDailyNote();
+                }}
+              >
+                📅 Write today's note
+              </button>
+            )}
             <button 
               className="btn-primary"
               onClick={() => {
@@ -0,0 +1,40 @@
+import React, { useMemo } from 'react';
+import { parseFrontMatter } from '../utils/frontMatter';
+import { renderMarkdown } from '../utils/markdown';
+import './MarkdownPreview.css';
+
+// Rendered note body; links are handled here so following one never leaves the app
+const MarkdownPreview = React.forwardRef(({ content, resolveWikiLink, onOpenWikiLink, onOpenLink, onScroll, className = '' }, ref) => {
+  const html = useMemo(() => {
+    return renderMarkdown(parseFrontMatter(content).body, { resolveWikiLink });
+  }, [content, resolveWikiLink]);
+
+  const handleClick = (e) => {
+    const link = e.target.closest('a');
+    if (!link) return;
+
+    const href = link.getAttribute('href') || '';
+    if (link.dataset.wikiTarget) {
+      e.preventDefault();
+      onOpenWikiLink(link.dataset.wikiTarget);
+    } else if (href.startsWith('#')) {
+      // Footnotes jump within the preview instead of changing the page address
+      e.preventDefault();
+      const target = e.currentTarget.querySelector(`[id="${CSS.escape(decodeURIComponent(href.slice(1)))}"]`);
+      if (target) target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else if (!/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) {
+      e.preventDefault();
+      onOpenLink(href);
+    }
+  };
+
+  return (
+    <div ref={ref} className={`markdown-preview ${className}`} onScroll={onScroll}>
+      {content.trim()
+        ? <div className="markdown-body" onClick={handleClick} dangerouslySetInnerHTML={{ __html: html }} />
+        : <p className="markdown-empty">Nothing to preview yet.</p>}
+    </div>
+  );
+});
+
+export default MarkdownPreview;
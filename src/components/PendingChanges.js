@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import './PendingChanges.css';
+
+const describeChanges = (changes) => {
+  if (changes.length > 1) return `${changes.length} files`;
+  return changes[0].path;
+};
+
+// Only a single text change can be merged in the conflict resolver
+const isResolvable = (entry) => {
+  return entry.changes.length === 1 && !entry.changes[0].delete && !entry.changes[0].encoding;
+};
+
+const PendingChanges = ({ entries, isOnline, isSyncing, onSync, onResolve, onRetry, onDiscard, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const conflictCount = entries.filter(entry => entry.status === 'conflict').length;
+
+  if (entries.length === 0 && isOnline) return null;
+
+  const label = !isOnline
+    ? `📴 Offline${entries.length > 0 ? ` · ${entries.length} pending` : ''}`
+    : isSyncing
+      ? `🔄 Syncing ${entries.length}...`
+      : conflictCount > 0
+        ? `⚠️ ${conflictCount} conflict${conflictCount === 1 ? '' : 's'}`
+        : `⏳ ${entries.length} pending`;
+
+  return (
+    <div className="pending-changes">
+      <button
+        className={`pending-changes-toggle ${conflictCount > 0 ? 'conflict' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        title={isOnline ? 'Changes waiting to be committed' : 'Changes are kept in this browser until GitHub can be reached'}
+      >
+        {label}
+      </button>
+
+      {isOpen && (
+        <div className="pending-changes-panel">
+          <div className="pending-changes-header">
+            <span>
+              {entries.length === 0
+                ? 'Saves made while offline are kept here and committed once you are back online.'
+                : `${entries.length} change${entries.length === 1 ? '' : 's'} not on GitHub yet`}
+            </span>
+            {entries.length > 0 && (
+              <button
+                className="pending-changes-sync"
+                onClick={onSync}
+                disabled={!isOnline || isSyncing || disabled}
+              >
+                {isSyncing ? 'Syncing...' : 'Sync now'}
+              </button>
+            )}
+          </div>
+
+          {entries.length > 0 && (
+            <ul className="pending-changes-list">
+              {entries.map(entry => (
+                <li key={entry.id} className={entry.status === 'conflict' ? 'conflict' : ''}>
+                  <div className="pending-changes-summary">
+                    <span className="pending-changes-message">{entry.message}</span>
+                    <span className="pending-changes-meta" title={entry.changes.map(change => change.path).join('\n')}>
+                      {describeChanges(entry.changes)} · {format(new Date(entry.queuedAt), 'MMM d, HH:mm')}
+                    </span>
+                    {entry.status === 'conflict' && (
+                      <span className="pending-changes-error">⚠️ {entry.error}</span>
+                    )}
+                  </div>
+                  {entry.status === 'conflict' && (
+                    <div className="pending-changes-actions">
+                      {isResolvable(entry) && (
+                        <button onClick={() => onResolve(entry)} disabled={!isOnline || disabled}>
+                          Resolve
+                        </button>
+                      )}
+                      <button onClick={() => onRetry(entry)} disabled={!isOnline || disabled}>
+                        Retry
+                      </button>
+                      <button
+                        className="danger"
+                        onClick={() => {
+                          if (window.confirm('Discard this change? It only exists in this browser.')) {
+                            onDiscard(entry);
+                          }
+                        }}
+                        disabled={disabled}
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PendingChanges;
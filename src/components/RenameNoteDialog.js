@@ -0,0 +1,101 @@
+import React, { useState, useMemo } from 'react';
+import { formatNoteFileName, isNoteFile } from '../utils/repoConfig';
+import { getBaseName, getParentFolder, joinPath } from '../utils/noteTree';
+import { parseNoteDate } from '../utils/noteMeta';
+import './RenameNoteDialog.css';
+
+const RenameNoteDialog = ({ note, folders, config, takenPaths, onRename, onClose, isSaving }) => {
+  const [name, setName] = useState(getBaseName(note.path));
+  const [folder, setFolder] = useState(getParentFolder(note.path));
+
+  const folderOptions = useMemo(() => {
+    return Array.from(new Set([config.directory, ...folders, getParentFolder(note.path)])).sort((a, b) => a.localeCompare(b));
+  }, [config.directory, folders, note.path]);
+
+  const path = joinPath(folder, name.trim());
+  const extensions = config.extensions.map(ext => `.${ext}`).join(' or ');
+
+  // Names that do not match the repository's file name pattern would no longer be listed as notes
+  const error = useMemo(() => {
+    const trimmed = name.trim();
+    if (!trimmed) return 'Enter a file name';
+    if (trimmed.includes('/')) return 'Pick the folder below instead of typing it into the name';
+    if (path !== note.path && takenPaths.has(path)) return `${path} already exists`;
+    if (!isNoteFile(path, config)) {
+      return `${name.trim()} does not follow the pattern "${config.filename}" with ${extensions}, so it would no longer be listed as a note`;
+    }
+    return null;
+  }, [name, path, note.path, takenPaths, config, extensions]);
+
+  const suggestName = () => {
+    const date = parseNoteDate(note.meta.created) || new Date();
+    setName(formatNoteFileName(config, { content: note.content, date }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (error || path === note.path) return;
+    const renamed = await onRename(note, path);
+    if (renamed) onClose();
+  };
+
+  return (
+    <div className="rename-overlay" role="dialog" aria-modal="true" aria-labelledby="rename-title">
+      <form className="rename-dialog" onSubmit={handleSubmit}>
+        <div className="rename-header">
+          <div>
+            <h3 id="rename-title">🔀 Rename or move</h3>
+            <p>The old path is removed and the new one added in a single commit. Links to this note in other notes are updated too.</p>
+          </div>
+          <button type="button" className="rename-close" onClick={onClose} disabled={isSaving} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <label className="rename-field">
+          <span>File name</span>
+          <div className="rename-name">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={isSaving}
+              autoFocus
+            />
+            <button type="button" onClick={suggestName} disabled={isSaving || !note.isLoaded}>
+              From title
+            </button>
+          </div>
+          <small className="rename-hint">
+            Only files named like <code>{config.filename}</code> with {extensions} are listed as notes.
+            To give notes readable names, change the pattern under ⚙️ Settings, e.g. to <code>{'{date}-{slug}'}</code>.
+          </small>
+        </label>
+
+        <label className="rename-field">
+          <span>Folder</span>
+          <select value={folder} onChange={(e) => setFolder(e.target.value)} disabled={isSaving}>
+            {folderOptions.map(option => (
+              <option key={option} value={option}>{option || 'Repository root'}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className={`rename-preview ${error ? 'error' : ''}`}>
+          {error || <>{note.path} → <code>{path}</code></>}
+        </div>
+
+        <div className="rename-actions">
+          <button type="button" className="rename-btn secondary" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </button>
+          <button type="submit" className="rename-btn primary" disabled={isSaving || !!error || path === note.path}>
+            {isSaving ? 'Saving...' : 'Rename'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RenameNoteDialog;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import RenameNoteDialog from './RenameNoteDialog';
+import { DEFAULT_CONFIG } from '../utils/repoConfig';
+
+const note = {
+  path: 'gitnote-2024-05-01_10-00-00-000Z.md',
+  content: '# Meeting notes\n',
+  meta: { created: '2024-05-01T10:00:00.000Z' },
+  isLoaded: true
+};
+
+describe('RenameNoteDialog', () => {
+  let container;
+  let root;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    root.unmount();
+    container.remove();
+  });
+
+  const showDialog = (config) => flushSync(() => {
+    root.render(<RenameNoteDialog note={note} folders={[]} config={config} takenPaths={new Set([note.path])} onRename={jest.fn()} onClose={jest.fn()} isSaving={false} />);
+  });
+
+  // Type into the controlled input the way a user would
+  const typeName = (value) => {
+    const input = container.querySelector('.rename-name input');
+    Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set.call(input, value);
+    flushSync(() => input.dispatchEvent(new Event('input', { bubbles: true })));
+  };
+
+  const renameButton = () => container.querySelector('.rename-btn.primary');
+
+  it('explains that names must follow the filename pattern and refuses other names', () => {
+    showDialog(DEFAULT_CONFIG);
+    expect(container.querySelector('.rename-hint').textContent).toContain('gitnote-{timestamp}');
+
+    typeName('meeting-notes.md');
+    expect(container.querySelector('.rename-preview.error').textContent)
+      .toBe('meeting-notes.md does not follow the pattern "gitnote-{timestamp}" with .md, so it would no longer be listed as a note');
+    expect(renameButton().disabled).toBe(true);
+
+    typeName('gitnote-2024-05-01_10-00-00-000Z-2.md');
+    expect(container.querySelector('.rename-preview.error')).toBeNull();
+    expect(renameButton().disabled).toBe(false);
+  });
+
+  it('accepts meaningful names when the pattern has a slug', () => {
+    showDialog({ ...DEFAULT_CONFIG, filename: '{date}-{slug}' });
+
+    typeName('2024-05-01-meeting-notes.md');
+    expect(container.querySelector('.rename-preview.error')).toBeNull();
+    expect(renameButton().disabled).toBe(false);
+  });
+});
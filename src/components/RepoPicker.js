@@ -0,0 +1,196 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import './RepoPicker.css';
+
+const RECENT_KEY = 'kiara-recent-repos';
+const FAVORITES_KEY = 'kiara-favorite-repos';
+const MAX_RECENT = 5;
+
+const loadList = (key) => {
+  try {
+    const list = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveList = (key, list) => {
+  localStorage.setItem(key, JSON.stringify(list));
+};
+
+// Repositories matching every word of the query in their full name or description
+const matchesQuery = (repo, words) => {
+  const haystack = `${repo.full_name} ${repo.description || ''}`.toLowerCase();
+  return words.every(word => haystack.includes(word));
+};
+
+const RepoPicker = ({ repositories, selectedRepo, onSelect, isLoading }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const [recent, setRecent] = useState(() => loadList(RECENT_KEY));
+  const [favorites, setFavorites] = useState(() => loadList(FAVORITES_KEY));
+  const containerRef = useRef(null);
+
+  // Favorites, then recent, then everything else grouped by owner
+  const groups = useMemo(() => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const visible = repositories.filter(repo => matchesQuery(repo, words));
+    const byName = new Map(visible.map(repo => [repo.full_name, repo]));
+    const pinned = new Set();
+
+    const pick = (names) => names
+      .map(name => byName.get(name))
+      .filter(repo => repo && !pinned.has(repo.full_name))
+      .map(repo => {
+        pinned.add(repo.full_name);
+        return repo;
+      });
+
+    const result = [];
+    const favoriteRepos = pick(favorites);
+    if (favoriteRepos.length > 0) result.push({ label: '⭐ Favorites', repos: favoriteRepos });
+    const recentRepos = pick(recent);
+    if (recentRepos.length > 0) result.push({ label: '🕘 Recent', repos: recentRepos });
+
+    const owners = new Map();
+    visible
+      .filter(repo => !pinned.has(repo.full_name))
+      .forEach(repo => {
+        const owner = repo.owner?.login || '';
+        if (!owners.has(owner)) owners.set(owner, []);
+        owners.get(owner).push(repo);
+      });
+    Array.from(owners.keys())
+      .sort((a, b) => a.localeCompare(b))
+      .forEach(owner => result.push({ label: owner, repos: owners.get(owner) }));
+
+    return result;
+  }, [repositories, query, favorites, recent]);
+
+  const options = useMemo(() => groups.flatMap(group => group.repos), [groups]);
+  const optionIndexes = useMemo(() => new Map(options.map((repo, index) => [repo.id, index])), [options]);
+
+  useEffect(() => {
+    setHighlighted(0);
+  }, [query]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const selectRepo = (repo) => {
+    const nextRecent = [repo.full_name, ...recent.filter(name => name !== repo.full_name)].slice(0, MAX_RECENT);
+    setRecent(nextRecent);
+    saveList(RECENT_KEY, nextRecent);
+    setIsOpen(false);
+    setQuery('');
+    onSelect(repo);
+  };
+
+  const toggleFavorite = (e, repo) => {
+    e.stopPropagation();
+    const nextFavorites = favorites.includes(repo.full_name)
+      ? favorites.filter(name => name !== repo.full_name)
+      : [...favorites, repo.full_name];
+    setFavorites(nextFavorites);
+    saveList(FAVORITES_KEY, nextFavorites);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(prev => Math.min(prev + 1, options.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (options[highlighted]) selectRepo(options[highlighted]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="repo-picker" ref={containerRef}>
+      <button
+        className="repo-picker-toggle"
+        onClick={() => setIsOpen(prev => !prev)}
+        disabled={repositories.length === 0}
+        aria-haspopup="listbox"
+        aria-expanded={isOpen}
+      >
+        <span>
+          {selectedRepo
+            ? selectedRepo.full_name
+            : repositories.length === 0
+              ? (isLoading ? 'Loading repositories...' : 'No repositories found')
+              : 'Select a repository'}
+        </span>
+        <span className="repo-picker-caret">▾</span>
+      </button>
+
+      {isOpen && (
+        <div className="repo-picker-menu">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={`🔍 Search ${repositories.length} repositories...`}
+            className="repo-picker-search"
+            autoFocus
+          />
+          <div className="repo-picker-list" role="listbox">
+            {options.length === 0 && (
+              <div className="repo-picker-empty">No repositories match "{query}"</div>
+            )}
+            {groups.map(group => (
+              <div key={group.label} className="repo-picker-group">
+                <div className="repo-picker-group-label">{group.label}</div>
+                {group.repos.map(repo => {
+                  const index = optionIndexes.get(repo.id);
+                  const isFavorite = favorites.includes(repo.full_name);
+                  return (
+                    <div
+                      key={repo.id}
+                      role="option"
+                      aria-selected={selectedRepo?.id === repo.id}
+                      className={`repo-picker-option ${index === highlighted ? 'highlighted' : ''} ${selectedRepo?.id === repo.id ? 'selected' : ''}`}
+                      onMouseEnter={() => setHighlighted(index)}
+                      onClick={() => selectRepo(repo)}
+                    >
+                      <span className="repo-picker-name">
+                        {repo.full_name}
+                        {repo.private && <span className="repo-picker-badge">private</span>}
+                      </span>
+                      <button
+                        className={`repo-picker-star ${isFavorite ? 'active' : ''}`}
+                        onClick={(e) => toggleFavorite(e, repo)}
+                        title={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+                        aria-label={isFavorite ? `Unfavorite ${repo.full_name}` : `Favorite ${repo.full_name}`}
+                      >
+                        {isFavorite ? '★' : '☆'}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RepoPicker;
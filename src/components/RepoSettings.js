@@ -0,0 +1,149 @@
+import React, { useState, useMemo } from 'react';
+import { CONFIG_PATH, buildNotePath, dailyNotePath, normalizeRepoConfig } from '../utils/repoConfig';
+import './RepoSettings.css';
+
+const SAMPLE_NOTE = '# Meeting notes\n';
+
+const RepoSettings = ({ config, onSave, onClose, isSaving }) => {
+  const [directory, setDirectory] = useState(config.directory);
+  const [filename, setFilename] = useState(config.filename);
+  const [extensions, setExtensions] = useState(config.extensions.join(', '));
+  const [assets, setAssets] = useState(config.assets);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(String(config.trashRetentionDays));
+  const [dailyFolder, setDailyFolder] = useState(config.dailyFolder);
+  const [dailyTemplate, setDailyTemplate] = useState(config.dailyTemplate);
+
+  // Validate as the user types so the preview always shows a real file name
+  const { draft, error } = useMemo(() => {
+    try {
+      const raw = { ...config, directory, filename, extensions, assets, trashRetentionDays: trashRetentionDays.trim() || 0, dailyFolder, dailyTemplate };
+      return { draft: normalizeRepoConfig(raw), error: null };
+    } catch (err) {
+      return { draft: null, error: err.message.replace(`Invalid ${CONFIG_PATH}: `, '') };
+    }
+  }, [config, directory, filename, extensions, assets, trashRetentionDays, dailyFolder, dailyTemplate]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft) return;
+    const saved = await onSave(draft);
+    if (saved) onClose();
+  };
+
+  return (
+    <div className="settings-overlay" role="dialog" aria-modal="true" aria-labelledby="settings-title">
+      <form className="settings-dialog" onSubmit={handleSubmit}>
+        <div className="settings-header">
+          <div>
+            <h3 id="settings-title">⚙️ Note settings</h3>
+            <p>Stored in <code>{CONFIG_PATH}</code> so everyone using this repository shares them.</p>
+          </div>
+          <button type="button" className="settings-close" onClick={onClose} disabled={isSaving} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <label className="settings-field">
+          <span>Notes directory</span>
+          <input
+            type="text"
+            value={directory}
+            onChange={(e) => setDirectory(e.target.value)}
+            placeholder="Repository root"
+            disabled={isSaving}
+          />
+          <small>Only files in this folder and its subfolders are treated as notes, e.g. <code>docs/notes</code>.</small>
+        </label>
+
+        <label className="settings-field">
+          <span>File name pattern</span>
+          <input
+            type="text"
+            value={filename}
+            onChange={(e) => setFilename(e.target.value)}
+            disabled={isSaving}
+          />
+          <small>Placeholders: <code>{'{timestamp}'}</code>, <code>{'{date}'}</code>, <code>{'{time}'}</code>, <code>{'{slug}'}</code> (from the note title).</small>
+        </label>
+
+        <label className="settings-field">
+          <span>File extensions</span>
+          <input
+            type="text"
+            value={extensions}
+            onChange={(e) => setExtensions(e.target.value)}
+            disabled={isSaving}
+          />
+          <small>Comma separated. New notes use the first one.</small>
+        </label>
+
+        <label className="settings-field">
+          <span>Attachments folder</span>
+          <input
+            type="text"
+            value={assets}
+            onChange={(e) => setAssets(e.target.value)}
+            disabled={isSaving}
+          />
+          <small>Images and files pasted or dropped into a note are committed here.</small>
+        </label>
+
+        <label className="settings-field">
+          <span>Keep deleted notes for (days)</span>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={trashRetentionDays}
+            onChange={(e) => setTrashRetentionDays(e.target.value)}
+            disabled={isSaving}
+          />
+          <small>Deleted notes wait in <code>.trash/</code> this long before they are purged. 0 keeps them until you empty the trash.</small>
+        </label>
+
+        <label className="settings-field">
+          <span>Daily notes folder</span>
+          <input
+            type="text"
+            value={dailyFolder}
+            onChange={(e) => setDailyFolder(e.target.value)}
+            placeholder="Notes directory"
+            disabled={isSaving}
+          />
+          <small>Inside the notes directory. Today's note is named after the date.</small>
+        </label>
+
+        <label className="settings-field">
+          <span>Daily note template</span>
+          <textarea
+            value={dailyTemplate}
+            onChange={(e) => setDailyTemplate(e.target.value)}
+            rows={6}
+            disabled={isSaving}
+          />
+          <small>The same variables as note templates, e.g. <code>{'{{date}}'}</code>, <code>{'{{weekday}}'}</code> and <code>{'{{cursor}}'}</code>.</small>
+        </label>
+
+        <div className={`settings-preview ${error ? 'error' : ''}`}>
+          {error
+            ? error
+            : <>
+                New notes are saved as <code>{buildNotePath(draft, '', { content: SAMPLE_NOTE })}</code>,
+                today's note as <code>{dailyNotePath(draft)}</code>
+              </>}
+        </div>
+
+        <div className="settings-actions">
+          <button type="button" className="settings-btn secondary" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </button>
+          <button type="submit" className="settings-btn primary" disabled={isSaving || !draft}>
+            {isSaving ? 'Saving...' : 'Save settings'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RepoSettings;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { normalizeTag } from '../utils/tags';
+import './TagCloud.css';
+
+const TagCloud = ({ tagCounts, selectedTags, tagMode, onToggleTag, onModeChange, onClear, onRenameTag, unloadedCount, onLoadAll, disabled }) => {
+  const [isManaging, setIsManaging] = useState(false);
+
+  const maxCount = tagCounts.reduce((max, { count }) => Math.max(max, count), 1);
+
+  const handleRename = (tag) => {
+    const input = window.prompt(`Rename #${tag} to (use an existing tag to merge them):`, tag);
+    if (input === null) return;
+
+    const newTag = normalizeTag(input);
+    if (!newTag || newTag === tag) return;
+    if (!/^[a-z][\w-]*(\/[\w-]+)*$/.test(newTag)) {
+      window.alert('Tags must start with a letter and contain only letters, numbers, "-", "_" or "/".');
+      return;
+    }
+
+    const merging = tagCounts.some(({ tag: existing }) => existing === newTag);
+    if (merging && !window.confirm(`#${newTag} already exists. Merge #${tag} into #${newTag}?`)) return;
+
+    onRenameTag(tag, newTag);
+  };
+
+  return (
+    <div className="tag-cloud">
+      <div className="tag-cloud-header">
+        <h3>Tags</h3>
+        {tagCounts.length > 0 && (
+          <button
+            className={`tag-manage-btn ${isManaging ? 'active' : ''}`}
+            onClick={() => setIsManaging(prev => !prev)}
+            title="Rename or merge tags"
+          >
+            {isManaging ? 'Done' : 'Manage'}
+          </button>
+        )}
+      </div>
+
+      {unloadedCount > 0 && (
+        <p className="tag-cloud-empty">
+          {unloadedCount} note{unloadedCount === 1 ? ' is' : 's are'} not loaded yet.{' '}
+          <button className="tag-load-btn" onClick={onLoadAll}>Load all tags</button>
+        </p>
+      )}
+
+      {tagCounts.length === 0 ? (
+        <p className="tag-cloud-empty">Add <code>tags</code> in front matter or #hashtags in a note to see them here.</p>
+      ) : (
+        <>
+          {selectedTags.length > 1 && (
+            <div className="tag-mode-toggle" role="group" aria-label="Tag match mode">
+              <button
+                className={tagMode === 'and' ? 'active' : ''}
+                onClick={() => onModeChange('and')}
+                title="Notes must have every selected tag"
+              >
+                All (AND)
+              </button>
+              <button
+                className={tagMode === 'or' ? 'active' : ''}
+                onClick={() => onModeChange('or')}
+                title="Notes may have any selected tag"
+              >
+                Any (OR)
+              </button>
+            </div>
+          )}
+
+          <div className="tag-cloud-list">
+            {tagCounts.map(({ tag, count }) => (
+              <span key={tag} className="tag-cloud-item">
+                <button
+                  className={`tag-chip ${selectedTags.includes(tag) ? 'selected' : ''}`}
+                  style={{ fontSize: `${0.75 + (count / maxCount) * 0.25}rem` }}
+                  onClick={() => onToggleTag(tag)}
+                >
+                  #{tag} <span className="tag-count">{count}</span>
+                </button>
+                {isManaging && (
+                  <button
+                    className="tag-rename-btn"
+                    onClick={() => handleRename(tag)}
+                    disabled={disabled}
+                    title={`Rename #${tag}`}
+                  >
+                    ✏️
+                  </button>
+                )}
+              </span>
+            ))}
+          </div>
+
+          {selectedTags.length > 0 && (
+            <button className="tag-clear-btn" onClick={onClear}>
+              Clear tag filter
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TagCloud;
@@ -0,0 +1,111 @@
+import React, { useMemo, useState } from 'react';
+import './TasksPanel.css';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'done', label: 'Done' },
+  { value: 'all', label: 'All' }
+];
+
+// Checkboxes from every note; ticking one commits the change to the note it came from
+const TasksPanel = ({ tasks, notes, pendingCount, onToggle, onOpen, onClose, isSaving }) => {
+  const [status, setStatus] = useState('open');
+  const [notePath, setNotePath] = useState('');
+
+  const notesByPath = useMemo(() => new Map(notes.map(note => [note.path, note])), [notes]);
+  const openCount = tasks.filter(task => !task.done).length;
+
+  // Notes with tasks, for the per-note filter
+  const taskNotes = useMemo(() => {
+    const paths = [...new Set(tasks.map(task => task.path))];
+    return paths.map(path => notesByPath.get(path)).filter(Boolean);
+  }, [tasks, notesByPath]);
+
+  const groups = useMemo(() => {
+    const visible = tasks.filter(task =>
+      (status === 'all' || task.done === (status === 'done')) &&
+      (!notePath || task.path === notePath)
+    );
+    const byPath = new Map();
+    visible.forEach(task => {
+      if (!byPath.has(task.path)) byPath.set(task.path, []);
+      byPath.get(task.path).push(task);
+    });
+    return [...byPath.entries()].map(([path, noteTasks]) => ({ note: notesByPath.get(path), tasks: noteTasks }));
+  }, [tasks, status, notePath, notesByPath]);
+
+  return (
+    <div className="tasks-overlay" role="dialog" aria-modal="true" aria-labelledby="tasks-title">
+      <div className="tasks-dialog">
+        <div className="tasks-header">
+          <div>
+            <h3 id="tasks-title">☑️ Tasks</h3>
+            <p>
+              {openCount} open of {tasks.length} checkbox{tasks.length === 1 ? '' : 'es'} across your notes
+              {pendingCount > 0 && ` · loading ${pendingCount} more note${pendingCount === 1 ? '' : 's'}...`}
+            </p>
+          </div>
+          <button className="tasks-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="tasks-filters">
+          <div className="tasks-status" role="group" aria-label="Show tasks">
+            {STATUS_FILTERS.map(filter => (
+              <button
+                key={filter.value}
+                className={status === filter.value ? 'active' : ''}
+                onClick={() => setStatus(filter.value)}
+                aria-pressed={status === filter.value}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+          <select value={notePath} onChange={(e) => setNotePath(e.target.value)} aria-label="Show tasks from note">
+            <option value="">All notes</option>
+            {taskNotes.map(note => (
+              <option key={note.path} value={note.path}>{note.meta.title}</option>
+            ))}
+          </select>
+        </div>
+
+        {groups.length === 0 ? (
+          <p className="tasks-empty">
+            {tasks.length === 0
+              ? <>No tasks yet. Add one to any note with <code>- [ ] something to do</code>.</>
+              : 'No tasks match these filters.'}
+          </p>
+        ) : (
+          <div className="tasks-list">
+            {groups.map(({ note, tasks: noteTasks }) => (
+              <section key={note.path} className="tasks-group">
+                <button className="tasks-note" onClick={() => onOpen(note)} title={`Open ${note.path}`}>
+                  {note.meta.title}
+                </button>
+                <ul>
+                  {noteTasks.map(task => (
+                    <li key={task.id} className={task.done ? 'done' : ''} style={{ paddingLeft: `${task.depth * 0.5}rem` }}>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={task.done}
+                          onChange={(e) => onToggle(task, e.target.checked)}
+                          disabled={isSaving || note.isPending}
+                        />
+                        <span>{task.text || <em>(empty task)</em>}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TasksPanel;
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { TEMPLATES_FOLDER } from '../utils/templates';
+import './TemplatePicker.css';
+
+const NEW_TEMPLATE = '# {{cursor}}\n\nCreated {{date}} by {{user.login}}\n';
+
+const VARIABLES = ['{{date}}', '{{time}}', '{{weekday}}', '{{user.login}}', '{{user.name}}', '{{repo}}', '{{cursor}}'];
+const IMPORT_VARIABLES = ['{{title}}', '{{content}}'];
+
+const codeList = (items) => items.map((item, index) => (
+  <React.Fragment key={item}>{index > 0 && ', '}<code>{item}</code></React.Fragment>
+));
+
+// First line of a template worth showing, without front matter or heading marks
+const previewLine = (content) => {
+  const body = content.replace(/^---\n[\s\S]*?\n---\n?/, '');
+  const line = body.split('\n').find(text => text.trim()) || '';
+  return line.replace(/^#+\s*/, '').replace(/\{\{\s*cursor\s*\}\}/g, '').trim();
+};
+
+// Preview for a template whose content is still downloading (undefined) or failed to download (null)
+const templatePreview = (content) => {
+  if (content === undefined) return 'Loading...';
+  if (content === null) return 'Could not load this template';
+  return previewLine(content) || 'Empty template';
+};
+
+// Pick a template for a new note or an import, and create, edit or delete templates
+const TemplatePicker = ({ templates, purpose, onPick, onSave, onDelete, onClose, isSaving }) => {
+  const [editing, setEditing] = useState(null);
+  const isImport = purpose === 'import';
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!editing.name.trim()) return;
+    const saved = await onSave(editing);
+    if (saved) setEditing(null);
+  };
+
+  const remove = (template) => {
+    if (window.confirm(`Delete the template "${template.name}"? Notes created from it are not changed.`)) {
+      onDelete(template);
+    }
+  };
+
+  if (editing) {
+    return (
+      <div className="template-overlay" role="dialog" aria-modal="true" aria-labelledby="template-title">
+        <form className="template-dialog" onSubmit={save}>
+          <div className="template-header">
+            <div>
+              <h3 id="template-title">{editing.template ? `✏️ Edit "${editing.template.name}"` : '➕ New template'}</h3>
+              <p>Saved in <code>{editing.template ? editing.template.path : `${TEMPLATES_FOLDER}/`}</code> and shared with everyone using this repository.</p>
+            </div>
+            <button type="button" className="template-close" onClick={() => setEditing(null)} disabled={isSaving} aria-label="Back">
+              ✕
+            </button>
+          </div>
+
+          {!editing.template && (
+            <label className="template-field">
+              <span>Name</span>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Meeting notes"
+                disabled={isSaving}
+                autoFocus
+              />
+            </label>
+          )}
+
+          <label className="template-field">
+            <span>Content</span>
+            <textarea
+              value={editing.content}
+              onChange={(e) => setEditing(prev => ({ ...prev, content: e.target.value }))}
+              rows={12}
+              disabled={isSaving}
+              autoFocus={!!editing.template}
+            />
+            <small>
+              Variables: {codeList(VARIABLES)}. On import also {codeList(IMPORT_VARIABLES)}; without <code>{'{{content}}'}</code> the note follows the template.
+            </small>
+          </label>
+
+          <div className="template-actions">
+            <button type="button" className="template-btn secondary" onClick={() => setEditing(null)} disabled={isSaving}>
+              Cancel
+            </button>
+            <button type="submit" className="template-btn primary" disabled={isSaving || !editing.name.trim()}>
+              {isSaving ? 'Saving...' : 'Save template'}
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="template-overlay" role="dialog" aria-modal="true" aria-labelledby="template-title">
+      <div className="template-dialog">
+        <div className="template-header">
+          <div>
+            <h3 id="template-title">{isImport ? '📥 Import with a template' : '📄 New note'}</h3>
+            <p>
+              {isImport
+                ? 'Each imported note is placed into the template where it says {{content}}.'
+                : 'Start from a blank note or one of the templates in this repository.'}
+            </p>
+          </div>
+          <button className="template-close" onClick={onClose} disabled={isSaving} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <ul className="template-list">
+          <li>
+            <button className="template-pick" onClick={() => onPick(null)} disabled={isSaving} autoFocus>
+              <span className="template-name">{isImport ? 'No template' : 'Blank note'}</span>
+              <span className="template-preview">{isImport ? 'Import the notes as they are' : 'An empty editor'}</span>
+            </button>
+          </li>
+          {templates.map(template => (
+            <li key={template.path}>
+              <button
+                className="template-pick"
+                onClick={() => onPick(template)}
+                disabled={isSaving || template.content == null}
+                title={template.path}
+              >
+                <span className="template-name">{template.name}</span>
+                <span className={template.content === null ? 'template-preview template-failed' : 'template-preview'}>
+                  {templatePreview(template.content)}
+                </span>
+              </button>
+              <div className="template-item-actions">
+                <button
+                  onClick={() => setEditing({ template, name: template.name, content: template.content })}
+                  disabled={isSaving || template.content == null}
+                >
+                  Edit
+                </button>
+                <button className="danger" onClick={() => remove(template)} disabled={isSaving}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="template-actions">
+          <button
+            className="template-btn secondary"
+            onClick={() => setEditing({ template: null, name: '', content: NEW_TEMPLATE })}
+            disabled={isSaving}
+          >
+            ➕ New template
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplatePicker;
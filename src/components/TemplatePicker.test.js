@@ -0,0 +1,38 @@
+import React from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import TemplatePicker from './TemplatePicker';
+
+describe('TemplatePicker', () => {
+  let container;
+  let root;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    root.unmount();
+    container.remove();
+  });
+
+  const showPicker = (templates) => flushSync(() => {
+    root.render(<TemplatePicker templates={templates} purpose="note" onPick={jest.fn()} onSave={jest.fn()} onDelete={jest.fn()} onClose={jest.fn()} isSaving={false} />);
+  });
+
+  it('shows templates that are loading, loaded or failed to load', () => {
+    showPicker([
+      { path: '.kiara/templates/a.md', name: 'a', content: undefined },
+      { path: '.kiara/templates/b.md', name: 'b', content: '---\ntags: [x]\n---\n# Meeting {{cursor}}\n' },
+      { path: '.kiara/templates/c.md', name: 'c', content: null }
+    ]);
+
+    const items = [...container.querySelectorAll('.template-list li')].slice(1);
+    expect(items.map(item => item.querySelector('.template-preview').textContent))
+      .toEqual(['Loading...', 'Meeting', 'Could not load this template']);
+    expect(items.map(item => item.querySelector('.template-pick').disabled)).toEqual([true, false, true]);
+    expect(items.map(item => item.querySelector('.template-item-actions button').disabled)).toEqual([true, false, true]);
+  });
+});
@@ -0,0 +1,75 @@
+import React from 'react';
+import { addDays, format, formatDistanceToNow } from 'date-fns';
+import { getBaseName, getParentFolder } from '../utils/noteTree';
+import { TRASH_FOLDER } from '../utils/trash';
+import './TrashPanel.css';
+
+const TrashPanel = ({ entries, retentionDays, onRestore, onPurge, onClose, isSaving }) => {
+  const purge = (toPurge) => {
+    const label = toPurge.length === 1 ? `"${getBaseName(toPurge[0].originalPath)}"` : `all ${toPurge.length} notes in the trash`;
+    if (window.confirm(`Permanently delete ${label}? It stays in the repository history, but cannot be restored from here.`)) {
+      onPurge(toPurge);
+    }
+  };
+
+  return (
+    <div className="trash-overlay" role="dialog" aria-modal="true" aria-labelledby="trash-title">
+      <div className="trash-dialog">
+        <div className="trash-header">
+          <div>
+            <h3 id="trash-title">🗑️ Trash</h3>
+            <p>
+              Deleted notes are kept in <code>{TRASH_FOLDER}/</code>
+              {retentionDays > 0
+                ? ` and purged ${retentionDays} day${retentionDays === 1 ? '' : 's'} after deletion.`
+                : ' until you purge them.'}
+            </p>
+          </div>
+          <button className="trash-close" onClick={onClose} disabled={isSaving} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {entries.length === 0 ? (
+          <p className="trash-empty">The trash is empty.</p>
+        ) : (
+          <ul className="trash-list">
+            {entries.map(entry => (
+              <li key={entry.path}>
+                <div className="trash-summary">
+                  <span className="trash-name" title={entry.originalPath}>{getBaseName(entry.originalPath)}</span>
+                  <span className="trash-meta">
+                    {getParentFolder(entry.originalPath) ? `📁 ${getParentFolder(entry.originalPath)} · ` : ''}
+                    <span title={format(entry.deletedAt, 'PPpp')}>
+                      deleted {formatDistanceToNow(entry.deletedAt, { addSuffix: true })}
+                    </span>
+                    {retentionDays > 0 && ` · purged ${format(addDays(entry.deletedAt, retentionDays), 'MMM d')}`}
+                  </span>
+                </div>
+                <div className="trash-actions">
+                  <button onClick={() => onRestore(entry)} disabled={isSaving}>
+                    Restore
+                  </button>
+                  <button className="danger" onClick={() => purge([entry])} disabled={isSaving}>
+                    Delete forever
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="trash-footer">
+          <button className="trash-btn secondary" onClick={onClose} disabled={isSaving}>
+            Close
+          </button>
+          <button className="trash-btn danger" onClick={() => purge(entries)} disabled={isSaving || entries.length === 0}>
+            {isSaving ? 'Working...' : 'Empty trash'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashPanel;
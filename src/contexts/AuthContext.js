@@ -17,12 +17,15 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(localStorage.getItem('github_token'));
   const [loading, setLoading] = useState(true);
   const [octokit, setOctokit] = useState(null);
+  const [storageMode, setStorageMode] = useState(() => localStorage.getItem('kiara-storage-mode') || 'github');
 
   const logout = useCallback(() => {
     localStorage.removeItem('github_token');
+    localStorage.removeItem('kiara-storage-mode');
     setToken(null);
     setUser(null);
     setOctokit(null);
+    setStorageMode('github');
   }, []);
 
   const fetchUser = useCallback(async (octokitInstance) => {
@@ -48,6 +51,8 @@ export const AuthProvider = ({ children }) => {
   const login = useCallback(async (githubToken) => {
     try {
       localStorage.setItem('github_token', githubToken);
+      localStorage.removeItem('kiara-storage-mode');
+      setStorageMode('github');
       setToken(githubToken);
       const octokitInstance = new Octokit({ auth: githubToken });
       setOctokit(octokitInstance);
@@ -61,6 +66,13 @@ export const AuthProvider = ({ children }) => {
     }
   }, [fetchUser, logout]);
 
+  // Use the app without GitHub; notes stay in this browser
+  const loginLocal = useCallback(() => {
+    localStorage.setItem('kiara-storage-mode', 'local');
+    setStorageMode('local');
+    setUser({ login: 'local', name: 'Local notes' });
+  }, []);
+
   const loginWithOAuthCode = useCallback(async (code) => {
     try {
       // Exchange the authorization code for an access token
@@ -126,20 +138,25 @@ export const AuthProvider = ({ children }) => {
       const octokitInstance = new Octokit({ auth: token });
       setOctokit(octokitInstance);
       fetchUser(octokitInstance);
+    } else if (storageMode === 'local') {
+      setUser({ login: 'local', name: 'Local notes' });
+      setLoading(false);
     } else {
       setLoading(false);
     }
-  }, [token]); // Removed fetchUser dependency to prevent infinite loop
+  }, [token, storageMode, fetchUser]);
 
   const value = {
     user,
     token,
     octokit,
     login,
+    loginLocal,
     loginWithOAuthCode,
     logout,
     loading,
-    isAuthenticated: !!token
+    storageMode,
+    isAuthenticated: !!token || storageMode === 'local'
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,318 @@
+import { withErrorHandling } from '../utils/errorHandler';
+import { collectFolders } from '../utils/noteTree';
+
+// GitHub's contents API speaks base64; these keep non-ASCII text intact
+const encodeContent = (text) => btoa(unescape(encodeURIComponent(text)));
+const decodeContent = (base64) => decodeURIComponent(escape(atob(base64.replace(/\n/g, ''))));
+
+const RETRY_OPTIONS = {
+  maxRetries: 3,
+  circuitBreakerThreshold: 5
+};
+
+// Blobs are uploaded a few at a time to stay clear of secondary rate limits
+const BLOB_CONCURRENCY = 3;
+
+// Note storage backed by a GitHub repository; every write is a commit
+class GitHubNoteStore {
+  constructor({ octokit, owner, repo, branch }) {
+    this.octokit = octokit;
+    this.owner = owner;
+    this.repo = repo;
+    this.branch = branch;
+  }
+
+  request(operationName, operation) {
+    return withErrorHandling(operation, { ...RETRY_OPTIONS, operationName });
+  }
+
+  async list() {
+    let entries = [];
+    try {
+      // List the whole repository in one request so notes in nested folders are found
+      const { data } = await this.request('listNotes', async () => await this.octokit.rest.git.getTree({
+        owner: this.owner,
+        repo: this.repo,
+        tree_sha: this.branch,
+        recursive: 'true'
+      }));
+      if (data.truncated) {
+        console.warn('Repository tree was truncated; some notes may not be listed');
+      }
+      entries = data.tree;
+    } catch (error) {
+      // Empty repositories have no tree yet
+      if (error.status !== 409) throw error;
+    }
+
+    return {
+      files: entries
+        .filter(entry => entry.type === 'blob')
+        .map(entry => ({ path: entry.path, sha: entry.sha, size: entry.size })),
+      folders: collectFolders(entries)
+    };
+  }
+
+  async read(path) {
+    const { data } = await this.request('readNote', async () => await this.octokit.rest.repos.getContent({
+      owner: this.owner,
+      repo: this.repo,
+      path,
+      ref: this.branch
+    }));
+    return {
+      path: data.path,
+      content: decodeContent(data.content),
+      sha: data.sha,
+      size: data.size
+    };
+  }
+
+  // Content by git blob sha; cheaper than the contents API and cacheable forever
+  async readBlob(sha) {
+    const { data } = await this.request('readBlob', async () => await this.octokit.rest.git.getBlob({
+      owner: this.owner,
+      repo: this.repo,
+      file_sha: sha
+    }));
+    return decodeContent(data.content);
+  }
+
+  // Content of a file as of a given commit
+  async readAt(path, ref) {
+    const { data } = await this.request('readNoteRevision', async () => await this.octokit.rest.repos.getContent({
+      owner: this.owner,
+      repo: this.repo,
+      path,
+      ref
+    }));
+    return {
+      path: data.path,
+      content: decodeContent(data.content),
+      sha: data.sha,
+      size: data.size
+    };
+  }
+
+  async create(path, content, message) {
+    const { data } = await this.request('createNote', async () => await this.octokit.rest.repos.createOrUpdateFileContents({
+      owner: this.owner,
+      repo: this.repo,
+      path,
+      message,
+      content: encodeContent(content),
+      branch: this.branch
+    }));
+    return { path, sha: data.content.sha };
+  }
+
+  async update(path, content, sha, message) {
+    const { data } = await this.request('updateNote', async () => await this.octokit.rest.repos.createOrUpdateFileContents({
+      owner: this.owner,
+      repo: this.repo,
+      path,
+      message,
+      content: encodeContent(content),
+      sha,
+      branch: this.branch
+    }));
+    return { path, sha: data.content.sha };
+  }
+
+  async delete(path, sha, message) {
+    await this.request('deleteNote', async () => await this.octokit.rest.repos.deleteFile({
+      owner: this.owner,
+      repo: this.repo,
+      path,
+      message,
+      sha,
+      branch: this.branch
+    }));
+  }
+
+  // Apply many file changes as a single commit using the Git Data API. A change may carry the
+  // blob `sha` it was based on, which is checked again if the branch moves during the commit.
+  // Nothing becomes visible until the branch ref moves, so a failure leaves the repo untouched.
+  async commitChanges(changes, message, { onProgress } = {}) {
+    const writes = changes.filter(change => !change.delete);
+    const total = writes.length;
+    let done = 0;
+    const report = (phase) => onProgress && onProgress({ phase, done, total });
+
+    // A branch that does not exist yet (404) starts with a commit without parents. Repositories
+    // without any commit (409) have no ref either, and there the Git Data API does not work at all.
+    let headSha = null;
+    try {
+      headSha = await this.getHeadSha();
+    } catch (error) {
+      if (error.status === 409) return this.commitToEmptyRepository(changes, message, { onProgress });
+      if (error.status !== 404) throw error;
+    }
+
+    // Upload blobs first; they are unreachable until a commit references them
+    report('blobs');
+    const blobShas = new Map();
+    const queue = [...writes];
+    const uploadNext = async () => {
+      while (queue.length > 0) {
+        const change = queue.shift();
+        const { data } = await this.request('createBlob', async () => await this.octokit.rest.git.createBlob({
+          owner: this.owner,
+          repo: this.repo,
+          content: change.content,
+          encoding: change.encoding || 'utf-8'
+        }));
+        blobShas.set(change.path, data.sha);
+        done++;
+        report('blobs');
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(BLOB_CONCURRENCY, writes.length) }, uploadNext));
+
+    // Without a head there is nothing to delete
+    const treeEntries = changes.filter(change => headSha || !change.delete).map(change => ({
+      path: change.path,
+      mode: '100644',
+      type: 'blob',
+      sha: change.delete ? null : blobShas.get(change.path)
+    }));
+
+    report('commit');
+    try {
+      return await this.commitTree(headSha, treeEntries, message);
+    } catch (error) {
+      // The branch moved while we were uploading; rebuild once on top of the new head, unless
+      // the commits in between touched the files being written
+      if (error.status !== 422) throw error;
+      const newHeadSha = await this.getHeadSha();
+      await this.checkUnchanged(changes, headSha, newHeadSha);
+      return await this.commitTree(newHeadSha, treeEntries, message);
+    }
+  }
+
+  // The contents API accepts a first file in an empty repository: it starts the branch, and the
+  // other changes follow as a second commit on top of it
+  async commitToEmptyRepository(changes, message, options) {
+    const [first, ...rest] = changes.filter(change => !change.delete);
+    if (!first) return { sha: null };
+
+    const { data } = await this.request('createFirstFile', async () => await this.octokit.rest.repos.createOrUpdateFileContents({
+      owner: this.owner,
+      repo: this.repo,
+      path: first.path,
+      message,
+      content: first.encoding === 'base64' ? first.content : encodeContent(first.content),
+      branch: this.branch
+    }));
+    if (rest.length === 0) return { sha: data.commit.sha };
+    return this.commitChanges(rest, message, options);
+  }
+
+  // Throws a 409 when a changed path at `toSha` no longer has the blob sha its change expects,
+  // or, for changes without a `sha`, the one it had at `fromSha`
+  async checkUnchanged(changes, fromSha, toSha) {
+    const [before, after] = await Promise.all([fromSha ? this.readTreeShas(fromSha) : new Map(), this.readTreeShas(toSha)]);
+    const moved = changes.find(change => after.get(change.path) !== (change.sha || before.get(change.path)));
+    if (moved) {
+      const error = new Error(`${moved.path} was changed by another commit`);
+      error.status = 409;
+      throw error;
+    }
+  }
+
+  // Blob sha per path in the tree of a commit
+  async readTreeShas(commitSha) {
+    const { data } = await this.request('readTree', async () => await this.octokit.rest.git.getTree({
+      owner: this.owner,
+      repo: this.repo,
+      tree_sha: commitSha,
+      recursive: 'true'
+    }));
+    return new Map(data.tree.filter(entry => entry.type === 'blob').map(entry => [entry.path, entry.sha]));
+  }
+
+  async getHeadSha() {
+    const { data } = await this.request('getRef', async () => await this.octokit.rest.git.getRef({
+      owner: this.owner,
+      repo: this.repo,
+      ref: `heads/${this.branch}`
+    }));
+    return data.object.sha;
+  }
+
+  // Commit on top of `headSha`, or as the first commit of a new branch when it is null
+  async commitTree(headSha, treeEntries, message) {
+    let baseTree;
+    if (headSha) {
+      const { data: headCommit } = await this.request('getCommit', async () => await this.octokit.rest.git.getCommit({
+        owner: this.owner,
+        repo: this.repo,
+        commit_sha: headSha
+      }));
+      baseTree = headCommit.tree.sha;
+    }
+
+    const { data: tree } = await this.request('createTree', async () => await this.octokit.rest.git.createTree({
+      owner: this.owner,
+      repo: this.repo,
+      ...(baseTree ? { base_tree: baseTree } : {}),
+      tree: treeEntries
+    }));
+
+    const { data: commit } = await this.request('createCommit', async () => await this.octokit.rest.git.createCommit({
+      owner: this.owner,
+      repo: this.repo,
+      message,
+      tree: tree.sha,
+      parents: headSha ? [headSha] : []
+    }));
+
+    // Not retried: a 422 here means the branch moved (or was created meanwhile) and the caller decides what to do
+    if (headSha) {
+      await this.octokit.rest.git.updateRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${this.branch}`,
+        sha: commit.sha,
+        force: false
+      });
+    } else {
+      await this.octokit.rest.git.createRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `refs/heads/${this.branch}`,
+        sha: commit.sha
+      });
+    }
+
+    return { sha: commit.sha };
+  }
+
+  // Branch names of the repository, for choosing where notes are committed
+  async listBranches() {
+    const branches = await this.request('listBranches', async () => await this.octokit.paginate(this.octokit.rest.repos.listBranches, {
+      owner: this.owner,
+      repo: this.repo,
+      per_page: 100
+    }));
+    return branches.map(branch => ({ name: branch.name, protected: branch.protected }));
+  }
+
+  async history(path) {
+    const { data } = await this.request('noteHistory', async () => await this.octokit.rest.repos.listCommits({
+      owner: this.owner,
+      repo: this.repo,
+      path,
+      sha: this.branch,
+      per_page: 100
+    }));
+    return data.map(commit => ({
+      sha: commit.sha,
+      message: commit.commit.message,
+      date: commit.commit.author?.date,
+      author: commit.author?.login || commit.commit.author?.name
+    }));
+  }
+}
+
+export default GitHubNoteStore;
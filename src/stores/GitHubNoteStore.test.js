@@ -0,0 +1,104 @@
+import GitHubNoteStore from './GitHubNoteStore';
+
+// A branch that another commit moves while ours is being made: `trees` maps commit shas to the
+// blob shas of their files, and the first ref update is refused like GitHub does for a stale head
+const fakeOctokit = (trees) => {
+  const heads = ['c1', 'c2'];
+  const refused = Object.assign(new Error('Update is not a fast forward'), { status: 422 });
+  const updateRef = jest.fn()
+    .mockRejectedValueOnce(refused)
+    .mockResolvedValue({ data: {} });
+
+  return {
+    updateRef,
+    rest: {
+      git: {
+        getRef: jest.fn(async () => ({ data: { object: { sha: heads.length > 1 ? heads.shift() : heads[0] } } })),
+        createBlob: jest.fn(async ({ content }) => ({ data: { sha: `blob-${content}` } })),
+        getCommit: jest.fn(async ({ commit_sha: sha }) => ({ data: { tree: { sha: `tree-${sha}` } } })),
+        getTree: jest.fn(async ({ tree_sha: sha }) => ({
+          data: { tree: Object.entries(trees[sha]).map(([path, blob]) => ({ path, sha: blob, type: 'blob' })) }
+        })),
+        createTree: jest.fn(async () => ({ data: { sha: 'new-tree' } })),
+        createCommit: jest.fn(async ({ parents }) => ({ data: { sha: `on-${parents[0]}` } })),
+        updateRef
+      }
+    }
+  };
+};
+
+const createStore = (octokit) => new GitHubNoteStore({ octokit, owner: 'me', repo: 'notes', branch: 'main' });
+
+describe('GitHubNoteStore.commitChanges', () => {
+  it('rebuilds on the new head when the commits in between left the files alone', async () => {
+    const octokit = fakeOctokit({ c1: { 'a.md': 'a1', 'b.md': 'b1' }, c2: { 'a.md': 'a1', 'b.md': 'b2' } });
+    const result = await createStore(octokit).commitChanges([{ path: 'a.md', content: 'A', sha: 'a1' }], 'Edit A');
+
+    expect(result).toEqual({ sha: 'on-c2' });
+    expect(octokit.updateRef).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses to overwrite a file another commit changed in the meantime', async () => {
+    const octokit = fakeOctokit({ c1: { 'a.md': 'a1' }, c2: { 'a.md': 'a2' } });
+
+    await expect(createStore(octokit).commitChanges([{ path: 'a.md', content: 'A', sha: 'a1' }], 'Edit A'))
+      .rejects.toMatchObject({ status: 409 });
+    expect(octokit.updateRef).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to replace a new file another commit created in the meantime', async () => {
+    const octokit = fakeOctokit({ c1: {}, c2: { 'new.md': 'n1' } });
+
+    await expect(createStore(octokit).commitChanges([{ path: 'new.md', content: 'N' }], 'Create new'))
+      .rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('GitHubNoteStore.commitChanges without a branch', () => {
+  const refError = (status) => Object.assign(new Error(status === 409 ? 'Git Repository is empty.' : 'Not Found'), { status });
+
+  const emptyOctokit = (status) => ({
+    rest: {
+      repos: {
+        createOrUpdateFileContents: jest.fn(async () => ({ data: { commit: { sha: 'first' } } }))
+      },
+      git: {
+        getRef: jest.fn()
+          .mockRejectedValueOnce(refError(status))
+          .mockResolvedValue({ data: { object: { sha: 'first' } } }),
+        createBlob: jest.fn(async ({ content }) => ({ data: { sha: `blob-${content}` } })),
+        getCommit: jest.fn(async ({ commit_sha: sha }) => ({ data: { tree: { sha: `tree-${sha}` } } })),
+        createTree: jest.fn(async () => ({ data: { sha: 'new-tree' } })),
+        createCommit: jest.fn(async ({ parents }) => ({ data: { sha: parents.length > 0 ? `on-${parents[0]}` : 'root' } })),
+        updateRef: jest.fn(async () => ({ data: {} })),
+        createRef: jest.fn(async () => ({ data: {} }))
+      }
+    }
+  });
+
+  const changes = [{ path: 'a.md', content: 'A' }, { path: 'b.md', content: 'B' }, { path: 'old.md', delete: true }];
+
+  it('starts a missing branch with a commit without parents', async () => {
+    const octokit = emptyOctokit(404);
+    const result = await createStore(octokit).commitChanges(changes, 'Import');
+
+    expect(result).toEqual({ sha: 'root' });
+    expect(octokit.rest.git.createTree).toHaveBeenCalledWith(expect.not.objectContaining({ base_tree: expect.anything() }));
+    expect(octokit.rest.git.createTree.mock.calls[0][0].tree.map(entry => entry.path)).toEqual(['a.md', 'b.md']);
+    expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ parents: [] }));
+    expect(octokit.rest.git.createRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/main', sha: 'root' }));
+    expect(octokit.rest.git.updateRef).not.toHaveBeenCalled();
+  });
+
+  it('starts an empty repository with its first file and commits the rest on top', async () => {
+    const octokit = emptyOctokit(409);
+    const result = await createStore(octokit).commitChanges(changes, 'Import');
+
+    expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(expect.objectContaining({ path: 'a.md', branch: 'main' }));
+    expect(octokit.rest.git.createTree.mock.calls[0][0]).toEqual(expect.objectContaining({
+      base_tree: 'tree-first',
+      tree: [expect.objectContaining({ path: 'b.md', sha: 'blob-B' })]
+    }));
+    expect(result).toEqual({ sha: 'on-first' });
+  });
+});
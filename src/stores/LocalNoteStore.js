@@ -0,0 +1,34 @@
+import MemoryNoteStore from './MemoryNoteStore';
+
+const DEFAULT_STORAGE_KEY = 'kiara-local-notes';
+
+// Note storage persisted in the browser's localStorage; works without a GitHub token
+class LocalNoteStore extends MemoryNoteStore {
+  constructor({ storageKey = DEFAULT_STORAGE_KEY, author } = {}) {
+    super({ author, initialState: LocalNoteStore.load(storageKey) });
+    this.storageKey = storageKey;
+  }
+
+  static load(storageKey) {
+    try {
+      const saved = localStorage.getItem(storageKey);
+      return saved ? JSON.parse(saved) : undefined;
+    } catch (error) {
+      console.error('Error loading local notes:', error);
+      return undefined;
+    }
+  }
+
+  persist(state) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(state));
+    } catch (error) {
+      // Quota errors would otherwise be silently lost
+      const storageError = new Error('Local storage is full. Export and remove some notes to free space.');
+      storageError.cause = error;
+      throw storageError;
+    }
+  }
+}
+
+export default LocalNoteStore;
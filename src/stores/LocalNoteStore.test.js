@@ -0,0 +1,25 @@
+import LocalNoteStore from './LocalNoteStore';
+
+describe('LocalNoteStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  it('keeps notes in localStorage across instances', async () => {
+    await new LocalNoteStore({ storageKey: 'test-notes' }).create('a.md', '# A\n', 'Create A');
+    expect((await new LocalNoteStore({ storageKey: 'test-notes' }).read('a.md')).content).toBe('# A\n');
+  });
+
+  it('reports a full storage without showing the write as done', async () => {
+    const store = new LocalNoteStore({ storageKey: 'test-notes' });
+    await store.create('a.md', '# A\n', 'Create A');
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    });
+
+    await expect(store.create('b.md', '# B\n', 'Create B')).rejects.toThrow('Local storage is full');
+    expect((await store.list()).files.map(file => file.path)).toEqual(['a.md']);
+    expect(JSON.parse(localStorage.getItem('test-notes')).commits).toHaveLength(1);
+  });
+});
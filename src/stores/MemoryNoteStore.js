@@ -0,0 +1,158 @@
+import { collectFolders } from '../utils/noteTree';
+
+// Content hash standing in for git blob shas (two FNV-1a passes -> 16 hex chars)
+export const hashContent = (content) => {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193 ^ content.length;
+  for (let i = 0; i < content.length; i++) {
+    const code = content.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+  }
+  return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+};
+
+// Errors mirror the statuses octokit raises so callers handle every backend alike
+const storeError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const emptyState = () => ({ files: {}, commits: [] });
+
+// Commits keep the full content they wrote, so only the most recent ones are kept
+const HISTORY_LIMIT = 100;
+
+// Note storage kept entirely in memory; also the base for the browser-local store
+class MemoryNoteStore {
+  constructor({ author = 'local', initialState, historyLimit = HISTORY_LIMIT } = {}) {
+    this.author = author;
+    this.historyLimit = historyLimit;
+    this.state = initialState || emptyState();
+  }
+
+  // Hook for subclasses that persist the state somewhere; throwing leaves the current state untouched
+  persist(state) {}
+
+  commit(message, changes) {
+    const date = new Date().toISOString();
+    const sha = hashContent(`${date}\n${message}\n${JSON.stringify(changes)}\n${this.state.commits[0]?.sha || ''}`);
+
+    const files = { ...this.state.files };
+    Object.entries(changes).forEach(([path, content]) => {
+      if (content === null) {
+        delete files[path];
+      } else {
+        files[path] = { content, sha: hashContent(content), updatedAt: date };
+      }
+    });
+    const commits = [{ sha, message, date, author: this.author, changes }, ...this.state.commits].slice(0, this.historyLimit);
+
+    // The new state only replaces the current one once it has been persisted
+    const next = { files, commits };
+    this.persist(next);
+    this.state = next;
+    return sha;
+  }
+
+  async list() {
+    const files = Object.entries(this.state.files).map(([path, file]) => ({
+      path,
+      sha: file.sha,
+      size: file.content.length
+    }));
+    return {
+      files,
+      folders: collectFolders(files.map(file => ({ type: 'blob', path: file.path })))
+    };
+  }
+
+  async read(path) {
+    const file = this.state.files[path];
+    if (!file) {
+      throw storeError(`Not Found: ${path}`, 404);
+    }
+    return { path, content: file.content, sha: file.sha, size: file.content.length };
+  }
+
+  async readBlob(sha) {
+    const file = Object.values(this.state.files).find(candidate => candidate.sha === sha);
+    if (!file) {
+      throw storeError(`No blob found for ${sha}`, 404);
+    }
+    return file.content;
+  }
+
+  async readAt(path, ref) {
+    const start = this.state.commits.findIndex(commit => commit.sha === ref);
+    if (start === -1) {
+      throw storeError(`No commit found for ${ref}`, 404);
+    }
+    // Commits are newest first, so the first one touching the path holds its content at that point.
+    // When that commit is past the kept history, the file is as it is now unless a later commit changed it.
+    const touches = (candidate) => Object.prototype.hasOwnProperty.call(candidate.changes, path);
+    const commit = this.state.commits.slice(start).find(touches);
+    const unchangedSince = !commit && !this.state.commits.slice(0, start).some(touches);
+    const content = commit ? commit.changes[path] : unchangedSince ? this.state.files[path]?.content ?? null : null;
+    if (content === null) {
+      throw storeError(`Not Found: ${path} at ${ref}`, 404);
+    }
+    return { path, content, sha: hashContent(content), size: content.length };
+  }
+
+  async create(path, content, message) {
+    if (this.state.files[path]) {
+      throw storeError(`Invalid request: "sha" wasn't supplied for existing file ${path}`, 422);
+    }
+    this.commit(message, { [path]: content });
+    return { path, sha: this.state.files[path].sha };
+  }
+
+  async update(path, content, sha, message) {
+    const file = this.state.files[path];
+    if (!file) {
+      throw storeError(`Not Found: ${path}`, 404);
+    }
+    if (file.sha !== sha) {
+      throw storeError(`${path} does not match ${sha}`, 409);
+    }
+    this.commit(message, { [path]: content });
+    return { path, sha: this.state.files[path].sha };
+  }
+
+  async delete(path, sha, message) {
+    const file = this.state.files[path];
+    if (!file) {
+      throw storeError(`Not Found: ${path}`, 404);
+    }
+    if (file.sha !== sha) {
+      throw storeError(`${path} does not match ${sha}`, 409);
+    }
+    this.commit(message, { [path]: null });
+  }
+
+  // All changes land in one commit; nothing is applied if any change is invalid
+  async commitChanges(changes, message, { onProgress } = {}) {
+    const writes = changes.filter(change => !change.delete);
+    const updates = {};
+
+    changes.forEach(change => {
+      if (change.delete && !this.state.files[change.path]) {
+        throw storeError(`Not Found: ${change.path}`, 404);
+      }
+      updates[change.path] = change.delete ? null : change.content;
+    });
+
+    if (onProgress) onProgress({ phase: 'commit', done: writes.length, total: writes.length });
+    return { sha: this.commit(message, updates) };
+  }
+
+  async history(path) {
+    return this.state.commits
+      .filter(commit => Object.prototype.hasOwnProperty.call(commit.changes, path))
+      .map(({ sha, message, date, author }) => ({ sha, message, date, author }));
+  }
+}
+
+export default MemoryNoteStore;
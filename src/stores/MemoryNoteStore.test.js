@@ -0,0 +1,172 @@
+import MemoryNoteStore from './MemoryNoteStore';
+import { diffLines, diffStats } from '../utils/diff';
+import { parseFrontMatter } from '../utils/frontMatter';
+import { mergeThreeWay } from '../utils/merge';
+import { buildNote, withSaveMetadata } from '../utils/noteMeta';
+import { createSearchIndex, parseSearchQuery } from '../utils/search';
+import { applyQueuedWrites, applyWrite, completeEntry, enqueueWrite } from '../utils/writeQueue';
+
+const now = new Date('2024-05-01T10:00:00.000Z');
+
+// The notes of a store the way the app builds them from a listing
+const loadNotes = async (store) => {
+  const { files } = await store.list();
+  return Promise.all(files.map(async file => buildNote(file, (await store.read(file.path)).content)));
+};
+
+describe('MemoryNoteStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryNoteStore();
+  });
+
+  it('creates, updates and deletes notes, checking the sha they were based on', async () => {
+    const created = await store.create('notes/a.md', '# A\n', 'Create A');
+    await expect(store.create('notes/a.md', 'again', 'Create A again')).rejects.toMatchObject({ status: 422 });
+
+    const updated = await store.update('notes/a.md', '# A\n\nMore\n', created.sha, 'Update A');
+    await expect(store.update('notes/a.md', 'stale', created.sha, 'Stale update')).rejects.toMatchObject({ status: 409 });
+    await expect(store.delete('notes/a.md', created.sha, 'Stale delete')).rejects.toMatchObject({ status: 409 });
+
+    await store.delete('notes/a.md', updated.sha, 'Delete A');
+    await expect(store.read('notes/a.md')).rejects.toMatchObject({ status: 404 });
+    expect((await store.history('notes/a.md')).map(commit => commit.message)).toEqual(['Delete A', 'Update A', 'Create A']);
+  });
+
+  it('lists files with their folders and reads older versions by commit', async () => {
+    await store.create('notes/work/a.md', 'first', 'Create A');
+    const [firstCommit] = await store.history('notes/work/a.md');
+    const { sha } = await store.read('notes/work/a.md');
+    await store.update('notes/work/a.md', 'second', sha, 'Update A');
+
+    const { files, folders } = await store.list();
+    expect(files.map(file => file.path)).toEqual(['notes/work/a.md']);
+    expect(folders).toEqual(expect.arrayContaining(['notes', 'notes/work']));
+    expect((await store.readAt('notes/work/a.md', firstCommit.sha)).content).toBe('first');
+    expect(await store.readBlob(files[0].sha)).toBe('second');
+    await expect(store.readBlob(sha)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('commits several changes as one commit', async () => {
+    await store.create('a.md', 'a', 'Create a');
+    await store.commitChanges([
+      { path: 'a.md', delete: true },
+      { path: 'b.md', content: 'b' }
+    ], 'Replace a with b');
+
+    expect((await store.list()).files.map(file => file.path)).toEqual(['b.md']);
+    expect(store.state.commits[0].changes).toEqual({ 'a.md': null, 'b.md': 'b' });
+    await expect(store.commitChanges([{ path: 'missing.md', delete: true }], 'Delete nothing')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('keeps only the most recent commits and still reads files untouched since', async () => {
+    store = new MemoryNoteStore({ historyLimit: 2 });
+    await store.create('kept.md', 'kept', 'Create kept');
+    const { sha } = await store.create('a.md', 'one', 'Create a');
+    await store.update('a.md', 'two', sha, 'Update a');
+
+    expect(store.state.commits.map(commit => commit.message)).toEqual(['Update a', 'Create a']);
+    const [latest, oldest] = store.state.commits;
+    expect((await store.readAt('kept.md', oldest.sha)).content).toBe('kept');
+    expect((await store.readAt('a.md', oldest.sha)).content).toBe('one');
+    expect((await store.readAt('a.md', latest.sha)).content).toBe('two');
+  });
+
+  it('leaves the state as it was when persisting a commit fails', async () => {
+    await store.create('a.md', 'a', 'Create a');
+    const before = store.state;
+    store.persist = () => {
+      throw new Error('Local storage is full');
+    };
+
+    await expect(store.commitChanges([{ path: 'b.md', content: 'b' }], 'Create b')).rejects.toThrow('Local storage is full');
+    expect(store.state).toBe(before);
+    await expect(store.read('b.md')).rejects.toMatchObject({ status: 404 });
+    expect(store.state.commits).toHaveLength(1);
+  });
+});
+
+describe('writing notes through the write queue', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MemoryNoteStore();
+    await store.create('a.md', '# A\n', 'Create A');
+    await store.create('b.md', '# B\n', 'Create B');
+  });
+
+  it('refuses a bulk write when any note changed since it was loaded, writing nothing', async () => {
+    const [a, b] = await loadNotes(store);
+    await store.update('b.md', '# B edited elsewhere\n', b.sha, 'Edit B');
+
+    const write = {
+      changes: [{ path: 'a.md', content: '# A2\n', sha: a.sha }, { path: 'b.md', content: '# B2\n', sha: b.sha }],
+      message: 'Edit both'
+    };
+    await expect(applyWrite(store, write)).rejects.toMatchObject({ status: 409 });
+    expect((await store.read('a.md')).content).toBe('# A\n');
+  });
+
+  it('merges queued edits of the same note and replays them on top of each other', async () => {
+    const [a] = await loadNotes(store);
+    let queue = enqueueWrite([], { changes: [{ path: 'a.md', content: '# A offline\n', sha: a.sha }], message: 'Edit A' }, { now });
+    queue = enqueueWrite(queue, { changes: [{ path: 'a.md', content: '# A offline twice\n' }], message: 'Edit A again' }, { now });
+    queue = enqueueWrite(queue, { changes: [{ path: 'c.md', content: '# C\n' }], message: 'Create C' }, { now });
+
+    expect(queue).toHaveLength(2);
+    expect(queue[0].changes).toEqual([{ path: 'a.md', content: '# A offline twice\n', sha: a.sha }]);
+
+    const pending = applyQueuedWrites(await loadNotes(store), queue);
+    expect(pending.filter(note => note.isPending).map(note => note.meta.title)).toEqual(['A offline twice', 'C']);
+
+    while (queue.length > 0) {
+      const [entry] = queue;
+      await applyWrite(store, entry);
+      const { files } = await store.list();
+      queue = completeEntry(queue, entry, new Map(files.map(file => [file.path, file.sha])));
+    }
+    expect((await loadNotes(store)).map(note => note.meta.title)).toEqual(['A offline twice', 'B', 'C']);
+  });
+
+  it('resolves a conflicting save with a three-way merge', async () => {
+    const [a] = await loadNotes(store);
+    await store.update('a.md', '# A\n\nTheirs\n', a.sha, 'Edit elsewhere');
+
+    const mine = '# A mine\n';
+    await expect(applyWrite(store, { changes: [{ path: 'a.md', content: mine, sha: a.sha }], message: 'Edit A' }))
+      .rejects.toMatchObject({ status: 409 });
+
+    const remote = await store.read('a.md');
+    const { merged, conflicts } = mergeThreeWay(a.content, mine, remote.content);
+    expect(conflicts).toBe(0);
+    expect(merged).toBe('# A mine\n\nTheirs\n');
+
+    await applyWrite(store, { changes: [{ path: 'a.md', content: merged, sha: remote.sha }], message: 'Merge A' });
+    const [first, previous] = await store.history('a.md');
+    const before = await store.readAt('a.md', previous.sha);
+    const after = await store.readAt('a.md', first.sha);
+    expect(diffStats(diffLines(before.content, after.content))).toEqual({ added: 1, removed: 1 });
+  });
+});
+
+describe('saving and finding notes', () => {
+  it('keeps front matter through saves and finds the saved notes', async () => {
+    const store = new MemoryNoteStore();
+    const text = '---\ntags:\n- plans\nauthor:\n  name: Jo\n---\n# Garden plans\n\nPlant tomatoes in May.\n';
+    await store.create('notes/garden.md', withSaveMetadata('notes/garden.md', text, now), 'Create garden');
+    await store.create('notes/kitchen.md', withSaveMetadata('notes/kitchen.md', '# Kitchen\n\nPaint the walls.\n', now), 'Create kitchen');
+
+    const notes = await loadNotes(store);
+    const garden = notes.find(note => note.path === 'notes/garden.md');
+    expect(garden.meta.title).toBe('Garden plans');
+    expect(garden.tags).toEqual(['plans']);
+    expect(parseFrontMatter(garden.content).data.author.value).toEqual({ name: 'Jo' });
+
+    const index = createSearchIndex();
+    index.update(notes);
+    expect([...index.search(parseSearchQuery('tomatos')).keys()]).toEqual(['notes/garden.md']);
+    expect([...index.search(parseSearchQuery('tag:plans')).keys()]).toEqual(['notes/garden.md']);
+    expect(index.search(parseSearchQuery('"paint the walls"')).has('notes/kitchen.md')).toBe(true);
+  });
+});
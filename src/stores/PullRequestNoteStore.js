@@ -0,0 +1,208 @@
+import GitHubNoteStore from './GitHubNoteStore';
+
+// Note storage that commits to a work branch and proposes the changes as a pull request.
+// Reads also use the work branch so the app shows the notes as they will look once merged.
+class PullRequestNoteStore extends GitHubNoteStore {
+  constructor({ octokit, owner, repo, baseBranch, workBranch, onPullRequestChange }) {
+    super({ octokit, owner, repo, branch: workBranch });
+    this.baseBranch = baseBranch;
+    this.onPullRequestChange = onPullRequestChange;
+    this.ready = null;
+    this.pullRequest = null;
+  }
+
+  // Create the work branch from the base branch, or restart it once its last pull request is merged
+  prepare() {
+    if (!this.ready) {
+      this.ready = this.prepareBranch().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  // Before a write: a pull request merged or closed since the branch was prepared, e.g. while the
+  // app stayed open, has the branch prepared again so the write does not land on merged work
+  async prepareWrite() {
+    await this.prepare();
+    if (this.pullRequest?.state !== 'open') return;
+    await this.refreshPullRequest();
+    await this.prepare();
+  }
+
+  async prepareBranch() {
+    const { data: base } = await this.request('getBaseRef', async () => await this.octokit.rest.git.getRef({
+      owner: this.owner,
+      repo: this.repo,
+      ref: `heads/${this.baseBranch}`
+    }));
+
+    let headSha;
+    try {
+      headSha = await this.getHeadSha();
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      await this.request('createWorkBranch', async () => await this.octokit.rest.git.createRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `refs/heads/${this.branch}`,
+        sha: base.object.sha
+      }));
+      await this.refreshPullRequest();
+      return;
+    }
+
+    const pullRequest = await this.findPullRequest();
+    if (pullRequest?.state !== 'open' && headSha !== base.object.sha && await this.holdsOnlyMergedWork(pullRequest, headSha)) {
+      await this.request('resetWorkBranch', async () => await this.octokit.rest.git.updateRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${this.branch}`,
+        sha: base.object.sha,
+        force: true
+      }));
+    }
+    this.notify(pullRequest);
+  }
+
+  // Whether the work branch can restart from the base without losing anything: its last pull request
+  // was merged with nothing committed since, or it has no file differences from the base. Squash and
+  // rebase merges leave the branch's own commits behind, so only the first case catches them.
+  async holdsOnlyMergedWork(pullRequest, headSha) {
+    if (pullRequest?.state === 'merged' && pullRequest.headSha === headSha) return true;
+
+    const { data: comparison } = await this.request('compareBranches', async () => await this.octokit.rest.repos.compareCommits({
+      owner: this.owner,
+      repo: this.repo,
+      base: this.baseBranch,
+      head: this.branch
+    }));
+    return comparison.files.length === 0;
+  }
+
+  // The open pull request for the work branch, else the most recent closed or merged one
+  async findPullRequest() {
+    const { data } = await this.request('listPullRequests', async () => await this.octokit.rest.pulls.list({
+      owner: this.owner,
+      repo: this.repo,
+      head: `${this.owner}:${this.branch}`,
+      base: this.baseBranch,
+      state: 'all',
+      sort: 'created',
+      direction: 'desc',
+      per_page: 10
+    }));
+    const pullRequest = data.find(pr => pr.state === 'open') || data[0];
+    if (!pullRequest) return null;
+    return {
+      number: pullRequest.number,
+      title: pullRequest.title,
+      url: pullRequest.html_url,
+      headSha: pullRequest.head.sha,
+      state: pullRequest.merged_at ? 'merged' : pullRequest.state
+    };
+  }
+
+  async refreshPullRequest() {
+    const wasOpen = this.pullRequest?.state === 'open';
+    const pullRequest = await this.findPullRequest();
+    // Once its pull request is merged or closed, the branch is checked again before its next use
+    if (wasOpen && pullRequest?.state !== 'open') this.ready = null;
+    this.notify(pullRequest);
+    return pullRequest;
+  }
+
+  notify(pullRequest) {
+    if (!pullRequest?.error) this.pullRequest = pullRequest;
+    if (this.onPullRequestChange) this.onPullRequestChange(pullRequest);
+  }
+
+  // Open a pull request for the work branch unless one is already open
+  async syncPullRequest(message) {
+    const existing = await this.findPullRequest();
+    if (existing?.state === 'open') {
+      this.notify(existing);
+      return existing;
+    }
+
+    try {
+      await this.request('createPullRequest', async () => await this.octokit.rest.pulls.create({
+        owner: this.owner,
+        repo: this.repo,
+        head: this.branch,
+        base: this.baseBranch,
+        title: message.split('\n')[0],
+        body: 'Note changes proposed from Kiara Note. Further saves are added to this pull request until it is merged.'
+      }));
+    } catch (error) {
+      // 422 when the branch has no changes against the base (e.g. a change was undone)
+      if (error.status !== 422) throw error;
+    }
+    return this.refreshPullRequest();
+  }
+
+  // Writes land on the work branch; the pull request is kept open but failing to open it never loses the commit
+  async afterWrite(message) {
+    try {
+      await this.syncPullRequest(message);
+    } catch (error) {
+      console.error('Error updating pull request:', error);
+      this.notify({ error: error.message || 'Could not open the pull request' });
+    }
+  }
+
+  async list() {
+    await this.prepare();
+    return super.list();
+  }
+
+  async read(path) {
+    await this.prepare();
+    return super.read(path);
+  }
+
+  async readBlob(sha) {
+    await this.prepare();
+    return super.readBlob(sha);
+  }
+
+  async readAt(path, ref) {
+    await this.prepare();
+    return super.readAt(path, ref);
+  }
+
+  async history(path) {
+    await this.prepare();
+    return super.history(path);
+  }
+
+  async create(path, content, message) {
+    await this.prepareWrite();
+    const result = await super.create(path, content, message);
+    await this.afterWrite(message);
+    return result;
+  }
+
+  async update(path, content, sha, message) {
+    await this.prepareWrite();
+    const result = await super.update(path, content, sha, message);
+    await this.afterWrite(message);
+    return result;
+  }
+
+  async delete(path, sha, message) {
+    await this.prepareWrite();
+    await super.delete(path, sha, message);
+    await this.afterWrite(message);
+  }
+
+  async commitChanges(changes, message, options) {
+    await this.prepareWrite();
+    const result = await super.commitChanges(changes, message, options);
+    await this.afterWrite(message);
+    return result;
+  }
+}
+
+export default PullRequestNoteStore;
@@ -0,0 +1,84 @@
+import PullRequestNoteStore from './PullRequestNoteStore';
+
+// A repository with a base branch, a work branch and the pull requests between them
+const fakeRepository = () => {
+  const refs = { 'heads/main': 'base1', 'heads/notes': 'work1' };
+  const pulls = [{ number: 1, title: 'Edit', html_url: 'https://example.com/1', state: 'open', merged_at: null, head: { sha: 'work1' } }];
+  const writes = [];
+
+  const octokit = {
+    rest: {
+      git: {
+        getRef: jest.fn(async ({ ref }) => ({ data: { object: { sha: refs[ref] } } })),
+        updateRef: jest.fn(async ({ ref, sha }) => {
+          refs[ref] = sha;
+          return { data: {} };
+        })
+      },
+      repos: {
+        // Squash merges leave the work branch's commits with file differences from the base
+        compareCommits: jest.fn(async () => ({ data: { files: [{ filename: 'a.md' }] } })),
+        createOrUpdateFileContents: jest.fn(async ({ path }) => {
+          writes.push({ path, parent: refs['heads/notes'] });
+          refs['heads/notes'] = `work${writes.length + 1}`;
+          return { data: { content: { sha: `blob${writes.length}` } } };
+        })
+      },
+      pulls: {
+        list: jest.fn(async () => ({ data: [...pulls].reverse() })),
+        create: jest.fn(async ({ title }) => {
+          pulls.push({ number: pulls.length + 1, title, html_url: 'https://example.com/2', state: 'open', merged_at: null, head: { sha: refs['heads/notes'] } });
+          return { data: {} };
+        })
+      }
+    }
+  };
+
+  const squashMerge = () => {
+    Object.assign(pulls[0], { state: 'closed', merged_at: '2024-05-01T10:00:00Z' });
+    refs['heads/main'] = 'base2';
+  };
+
+  return { octokit, refs, writes, squashMerge };
+};
+
+const createStore = (octokit) => new PullRequestNoteStore({ octokit, owner: 'me', repo: 'notes', baseBranch: 'main', workBranch: 'notes' });
+
+describe('PullRequestNoteStore', () => {
+  it('keeps committing to the work branch while its pull request is open', async () => {
+    const { octokit, writes } = fakeRepository();
+    const store = createStore(octokit);
+    await store.prepare();
+
+    await store.update('a.md', 'A', 'sha', 'Edit A');
+    expect(writes).toEqual([{ path: 'a.md', parent: 'work1' }]);
+    expect(octokit.rest.git.updateRef).not.toHaveBeenCalled();
+    expect(octokit.rest.pulls.create).not.toHaveBeenCalled();
+  });
+
+  it('restarts the work branch from the base when its pull request was squash merged while the app was open', async () => {
+    const { octokit, writes, squashMerge } = fakeRepository();
+    const onPullRequestChange = jest.fn();
+    const store = new PullRequestNoteStore({ octokit, owner: 'me', repo: 'notes', baseBranch: 'main', workBranch: 'notes', onPullRequestChange });
+    await store.prepare();
+
+    squashMerge();
+    await store.update('a.md', 'A', 'sha', 'Edit A');
+
+    expect(octokit.rest.git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/notes', sha: 'base2', force: true }));
+    expect(writes).toEqual([{ path: 'a.md', parent: 'base2' }]);
+    expect(octokit.rest.pulls.create).toHaveBeenCalledTimes(1);
+    expect(onPullRequestChange).toHaveBeenLastCalledWith(expect.objectContaining({ number: 2, state: 'open' }));
+  });
+
+  it('prepares the branch again once a refresh finds the pull request merged', async () => {
+    const { octokit, refs, squashMerge } = fakeRepository();
+    const store = createStore(octokit);
+    await store.prepare();
+
+    squashMerge();
+    await store.refreshPullRequest();
+    await store.prepare();
+    expect(refs['heads/notes']).toBe('base2');
+  });
+});
@@ -0,0 +1,54 @@
+import GitHubNoteStore from './GitHubNoteStore';
+import LocalNoteStore from './LocalNoteStore';
+import MemoryNoteStore from './MemoryNoteStore';
+import PullRequestNoteStore from './PullRequestNoteStore';
+
+// Every backend implements the same NoteStore interface:
+//   list()                              -> { files: [{ path, sha, size }], folders: [path] }
+//   read(path)                          -> { path, content, sha, size }
+//   readBlob(sha)                       -> content of the file version with that sha
+//   readAt(path, ref)                   -> { path, content, sha, size } as of commit `ref`
+//   create(path, content, message)      -> { path, sha }
+//   update(path, content, sha, message) -> { path, sha }   (409 when sha is stale)
+//   delete(path, sha, message)
+//   history(path)                       -> [{ sha, message, date, author }]
+//   commitChanges(changes, message, { onProgress })
+//     changes: [{ path, content, encoding? } | { path, delete: true }], applied as one atomic commit
+//
+// 'github-pr' commits to `workBranch` and keeps a pull request into `baseBranch` open for the changes.
+
+// Pseudo repository used when notes are kept in the browser instead of GitHub
+export const LOCAL_REPOSITORY = {
+  id: 'local',
+  name: 'local-notes',
+  full_name: 'This browser (local notes)',
+  owner: { login: 'local' },
+  default_branch: 'main',
+  isLocal: true
+};
+
+export const createNoteStore = ({
+  backend = 'github',
+  octokit,
+  owner,
+  repo,
+  branch,
+  workBranch,
+  onPullRequestChange,
+  author
+}) => {
+  switch (backend) {
+    case 'local':
+      return new LocalNoteStore({ author });
+    case 'memory':
+      return new MemoryNoteStore({ author });
+    case 'github':
+      return new GitHubNoteStore({ octokit, owner, repo, branch });
+    case 'github-pr':
+      return new PullRequestNoteStore({ octokit, owner, repo, baseBranch: branch, workBranch, onPullRequestChange });
+    default:
+      throw new Error(`Unknown note storage backend: ${backend}`);
+  }
+};
+
+export { GitHubNoteStore, LocalNoteStore, MemoryNoteStore, PullRequestNoteStore };
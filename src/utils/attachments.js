@@ -0,0 +1,112 @@
+import { format } from 'date-fns';
+import { getBaseName, getParentFolder, joinPath } from './noteTree';
+import { slugify } from './repoConfig';
+
+// Larger files are better kept out of a notes repository
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp', 'avif'];
+
+// Extensions for pasted images, which often arrive without a file name
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf'
+};
+
+// Markdown links and images: [text](target) / ![alt](target "title"), plus HTML src/href attributes
+export const LINK_PATTERN = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)|(?:src|href)=["']([^"']+)["']/g;
+
+const getExtension = (file) => {
+  const match = file.name && file.name.match(/\.([A-Za-z0-9]+)$/);
+  return (match ? match[1] : MIME_EXTENSIONS[file.type] || 'bin').toLowerCase();
+};
+
+export const isImagePath = (path) => {
+  const match = path.match(/\.([A-Za-z0-9]+)$/);
+  return !!match && IMAGE_EXTENSIONS.includes(match[1].toLowerCase());
+};
+
+// File contents as base64 for the Git Data API
+export const readFileAsBase64 = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+};
+
+// Dated, slugged name inside the assets folder that does not collide with taken paths
+export const buildAttachmentPath = (assetsFolder, file, takenPaths, date = new Date()) => {
+  const extension = getExtension(file);
+  const baseName = file.name ? file.name.replace(/\.[^.]+$/, '') : 'pasted-image';
+  const stem = `${format(date, 'yyyy-MM-dd')}-${slugify(baseName)}`;
+
+  let path = joinPath(assetsFolder, `${stem}.${extension}`);
+  for (let suffix = 2; takenPaths.has(path); suffix++) {
+    path = joinPath(assetsFolder, `${stem}-${suffix}.${extension}`);
+  }
+  return path;
+};
+
+// Link from a note in `fromFolder` to a repository path, so it also renders on GitHub
+export const relativePath = (fromFolder, toPath) => {
+  const from = fromFolder ? fromFolder.split('/') : [];
+  const to = toPath.split('/');
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+    common++;
+  }
+  return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+};
+
+// Resolve a link target found in a note to a repository path (null for external links)
+export const resolveLinkTarget = (noteFolder, target) => {
+  if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(target)) return null;
+
+  let decoded = target.split(/[?#]/)[0];
+  try {
+    decoded = decodeURI(decoded);
+  } catch (error) {
+    // Keep malformed escapes as written
+  }
+
+  const parts = decoded.startsWith('/') ? [] : (noteFolder ? noteFolder.split('/') : []);
+  decoded.split('/').forEach(segment => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') parts.pop();
+    else parts.push(segment);
+  });
+  return parts.join('/');
+};
+
+export const attachmentMarkdown = (path, noteFolder, name) => {
+  const target = encodeURI(relativePath(noteFolder, path));
+  const label = (name || getBaseName(path)).replace(/[[\]]/g, '');
+  return isImagePath(path) ? `![${label}](${target})` : `[${label}](${target})`;
+};
+
+// Repository paths linked from a note's content
+export const getLinkedPaths = (notePath, content) => {
+  const noteFolder = getParentFolder(notePath);
+  const paths = new Set();
+  for (const match of content.matchAll(LINK_PATTERN)) {
+    const resolved = resolveLinkTarget(noteFolder, match[1] || match[2]);
+    if (resolved) paths.add(resolved);
+  }
+  return paths;
+};
+
+// Assets in the folder that no note links to. Trashed notes count too: their relative links are
+// resolved from `originalPath`, where they point again once the note is restored.
+export const findUnreferencedAssets = (assetFiles, notes) => {
+  const referenced = new Set();
+  notes.forEach(note => {
+    getLinkedPaths(note.originalPath || note.path, note.content).forEach(path => referenced.add(path));
+  });
+  return assetFiles.filter(file => !referenced.has(file.path));
+};
@@ -0,0 +1,13 @@
+import { findUnreferencedAssets } from './attachments';
+
+describe('findUnreferencedAssets', () => {
+  const assetFiles = [{ path: 'assets/used.png' }, { path: 'assets/trashed.png' }, { path: 'assets/unused.png' }];
+
+  it('counts links from trashed notes, resolved from where they will be restored', () => {
+    const notes = [
+      { path: 'notes/a.md', content: '![used](../assets/used.png)' },
+      { path: '.trash/2026-01-31T09-15-00-000Z/notes/b.md', originalPath: 'notes/b.md', content: '![kept](../assets/trashed.png)' }
+    ];
+    expect(findUnreferencedAssets(assetFiles, notes).map(file => file.path)).toEqual(['assets/unused.png']);
+  });
+});
@@ -0,0 +1,35 @@
+// Per-repository branch preferences, kept in this browser only
+
+const STORAGE_KEY = 'kiara-branch-settings';
+
+export const loadAllBranchSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const saveAllBranchSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+export const defaultWorkBranch = (login) => `kiara-notes/${login || 'changes'}`;
+
+// Saved settings for a repository on top of its defaults
+export const getBranchSettings = (allSettings, repo, login) => {
+  return {
+    branch: repo.default_branch,
+    prMode: false,
+    workBranch: defaultWorkBranch(login),
+    ...allSettings[repo.full_name]
+  };
+};
+
+// Loose check against git's ref name rules, enough to catch typos before GitHub does
+export const isValidBranchName = (name) => {
+  return !!name &&
+    !/[\s~^:?*[\\]|\.\.|@\{|\/\/|^\/|\/$|\.$|\.lock$/.test(name) &&
+    !name.split('/').some(part => part.startsWith('.'));
+};
@@ -0,0 +1,128 @@
+// Note contents cached in IndexedDB by blob sha. A sha names one exact content,
+// so entries never go stale and unchanged notes are never downloaded twice.
+// The cache is best effort: without IndexedDB (or on any error) it falls back to memory.
+
+const DB_NAME = 'kiara-note-cache';
+const STORE_NAME = 'blobs';
+const FETCH_CONCURRENCY = 4;
+
+const memoryCache = new Map();
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Note cache unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Contents for the given shas that are already cached, as a Map of sha -> content
+export const getCachedContents = async (shas) => {
+  const found = new Map();
+  const missing = shas.filter(sha => {
+    if (memoryCache.has(sha)) {
+      found.set(sha, memoryCache.get(sha));
+      return false;
+    }
+    return true;
+  });
+
+  const db = await openDatabase();
+  if (!db || missing.length === 0) return found;
+
+  await new Promise(resolve => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+    missing.forEach(sha => {
+      const request = store.get(sha);
+      request.onsuccess = () => {
+        if (typeof request.result === 'string') {
+          memoryCache.set(sha, request.result);
+          found.set(sha, request.result);
+        }
+      };
+    });
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => {
+      console.warn('Reading the note cache failed:', transaction.error);
+      resolve();
+    };
+  });
+  return found;
+};
+
+export const cacheContents = async (entries) => {
+  entries.forEach(([sha, content]) => memoryCache.set(sha, content));
+
+  const db = await openDatabase();
+  if (!db || entries.length === 0) return;
+
+  await new Promise(resolve => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    entries.forEach(([sha, content]) => store.put(content, sha));
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => {
+      console.warn('Writing the note cache failed:', transaction.error);
+      resolve();
+    };
+  });
+};
+
+// The sha git gives a blob with this content, so notes we just wrote are cached under the sha the next listing reports
+export const gitBlobSha = async (content) => {
+  const body = new TextEncoder().encode(content);
+  const header = new TextEncoder().encode(`blob ${body.length}\0`);
+  const bytes = new Uint8Array(header.length + body.length);
+  bytes.set(header);
+  bytes.set(body, header.length);
+  const digest = await crypto.subtle.digest('SHA-1', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const cacheWrittenContents = async (contents) => {
+  // crypto.subtle only exists in secure contexts; skipping just means one extra download later
+  if (typeof crypto === 'undefined' || !crypto.subtle) return;
+  try {
+    await cacheContents(await Promise.all(contents.map(async content => [await gitBlobSha(content), content])));
+  } catch (error) {
+    console.warn('Could not cache written notes:', error);
+  }
+};
+
+// Contents for the files, from the cache where possible and downloaded by sha otherwise.
+// Files that fail to download are left out of the result.
+export const loadContents = async (noteStore, files) => {
+  const contents = await getCachedContents(files.map(file => file.sha));
+  const queue = files.filter(file => !contents.has(file.sha));
+  const downloaded = [];
+
+  const fetchNext = async () => {
+    while (queue.length > 0) {
+      const file = queue.shift();
+      try {
+        const content = await noteStore.readBlob(file.sha);
+        contents.set(file.sha, content);
+        downloaded.push([file.sha, content]);
+      } catch (error) {
+        console.error(`Error loading ${file.path}:`, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, queue.length) }, fetchNext));
+
+  await cacheContents(downloaded);
+  return contents;
+};
@@ -0,0 +1,71 @@
+// Line-based diffing shared by the merge, history and draft views
+
+export const splitLines = (text) => (text ? text.split('\n') : []);
+
+// Longest-common-subsequence table over two line arrays (suffix form)
+const lcsTable = (a, b) => {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  return table;
+};
+
+// Diff two line arrays into equal/delete/insert operations
+export const diffLineArrays = (a, b) => {
+  // Common prefix and suffix never need the quadratic table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', line: a[i], oldIndex: i, newIndex: i });
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const table = lcsTable(midA, midB);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push({ type: 'equal', line: midA[i], oldIndex: start + i, newIndex: start + j });
+      i++;
+      j++;
+    } else if (j < midB.length && (i === midA.length || table[i][j + 1] >= table[i + 1][j])) {
+      ops.push({ type: 'insert', line: midB[j], newIndex: start + j });
+      j++;
+    } else {
+      ops.push({ type: 'delete', line: midA[i], oldIndex: start + i });
+      i++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    ops.push({ type: 'equal', line: a[endA + k], oldIndex: endA + k, newIndex: endB + k });
+  }
+  return ops;
+};
+
+export const diffLines = (oldText, newText) => {
+  return diffLineArrays(splitLines(oldText), splitLines(newText));
+};
+
+// Summary counts for a diff, e.g. for "+3 -1" badges
+export const diffStats = (ops) => {
+  return ops.reduce((stats, op) => {
+    if (op.type === 'insert') stats.added++;
+    if (op.type === 'delete') stats.removed++;
+    return stats;
+  }, { added: 0, removed: 0 });
+};
@@ -0,0 +1,79 @@
+// Unsaved editor contents, one draft per note and per new note, kept in this browser only.
+// A draft is { id, repo, path, folder, content, baseSha, updatedAt }: `path` is null for a new
+// note, and `baseSha` is the version of the note the draft started from.
+
+const STORAGE_KEY = 'kiara-drafts';
+
+// The single draft kept by earlier versions; it did not record its repository
+const LEGACY_KEY = 'gitnote-draft';
+
+const migrateLegacyDraft = (drafts) => {
+  const legacy = localStorage.getItem(LEGACY_KEY);
+  if (!legacy) return drafts;
+  localStorage.removeItem(LEGACY_KEY);
+  try {
+    const { content, timestamp, activeNote } = JSON.parse(legacy);
+    if (!content || !content.trim()) return drafts;
+    const id = `legacy-${Date.parse(timestamp) || Date.now()}`;
+    return {
+      ...drafts,
+      [id]: {
+        id,
+        repo: null,
+        path: activeNote?.path || null,
+        folder: '',
+        content,
+        baseSha: activeNote?.sha || null,
+        updatedAt: timestamp || new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return drafts;
+  }
+};
+
+export const loadDrafts = () => {
+  let drafts = {};
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    drafts = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    drafts = {};
+  }
+  const migrated = migrateLegacyDraft(drafts);
+  if (migrated !== drafts) saveDrafts(migrated);
+  return migrated;
+};
+
+export const saveDrafts = (drafts) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+  } catch (error) {
+    console.error('Error saving drafts:', error);
+  }
+};
+
+export const noteDraftId = (repoName, path) => `${repoName}:${path}`;
+
+export const newDraftId = (repoName) => `${repoName}:new:${Date.now()}`;
+
+// Drafts for a repository, most recently edited first; drafts from before repositories
+// were recorded show up everywhere until they are resumed or discarded
+export const getRepoDrafts = (drafts, repoName) => {
+  return Object.values(drafts)
+    .filter(draft => draft.repo === repoName || draft.repo === null)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Drafts follow their notes when the notes are renamed or moved (`movedPaths` maps old paths to new ones)
+export const moveDrafts = (drafts, repoName, movedPaths) => {
+  let next = drafts;
+  movedPaths.forEach((to, from) => {
+    const draft = next[noteDraftId(repoName, from)];
+    if (!draft) return;
+    const { [draft.id]: moved, ...rest } = next;
+    const id = noteDraftId(repoName, to);
+    next = { ...rest, [id]: { ...moved, id, path: to } };
+  });
+  return next;
+};
@@ -0,0 +1,187 @@
+// Markdown formatting for the editor. Every command takes the editor state { text, start, end }
+// (the selection as textarea offsets) and returns the new state, or null when it does not apply.
+
+// Marker at the start of a list item: "- [ ] ", "- ", "* ", "1. " or "1) ", after any indentation
+const LIST_ITEM_PATTERN = /^(\s*)([-*+] \[[ xX]\] |[-*+] |(\d+)([.)]) )/;
+
+const LIST_KINDS = {
+  task: /^[-*+] \[[ xX]\] $/,
+  bullet: /^[-*+] $/,
+  numbered: /^\d+[.)] $/
+};
+
+const lineStart = (text, index) => text.lastIndexOf('\n', index - 1) + 1;
+
+const lineEnd = (text, index) => {
+  const end = text.indexOf('\n', index);
+  return end === -1 ? text.length : end;
+};
+
+// Replace the selection (or the given range) and select part of the insertion
+const replaceRange = ({ text }, from, to, insertion, selectFrom = insertion.length, selectTo = selectFrom) => ({
+  text: text.slice(0, from) + insertion + text.slice(to),
+  start: from + selectFrom,
+  end: from + selectTo
+});
+
+// Rewrite every line the selection touches. A caret keeps its place in the line; a selection
+// grows to cover the rewritten lines.
+const mapSelectedLines = (state, transform) => {
+  const { text, start, end } = state;
+  const from = lineStart(text, start);
+  // A selection ending at the start of a line does not include that line
+  const to = lineEnd(text, end > start && text[end - 1] === '\n' ? end - 1 : end);
+  const lines = text.slice(from, to).split('\n');
+  const changed = transform(lines);
+  const replaced = changed.join('\n');
+
+  if (start === end) {
+    const caret = Math.max(from, start + changed[0].length - lines[0].length);
+    return { text: text.slice(0, from) + replaced + text.slice(to), start: caret, end: caret };
+  }
+  return replaceRange(state, from, to, replaced, 0, replaced.length);
+};
+
+// Wrap the selection in a marker such as ** or `, or unwrap it when it is already wrapped
+const toggleWrap = (state, marker, placeholder) => {
+  const { text, start, end } = state;
+  const selected = text.slice(start, end);
+  const size = marker.length;
+
+  if (text.slice(start - size, start) === marker && text.slice(end, end + size) === marker) {
+    return replaceRange(state, start - size, end + size, selected, 0, selected.length);
+  }
+  if (selected.length > size * 2 && selected.startsWith(marker) && selected.endsWith(marker)) {
+    const inner = selected.slice(size, -size);
+    return replaceRange(state, start, end, inner, 0, inner.length);
+  }
+  const inner = selected || placeholder;
+  return replaceRange(state, start, end, `${marker}${inner}${marker}`, size, size + inner.length);
+};
+
+// # -> ## -> ### -> plain text on the selected lines
+const cycleHeading = (state) => mapSelectedLines(state, lines => {
+  const levels = lines.map(line => (line.match(/^(#{1,6}) /) || ['', ''])[1].length);
+  const next = levels[0] >= 3 ? 0 : levels[0] + 1;
+  return lines.map((line, index) => {
+    const content = line.slice(levels[index] ? levels[index] + 1 : 0);
+    return next ? `${'#'.repeat(next)} ${content}` : content;
+  });
+});
+
+// Turn the selected lines into a list of one kind, or back into plain lines when they already are
+const toggleList = (kind) => (state) => mapSelectedLines(state, lines => {
+  const items = lines.filter(line => line.trim());
+  const isKind = (line) => {
+    const match = line.match(LIST_ITEM_PATTERN);
+    return !!match && LIST_KINDS[kind].test(match[2]);
+  };
+  const removing = items.length > 0 && items.every(isKind);
+
+  let number = 0;
+  return lines.map(line => {
+    if (!line.trim()) return line;
+    const match = line.match(LIST_ITEM_PATTERN);
+    const indent = match ? match[1] : line.match(/^\s*/)[0];
+    const content = line.slice(match ? match[0].length : indent.length);
+    if (removing) return `${indent}${content}`;
+    number += 1;
+    const marker = kind === 'numbered' ? `${number}. ` : kind === 'task' ? '- [ ] ' : '- ';
+    return `${indent}${marker}${content}`;
+  });
+});
+
+// [text](url), selecting whichever part still needs typing
+const insertLink = (state) => {
+  const selected = state.text.slice(state.start, state.end);
+  if (/^https?:\/\/\S+$/.test(selected)) {
+    return replaceRange(state, state.start, state.end, `[link text](${selected})`, 1, 10);
+  }
+  const label = selected || 'link text';
+  const insertion = `[${label}](url)`;
+  return replaceRange(state, state.start, state.end, insertion, label.length + 3, label.length + 6);
+};
+
+// Inline code for part of a line, a fenced block for whole lines
+const toggleCode = (state) => {
+  const { text, start, end } = state;
+  const selected = text.slice(start, end);
+  if (!selected.includes('\n')) return toggleWrap(state, '`', 'code');
+
+  const from = lineStart(text, start);
+  const to = lineEnd(text, end);
+  const block = text.slice(from, to);
+  const fenced = block.match(/^```[^\n]*\n([\s\S]*)\n```$/);
+  const replaced = fenced ? fenced[1] : `\`\`\`\n${block}\n\`\`\``;
+  return replaceRange(state, from, to, replaced, 0, replaced.length);
+};
+
+export const FORMAT_ACTIONS = {
+  bold: state => toggleWrap(state, '**', 'bold text'),
+  italic: state => toggleWrap(state, '_', 'italic text'),
+  heading: cycleHeading,
+  bullet: toggleList('bullet'),
+  numbered: toggleList('numbered'),
+  task: toggleList('task'),
+  link: insertLink,
+  code: toggleCode
+};
+
+// Formatting action for an editor keydown, e.g. Ctrl/Cmd+B -> 'bold'
+export const getShortcutAction = (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  if (e.shiftKey) {
+    return { Digit7: 'numbered', Digit8: 'bullet', Digit9: 'task', KeyH: 'heading' }[e.code] || null;
+  }
+  return { b: 'bold', i: 'italic', k: 'link', e: 'code' }[e.key.toLowerCase()] || null;
+};
+
+// Enter in a list item starts the next item; Enter in an empty item ends the list
+export const continueList = (state) => {
+  const { text, start, end } = state;
+  if (start !== end) return null;
+
+  const from = lineStart(text, start);
+  const match = text.slice(from, start).match(LIST_ITEM_PATTERN);
+  if (!match || start - from < match[0].length) return null;
+
+  const isEmpty = start - from === match[0].length && !text.slice(start, lineEnd(text, start)).trim();
+  if (isEmpty) {
+    return replaceRange(state, from, start, '');
+  }
+
+  const [, indent, marker, number, delimiter] = match;
+  const nextMarker = number
+    ? `${Number(number) + 1}${delimiter} `
+    : marker.replace(/\[[xX]\]/, '[ ]');
+  return replaceRange(state, start, end, `\n${indent}${nextMarker}`);
+};
+
+// Tab nests list items under the item above; Shift-Tab moves them back out to their parent's level
+export const indentListItems = (state, outdent = false) => {
+  const { text, start } = state;
+  const from = lineStart(text, start);
+  const first = text.slice(from, lineEnd(text, start)).match(LIST_ITEM_PATTERN);
+  if (!first) return null;
+
+  const indent = first[1].length;
+  const above = text.slice(0, Math.max(0, from - 1)).split('\n').reverse();
+  let delta;
+  if (outdent) {
+    if (indent === 0) return state;
+    const parent = above.map(line => line.match(LIST_ITEM_PATTERN)).find(match => match && match[1].length < indent);
+    delta = -(indent - (parent ? parent[1].length : 0));
+  } else {
+    // Line up with the text of the nearest item above, as Markdown expects for nested lists
+    const sibling = above.map(line => line.match(LIST_ITEM_PATTERN)).find(match => match && match[1].length <= indent);
+    const target = sibling ? sibling[1].length + sibling[2].length : indent + 2;
+    delta = target > indent ? target - indent : 2;
+  }
+
+  return mapSelectedLines(state, lines => lines.map(line => {
+    if (!LIST_ITEM_PATTERN.test(line)) return line;
+    if (delta > 0) return `${' '.repeat(delta)}${line}`;
+    const leading = line.match(/^ */)[0].length;
+    return line.slice(Math.min(leading, -delta));
+  }));
+};
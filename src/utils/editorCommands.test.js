@@ -0,0 +1,89 @@
+import { continueList, FORMAT_ACTIONS, getShortcutAction, indentListItems } from './editorCommands';
+
+// Editor state from text marking the caret with "|", or the selection with "[" and "]"
+const editor = (marked) => {
+  const caret = marked.indexOf('|');
+  if (caret !== -1) return { text: marked.replace('|', ''), start: caret, end: caret };
+  const start = marked.indexOf('[');
+  const end = marked.indexOf(']') - 1;
+  return { text: marked.replace('[', '').replace(']', ''), start, end };
+};
+
+// The state written back the same way, to compare against
+const mark = (state) => {
+  if (!state) return state;
+  const { text, start, end } = state;
+  if (start === end) return `${text.slice(0, start)}|${text.slice(start)}`;
+  return `${text.slice(0, start)}[${text.slice(start, end)}]${text.slice(end)}`;
+};
+
+describe('continueList', () => {
+  it('starts the next item of the same kind', () => {
+    expect(mark(continueList(editor('- milk|')))).toBe('- milk\n- |');
+    expect(mark(continueList(editor('  * nested|\n* after')))).toBe('  * nested\n  * |\n* after');
+    expect(mark(continueList(editor('- [x] done|')))).toBe('- [x] done\n- [ ] |');
+    expect(mark(continueList(editor('9) ninth|')))).toBe('9) ninth\n10) |');
+  });
+
+  it('splits an item at the caret', () => {
+    expect(mark(continueList(editor('1. first| second')))).toBe('1. first\n2. | second');
+  });
+
+  it('ends the list on an empty item', () => {
+    expect(mark(continueList(editor('- milk\n- |')))).toBe('- milk\n|');
+    expect(mark(continueList(editor('- milk\n  - [ ] |')))).toBe('- milk\n|');
+  });
+
+  it('leaves plain lines, selections and carets inside the marker to the textarea', () => {
+    expect(continueList(editor('plain|'))).toBeNull();
+    expect(continueList(editor('- [milk]'))).toBeNull();
+    expect(continueList(editor('-| milk'))).toBeNull();
+  });
+});
+
+describe('indentListItems', () => {
+  it('nests an item under the text of the item above', () => {
+    expect(mark(indentListItems(editor('- one\n- tw|o')))).toBe('- one\n  - tw|o');
+    expect(mark(indentListItems(editor('10. one\n11. tw|o')))).toBe('10. one\n    11. tw|o');
+    expect(mark(indentListItems(editor('- [ ] one\n- [ ] tw|o')))).toBe('- [ ] one\n      - [ ] tw|o');
+  });
+
+  it('moves an item back out to its parent level', () => {
+    expect(mark(indentListItems(editor('- one\n  - two\n    - thr|ee'), true))).toBe('- one\n  - two\n  - thr|ee');
+    expect(mark(indentListItems(editor('- one\n  - tw|o'), true))).toBe('- one\n- tw|o');
+    expect(mark(indentListItems(editor('- on|e'), true))).toBe('- on|e');
+  });
+
+  it('indents every selected item and keeps the lines selected', () => {
+    expect(mark(indentListItems(editor('- one\n[- two\ntext\n- three]')))).toBe('- one\n[  - two\ntext\n  - three]');
+  });
+
+  it('does nothing outside a list', () => {
+    expect(indentListItems(editor('plain|'))).toBeNull();
+  });
+});
+
+describe('FORMAT_ACTIONS', () => {
+  it('wraps and unwraps the selection', () => {
+    expect(mark(FORMAT_ACTIONS.bold(editor('a [word] here')))).toBe('a **[word]** here');
+    expect(mark(FORMAT_ACTIONS.bold(editor('a **[word]** here')))).toBe('a [word] here');
+    expect(mark(FORMAT_ACTIONS.italic(editor('a | here')))).toBe('a _[italic text]_ here');
+  });
+
+  it('toggles lists and headings on the selected lines', () => {
+    expect(mark(FORMAT_ACTIONS.numbered(editor('[one\ntwo]')))).toBe('[1. one\n2. two]');
+    expect(mark(FORMAT_ACTIONS.bullet(editor('[- one\n- two]')))).toBe('[one\ntwo]');
+    expect(mark(FORMAT_ACTIONS.heading(editor('## Ti|tle')))).toBe('### Ti|tle');
+    expect(mark(FORMAT_ACTIONS.heading(editor('### Ti|tle')))).toBe('Ti|tle');
+  });
+});
+
+describe('getShortcutAction', () => {
+  it('maps Ctrl/Cmd shortcuts to formatting actions', () => {
+    expect(getShortcutAction({ ctrlKey: true, key: 'b', code: 'KeyB' })).toBe('bold');
+    expect(getShortcutAction({ metaKey: true, key: 'K', code: 'KeyK' })).toBe('link');
+    expect(getShortcutAction({ ctrlKey: true, shiftKey: true, key: '&', code: 'Digit7' })).toBe('numbered');
+    expect(getShortcutAction({ ctrlKey: true, altKey: true, key: 'b', code: 'KeyB' })).toBeNull();
+    expect(getShortcutAction({ key: 'b', code: 'KeyB' })).toBeNull();
+  });
+});
@@ -177,9 +177,13 @@ class ErrorHandler {
     if (error.message?.includes('network')) return 'network';
     if (error.message?.includes('authentication')) return 'auth';
     if (error.message?.includes('permission')) return 'permission';
+    if (error.message?.toLowerCase().includes('repository is empty')) return 'empty_repo';
     if (error.status === 401) return 'auth';
     if (error.status === 403) return 'permission';
     if (error.status === 404) return 'not_found';
+    if (error.status === 409) return 'conflict';
+    // GitHub answers 422 when the sha sent with an update no longer matches the file
+    if (error.status === 422 && /sha/i.test(error.message || '')) return 'conflict';
     if (error.status === 429) return 'rate_limit';
     if (error.status >= 500) return 'server';
     return 'general';
@@ -190,7 +194,9 @@ class ErrorHandler {
     const noRetryErrors = [
       'authentication',
       'permission',
-      'not_found'
+      'not_found',
+      'empty_repo',
+      'conflict'
     ];
     
     const errorType = this.getErrorType(error);
@@ -207,6 +213,8 @@ class ErrorHandler {
       auth: 'Authentication failed. Please log in again.',
       permission: 'Permission denied. You don\'t have access to this resource.',
       not_found: 'Resource not found. Please check the repository or file path.',
+      empty_repo: 'This repository is empty. Save a first note before running bulk operations.',
+      conflict: 'This note was changed on GitHub since you opened it. Review the changes and save again.',
       server: 'GitHub server error. Please try again later.',
       general: 'An unexpected error occurred. Please try again.'
     };
@@ -312,6 +320,18 @@ export const getFriendlyErrorMessage = (error) => {
   return errorHandler.getUserFriendlyMessage(error);
 };
 
+// True when a write failed because the file changed since it was loaded
+export const isConflictError = (error) => {
+  return errorHandler.getErrorType(error) === 'conflict';
+};
+
+// True when GitHub could not be reached at all, so the write is worth retrying later
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  if ([502, 503, 504].includes(error.status)) return true;
+  return /failed to fetch|load failed|networkerror|network request failed|fetch failed|circuit breaker open/i.test(error.message || '');
+};
+
 export const getErrorStats = () => {
   return errorHandler.getErrorStats();
 };
@@ -0,0 +1,200 @@
+// Minimal YAML front matter reader/writer for note metadata.
+// Supports the subset notes use: scalars, quoted strings, inline [lists] and block "- item" lists.
+// Anything else (nested maps, block scalars) is kept as written, see YamlBlock.
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+const KEY_PATTERN = /^([A-Za-z_][\w-]*)\s*:(.*)$/;
+const LIST_ITEM_PATTERN = /^\s*-(?:\s+(.*))?$/;
+
+// Split "a, 'b, c', d" on commas that are not inside quotes
+const splitInlineList = (text) => {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current);
+  return items;
+};
+
+const parseScalar = (raw) => {
+  let value = raw.trim();
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  // Unquoted values may carry a trailing comment
+  value = value.replace(/\s+#.*$/, '');
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitInlineList(value.slice(1, -1)).map(parseScalar);
+  }
+  if (value === '' || value === '~' || value === 'null') return value === '' ? '' : null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+// A value the reader cannot represent faithfully, such as a nested map or a block scalar. It is
+// written back exactly as it was found; `value` is a best-effort reading for display and export.
+export class YamlBlock {
+  constructor(source, value) {
+    this.source = source;
+    this.value = value;
+  }
+
+  toString() {
+    return typeof this.value === 'string' ? this.value : JSON.stringify(this.value);
+  }
+
+  toJSON() {
+    return this.value;
+  }
+}
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+// Text of a "|" or ">" block scalar: the lines without their common indent, folded for ">"
+const readBlockScalar = (indicator, lines) => {
+  const present = lines.filter(line => line.trim());
+  const indent = present.length > 0 ? Math.min(...present.map(indentOf)) : 0;
+  const text = lines.map(line => line.slice(indent)).join('\n');
+  return (indicator.startsWith('>') ? text.replace(/([^\n])\n(?=[^\n\s])/g, '$1 ') : text).replace(/\n*$/, '\n');
+};
+
+// The first level of a nested map; deeper levels only survive in the block's source
+const readNestedMap = (lines) => {
+  const present = lines.filter(line => line.trim() && !line.trim().startsWith('#'));
+  const indent = Math.min(...present.map(indentOf));
+  const map = {};
+  present.filter(line => indentOf(line) === indent).forEach(line => {
+    const pair = line.trim().match(KEY_PATTERN);
+    if (pair) map[pair[1]] = pair[2].trim() === '' ? null : parseScalar(pair[2]);
+  });
+  return map;
+};
+
+const readValue = (rawValue, lines) => {
+  const value = rawValue.trim();
+  const source = [rawValue, ...lines].join('\n');
+  if (/^[|>][+-]?\d*\s*(#.*)?$/.test(value) && lines.length > 0) {
+    return new YamlBlock(source, readBlockScalar(value, lines));
+  }
+
+  const present = lines.filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (present.length === 0) {
+    // "key:" on its own is read as an empty list
+    return value === '' ? [] : parseScalar(rawValue);
+  }
+
+  // Block lists of plain items, indented or not, are read as lists
+  const items = present.map(line => line.match(LIST_ITEM_PATTERN));
+  const isPlainList = value === '' &&
+    items.every(item => item && !KEY_PATTERN.test(item[1] || '')) &&
+    present.every(line => indentOf(line) === indentOf(present[0]));
+  if (isPlainList) return items.map(item => parseScalar(item[1] || ''));
+
+  if (value === '' && present.every(line => !LIST_ITEM_PATTERN.test(line))) return new YamlBlock(source, readNestedMap(lines));
+  return new YamlBlock(source, [value, ...present.map(line => line.trim())].filter(Boolean).join(' '));
+};
+
+const parseYaml = (source) => {
+  const data = {};
+  const lines = source.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const pair = line.match(KEY_PATTERN);
+    if (!pair) continue;
+
+    // Everything up to the next top-level key belongs to this one: indented lines, blank lines
+    // and "- item" lines, which YAML also allows at column 0 under a key
+    let end = index + 1;
+    while (end < lines.length && (!lines[end].trim() || /^\s/.test(lines[end]) || LIST_ITEM_PATTERN.test(lines[end]))) {
+      end++;
+    }
+    while (end > index + 1 && !lines[end - 1].trim()) end--;
+
+    const [, key, rawValue] = pair;
+    data[key] = readValue(rawValue, lines.slice(index + 1, end));
+    index = end - 1;
+  }
+
+  return data;
+};
+
+const needsQuotes = (text) => {
+  return text === '' ||
+    text !== text.trim() ||
+    /[:#[\]{},&*!|>'"%@`]/.test(text) ||
+    /^[-?]/.test(text) ||
+    /^(true|false|null|~|yes|no|-?\d+(\.\d+)?)$/i.test(text);
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const formatScalar = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(formatScalar).join(', ')}]`;
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = String(value);
+  return needsQuotes(text) ? JSON.stringify(text) : text;
+};
+
+// "key: value", with kept blocks written as found and maps (e.g. from an import) as indented blocks
+const formatEntry = (key, value, indent = '') => {
+  if (value instanceof YamlBlock) return `${indent}${key}:${value.source}`;
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).filter(([, nested]) => nested !== undefined);
+    if (entries.length === 0) return `${indent}${key}: {}`;
+    return [`${indent}${key}:`, ...entries.map(([nestedKey, nested]) => formatEntry(nestedKey, nested, `${indent}  `))].join('\n');
+  }
+  return `${indent}${key}: ${formatScalar(value)}`;
+};
+
+export const parseFrontMatter = (text = '') => {
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { data: {}, body: text, hasFrontMatter: false };
+  }
+  return {
+    data: parseYaml(match[1] || ''),
+    body: text.slice(match[0].length),
+    hasFrontMatter: true
+  };
+};
+
+// Serialize metadata back in front of the body; undefined fields are dropped
+export const stringifyFrontMatter = (data, body = '') => {
+  const lines = Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => formatEntry(key, value));
+
+  if (lines.length === 0) return body;
+  return `---\n${lines.join('\n')}\n---\n${body}`;
+};
@@ -0,0 +1,94 @@
+import { parseFrontMatter, stringifyFrontMatter, YamlBlock } from './frontMatter';
+import { inferNoteMeta, withSaveMetadata } from './noteMeta';
+
+const roundTrip = (text) => {
+  const { data, body } = parseFrontMatter(text);
+  return stringifyFrontMatter(data, body);
+};
+
+describe('parseFrontMatter', () => {
+  it('reads scalars, quoted strings and inline lists', () => {
+    const { data, body } = parseFrontMatter('---\ntitle: "Hello: world"\ncount: 3\ndraft: false\ntags: [a, \'b, c\']\n---\n# Body\n');
+    expect(data).toEqual({ title: 'Hello: world', count: 3, draft: false, tags: ['a', 'b, c'] });
+    expect(body).toBe('# Body\n');
+  });
+
+  it('reads block lists with and without indentation', () => {
+    expect(parseFrontMatter('---\ntags:\n- work\n- home\n---\n').data.tags).toEqual(['work', 'home']);
+    expect(parseFrontMatter('---\ntags:\n  - work\n  - home\nnext: 1\n---\n').data).toEqual({ tags: ['work', 'home'], next: 1 });
+  });
+
+  it('keeps nested maps and block scalars as blocks with a readable value', () => {
+    const { data } = parseFrontMatter('---\nauthor:\n  name: Jo\n  site: example.com\nsummary: |\n  First line\n  Second line\n---\n');
+    expect(data.author).toBeInstanceOf(YamlBlock);
+    expect(data.author.value).toEqual({ name: 'Jo', site: 'example.com' });
+    expect(data.summary).toBeInstanceOf(YamlBlock);
+    expect(String(data.summary)).toBe('First line\nSecond line\n');
+  });
+});
+
+describe('stringifyFrontMatter', () => {
+  it('round-trips the supported subset', () => {
+    const text = '---\ntitle: Plans\ntags: [work, home]\n---\nBody';
+    expect(roundTrip(text)).toBe(text);
+  });
+
+  it('writes column-0 lists back as lists', () => {
+    expect(roundTrip('---\ntags:\n- work\n- home\n---\nBody')).toBe('---\ntags: [work, home]\n---\nBody');
+  });
+
+  it('writes nested maps, block scalars and lists of maps back as they were', () => {
+    const text = [
+      '---',
+      'author:',
+      '  name: Jo',
+      '  links:',
+      '    site: example.com',
+      'summary: >-',
+      '  Folded',
+      '',
+      '  text',
+      'people:',
+      '  - name: Ann',
+      '    role: lead',
+      'title: Plans',
+      '---',
+      'Body'
+    ].join('\n');
+    expect(roundTrip(text)).toBe(text);
+  });
+
+  it('writes plain objects as indented maps', () => {
+    expect(stringifyFrontMatter({ author: { name: 'Jo', tags: ['a'] } }, 'Body'))
+      .toBe('---\nauthor:\n  name: Jo\n  tags: [a]\n---\nBody');
+  });
+});
+
+describe('withSaveMetadata', () => {
+  const now = new Date('2024-05-01T10:00:00.000Z');
+
+  it('keeps tags and custom fields the parser cannot represent', () => {
+    const text = '---\ntags:\n- work\nauthor:\n  name: Jo\nsummary: |\n  Kept\n---\n# Plans\n';
+    const saved = withSaveMetadata('notes/plans.md', text, now);
+    const { data } = parseFrontMatter(saved);
+    expect(data.tags).toEqual(['work']);
+    expect(saved).toContain('author:\n  name: Jo\n');
+    expect(saved).toContain('summary: |\n  Kept\n');
+  });
+
+  it('lets the title follow the heading unless one was set', () => {
+    const first = withSaveMetadata('notes/plans.md', '# Draft\n', now);
+    expect(parseFrontMatter(first).data.title).toBeUndefined();
+
+    const renamed = first.replace('# Draft', '# Final');
+    expect(inferNoteMeta('notes/plans.md', withSaveMetadata('notes/plans.md', renamed, now)).meta.title).toBe('Final');
+
+    const explicit = withSaveMetadata('notes/plans.md', '---\ntitle: Chosen\n---\n# Final\n', now);
+    expect(inferNoteMeta('notes/plans.md', explicit).meta.title).toBe('Chosen');
+  });
+
+  it('drops a title that only repeats the heading', () => {
+    const saved = withSaveMetadata('notes/plans.md', '---\ntitle: Draft\n---\n# Draft\n', now);
+    expect(parseFrontMatter(saved).data.title).toBeUndefined();
+  });
+});
@@ -0,0 +1,159 @@
+import { LINK_PATTERN, relativePath, resolveLinkTarget } from './attachments';
+import { getBaseName, getParentFolder } from './noteTree';
+
+// [[target]], [[target#heading]], [[target|label]] and ![[embeds]]; group 2 is the target
+const WIKI_LINK_PATTERN = /(!?\[\[)([^\]|#\n]+)((?:#[^\]|\n]*)?(?:\|[^\]\n]*)?\]\])/g;
+
+const stripExtension = (path) => path.replace(/\.[^./]+$/, '');
+
+const linkKey = (text) => text.trim().toLowerCase();
+
+// The whole line around a position, to show a link in context
+const lineAt = (content, index) => {
+  const start = content.lastIndexOf('\n', index - 1) + 1;
+  const end = content.indexOf('\n', index);
+  return content.slice(start, end === -1 ? content.length : end).trim();
+};
+
+// Wiki links in a note as { target, heading, label, start, end }
+export const parseWikiLinks = (content) => {
+  return Array.from(content.matchAll(WIKI_LINK_PATTERN), match => {
+    const [, heading = '', label = ''] = match[3].match(/^(?:#([^|\]]*))?(?:\|([^\]]*))?\]\]$/) || [];
+    return {
+      target: match[2].trim(),
+      heading: heading.trim(),
+      label: label.trim(),
+      start: match.index,
+      end: match.index + match[0].length
+    };
+  });
+};
+
+// The wiki link the position is inside of, if any
+export const wikiLinkAt = (content, index) => {
+  return parseWikiLinks(content).find(link => index > link.start && index < link.end) || null;
+};
+
+// The unfinished [[link the caret is typing: { query, start } with `start` just after the brackets
+export const findOpenWikiLink = (content, caret) => {
+  const line = content.slice(content.lastIndexOf('\n', caret - 1) + 1, caret);
+  const open = line.lastIndexOf('[[');
+  if (open === -1) return null;
+  const query = line.slice(open + 2);
+  if (/[\]|#]/.test(query)) return null;
+  return { query, start: caret - query.length };
+};
+
+// Looks up the note a wiki link names: by title first, so links survive renames, then by
+// file name or path, with or without the extension. Notes listed first win ties.
+export const createWikiResolver = (notes) => {
+  const byTitle = new Map();
+  const byName = new Map();
+  notes.forEach(note => {
+    if (note.isLoaded && !byTitle.has(linkKey(note.meta.title))) byTitle.set(linkKey(note.meta.title), note);
+    const name = getBaseName(note.path);
+    [name, stripExtension(name), note.path, stripExtension(note.path)].forEach(key => {
+      if (!byName.has(linkKey(key))) byName.set(linkKey(key), note);
+    });
+  });
+  return (target) => byTitle.get(linkKey(target)) || byName.get(linkKey(target)) || null;
+};
+
+// For each note path, the notes linking to it as { note, context }; both [[wiki links]] and
+// relative markdown links count. Only loaded notes are searched.
+export const buildBacklinkIndex = (notes) => {
+  const resolve = createWikiResolver(notes);
+  const notePaths = new Set(notes.map(note => note.path));
+  const index = new Map();
+
+  notes.filter(note => note.isLoaded).forEach(source => {
+    const found = new Map();
+    const add = (path, position) => {
+      if (path && path !== source.path && !found.has(path)) found.set(path, lineAt(source.content, position));
+    };
+    parseWikiLinks(source.content).forEach(link => add(resolve(link.target)?.path, link.start));
+    for (const match of source.content.matchAll(LINK_PATTERN)) {
+      const path = resolveLinkTarget(getParentFolder(source.path), match[1] || match[2]);
+      if (notePaths.has(path)) add(path, match.index);
+    }
+    found.forEach((context, path) => {
+      index.set(path, [...(index.get(path) || []), { note: source, context }]);
+    });
+  });
+  return index;
+};
+
+// Notes whose title or file name contains the query, best matches first
+export const suggestWikiLinks = (query, notes, limit = 8) => {
+  const wanted = linkKey(query);
+  return notes
+    .filter(note => note.isLoaded)
+    .map(note => {
+      const title = linkKey(note.meta.title);
+      const rank = title.startsWith(wanted) ? 0 : title.includes(wanted) ? 1 : linkKey(note.name).includes(wanted) ? 2 : -1;
+      return { note, rank };
+    })
+    .filter(({ rank }) => rank !== -1)
+    .sort((a, b) => a.rank - b.rank || a.note.meta.title.localeCompare(b.note.meta.title))
+    .slice(0, limit)
+    .map(({ note }) => note);
+};
+
+// Links by title still resolve after a move; links by file name or path are rewritten, with or without the extension as written
+const moveWikiTarget = (target, movedPaths) => {
+  const wanted = linkKey(target);
+  const byPath = wanted.includes('/');
+  for (const [from, to] of movedPaths) {
+    const name = byPath ? from : getBaseName(from);
+    const newName = byPath ? to : getBaseName(to);
+    if (wanted === name.toLowerCase()) return newName;
+    if (wanted === stripExtension(name).toLowerCase()) return stripExtension(newName);
+  }
+  return target;
+};
+
+// Point the links in a note at notes that moved (`movedPaths` maps old paths to new ones).
+// When the note itself moves to `newNotePath`, its relative links are rewritten from the new folder.
+export const updateMovedLinks = (content, notePath, movedPaths, newNotePath = notePath) => {
+  const oldFolder = getParentFolder(notePath);
+  const newFolder = getParentFolder(newNotePath);
+
+  const withLinks = content.replace(LINK_PATTERN, (match, markdownTarget, attributeTarget) => {
+    const target = markdownTarget || attributeTarget;
+    const resolved = resolveLinkTarget(oldFolder, target);
+    if (!resolved) return match;
+
+    const destination = movedPaths.get(resolved) || resolved;
+    const isAbsolute = target.startsWith('/');
+    if (destination === resolved && (oldFolder === newFolder || isAbsolute)) return match;
+
+    // Keep any ?query or #anchor on the link
+    const suffix = target.slice(target.split(/[?#]/)[0].length);
+    const rewritten = `${encodeURI(isAbsolute ? `/${destination}` : relativePath(newFolder, destination))}${suffix}`;
+    const start = markdownTarget ? match.indexOf(target, match.indexOf('](')) : match.indexOf(target);
+    return match.slice(0, start) + rewritten + match.slice(start + target.length);
+  });
+
+  return withLinks.replace(WIKI_LINK_PATTERN, (match, open, target, close) => {
+    const moved = moveWikiTarget(target, movedPaths);
+    return moved === target ? match : `${open}${moved}${close}`;
+  });
+};
+
+// Changes for one commit that moves notes (`moves` is a list of { note, path }) and fixes links to them
+// in `notes`, which must all be loaded so no link is missed
+export const buildMoveChanges = (moves, notes) => {
+  const movedPaths = new Map(moves.map(({ note, path }) => [note.path, path]));
+  const changes = moves.flatMap(({ note, path }) => [
+    { path, content: updateMovedLinks(note.content, note.path, movedPaths, path) },
+    { path: note.path, sha: note.sha, delete: true }
+  ]);
+
+  notes
+    .filter(note => !movedPaths.has(note.path))
+    .forEach(note => {
+      const content = updateMovedLinks(note.content, note.path, movedPaths);
+      if (content !== note.content) changes.push({ path: note.path, content, sha: note.sha });
+    });
+  return changes;
+};
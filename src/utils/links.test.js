@@ -0,0 +1,96 @@
+import { buildBacklinkIndex, buildMoveChanges, createWikiResolver, findOpenWikiLink, parseWikiLinks, wikiLinkAt } from './links';
+
+const note = (path, content, title = path) => ({
+  path,
+  name: path.split('/').pop(),
+  sha: `sha-${path}`,
+  content,
+  meta: { title },
+  isLoaded: true
+});
+
+describe('parseWikiLinks', () => {
+  it('reads targets, headings, labels and embeds', () => {
+    const content = 'See [[Plans]], [[notes/work.md#Goals|the goals]] and ![[diagram.png]].';
+    expect(parseWikiLinks(content).map(({ target, heading, label }) => ({ target, heading, label }))).toEqual([
+      { target: 'Plans', heading: '', label: '' },
+      { target: 'notes/work.md', heading: 'Goals', label: 'the goals' },
+      { target: 'diagram.png', heading: '', label: '' }
+    ]);
+    expect(parseWikiLinks('[[not\nclosed]] and [[]]')).toEqual([]);
+  });
+
+  it('finds the link around a position and the one being typed', () => {
+    const content = 'Read [[Plans]] now';
+    expect(wikiLinkAt(content, 8).target).toBe('Plans');
+    expect(wikiLinkAt(content, 2)).toBeNull();
+
+    expect(findOpenWikiLink('Read [[Pla', 10)).toEqual({ query: 'Pla', start: 7 });
+    expect(findOpenWikiLink('Read [[Plans]] now', 18)).toBeNull();
+    expect(findOpenWikiLink('[[Plans#Go', 10)).toBeNull();
+  });
+});
+
+describe('createWikiResolver', () => {
+  it('resolves by title first, then by file name or path with or without the extension', () => {
+    const plans = note('notes/plans.md', '# Garden\n', 'Garden');
+    const other = note('notes/other.md', '# Other\n', 'plans');
+    const resolve = createWikiResolver([plans, other]);
+
+    expect(resolve('garden')).toBe(plans);
+    expect(resolve('plans')).toBe(other);
+    expect(resolve('plans.md')).toBe(plans);
+    expect(resolve('notes/plans')).toBe(plans);
+    expect(resolve('missing')).toBeNull();
+  });
+});
+
+describe('buildBacklinkIndex', () => {
+  it('counts wiki links and relative markdown links once per linking note', () => {
+    const target = note('notes/plans.md', '# Plans\n', 'Plans');
+    const wiki = note('notes/a.md', 'Intro\nSee [[Plans]] and [[plans.md]]\n', 'A');
+    const markdown = note('b.md', '[plans](notes/plans.md)\n', 'B');
+
+    const backlinks = buildBacklinkIndex([target, wiki, markdown]).get('notes/plans.md');
+    expect(backlinks.map(({ note: source, context }) => [source.path, context])).toEqual([
+      ['notes/a.md', 'See [[Plans]] and [[plans.md]]'],
+      ['b.md', '[plans](notes/plans.md)']
+    ]);
+  });
+});
+
+describe('buildMoveChanges', () => {
+  it('moves a note in one change set and rewrites relative links in and to it', () => {
+    const moved = note('notes/plans.md', 'See [the list](todo.md#today) and ![img](../assets/a.png)\n');
+    const linking = note('notes/todo.md', 'Back to [plans](plans.md?view=1) and [[plans]]\n');
+    const absolute = note('index.md', '[Plans](/notes/plans.md)\n');
+    const untouched = note('other.md', 'Nothing here\n');
+
+    const changes = buildMoveChanges([{ note: moved, path: 'archive/2024/plans-final.md' }], [moved, linking, absolute, untouched]);
+
+    expect(changes).toEqual([
+      { path: 'archive/2024/plans-final.md', content: 'See [the list](../../notes/todo.md#today) and ![img](../../assets/a.png)\n' },
+      { path: 'notes/plans.md', sha: 'sha-notes/plans.md', delete: true },
+      { path: 'notes/todo.md', content: 'Back to [plans](../archive/2024/plans-final.md?view=1) and [[plans-final]]\n', sha: 'sha-notes/todo.md' },
+      { path: 'index.md', content: '[Plans](/archive/2024/plans-final.md)\n', sha: 'sha-index.md' }
+    ]);
+  });
+
+  it('leaves links by title alone since they still resolve after the move', () => {
+    const moved = note('a.md', '# Garden\n', 'Garden');
+    const linking = note('b.md', 'See [[Garden]]\n', 'B');
+
+    expect(buildMoveChanges([{ note: moved, path: 'garden.md' }], [moved, linking])).toHaveLength(2);
+  });
+
+  it('rewrites links between notes that move together', () => {
+    const a = note('a.md', '[b](b.md)\n');
+    const b = note('b.md', '[a](a.md)\n');
+
+    const changes = buildMoveChanges([{ note: a, path: 'x/a.md' }, { note: b, path: 'y/b.md' }], [a, b]);
+    expect(changes.filter(change => !change.delete)).toEqual([
+      { path: 'x/a.md', content: '[b](../y/b.md)\n' },
+      { path: 'y/b.md', content: '[a](../x/a.md)\n' }
+    ]);
+  });
+});
@@ -0,0 +1,95 @@
+import { Marked } from 'marked';
+import markedFootnote from 'marked-footnote';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js/lib/common';
+import DOMPurify from 'dompurify';
+import { parseWikiLinks } from './links';
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// [[Note links]] become links the preview can follow; `resolveWikiLink` is passed per render
+const wikiLinkExtension = {
+  extensions: [{
+    name: 'wikiLink',
+    level: 'inline',
+    start: (src) => {
+      const index = src.search(/!?\[\[/);
+      return index === -1 ? undefined : index;
+    },
+    tokenizer: (src) => {
+      const [link] = parseWikiLinks(src.split('\n', 1)[0]);
+      if (!link || link.start !== 0) return undefined;
+      return { type: 'wikiLink', raw: src.slice(0, link.end), target: link.target, label: link.label || link.target };
+    },
+    renderer(token) {
+      const note = this.parser.options.resolveWikiLink?.(token.target);
+      const className = note ? 'wiki-link' : 'wiki-link missing';
+      const title = note ? note.path : `Create "${token.target}"`;
+      return `<a href="#" class="${className}" data-wiki-target="${escapeHtml(token.target)}" title="${escapeHtml(title)}">${escapeHtml(token.label)}</a>`;
+    }
+  }]
+};
+
+// GitHub-flavored Markdown: tables, task lists and strikethrough, plus highlighted code and footnotes
+const markdown = new Marked(
+  { gfm: true },
+  markedHighlight({
+    emptyLangClass: 'hljs',
+    langPrefix: 'hljs language-',
+    highlight: (code, lang) => {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    }
+  }),
+  markedFootnote(),
+  wikiLinkExtension
+);
+
+// Links out of the app open in a new tab without access to it
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && /^https?:/i.test(node.getAttribute('href') || '')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Sanitized HTML for a note body; raw HTML in notes is allowed but scripts and handlers are stripped
+export const renderMarkdown = (body, { resolveWikiLink } = {}) => {
+  return DOMPurify.sanitize(markdown.parse(body, { resolveWikiLink }));
+};
+
+const excerptCache = new Map();
+const EXCERPT_CACHE_SIZE = 1000;
+const textCache = new Map();
+
+// Plain text of rendered Markdown, without syntax
+const toPlainText = (source) => {
+  const html = DOMPurify.sanitize(markdown.parse(source));
+  return new DOMParser().parseFromString(html, 'text/html').body.textContent.replace(/\s+/g, ' ').trim();
+};
+
+const withoutTitleHeading = (body) => body.replace(/^\s*#{1,6}\s.*\n?/, '');
+
+// Plain text of the start of a note for cards, without Markdown syntax or the title heading
+export const markdownExcerpt = (body, length = 120) => {
+  const key = `${length}:${body}`;
+  if (!excerptCache.has(key)) {
+    if (excerptCache.size >= EXCERPT_CACHE_SIZE) excerptCache.clear();
+    const text = toPlainText(withoutTitleHeading(body).substring(0, length * 5));
+    excerptCache.set(key, text.length > length ? `${text.substring(0, length).trim()}…` : text);
+  }
+  return excerptCache.get(key);
+};
+
+// Plain text of a whole note without the title heading, for search snippets
+export const markdownText = (body) => {
+  if (!textCache.has(body)) {
+    if (textCache.size >= EXCERPT_CACHE_SIZE) textCache.clear();
+    textCache.set(body, toPlainText(withoutTitleHeading(body)));
+  }
+  return textCache.get(body);
+};
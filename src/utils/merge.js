@@ -0,0 +1,80 @@
+import { diffLineArrays, splitLines } from './diff';
+
+export const CONFLICT_MARKERS = {
+  mine: '<<<<<<< Your version',
+  separator: '=======',
+  theirs: '>>>>>>> Remote version'
+};
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+// For every base line, the index of the matching line in the other version (or -1)
+const matchBaseLines = (base, other) => {
+  const matches = new Array(base.length).fill(-1);
+  diffLineArrays(base, other).forEach(op => {
+    if (op.type === 'equal') matches[op.oldIndex] = op.newIndex;
+  });
+  return matches;
+};
+
+// Classic diff3: walk the lines all three versions agree on and resolve the regions between them
+export const mergeThreeWay = (baseText, mineText, theirsText) => {
+  const base = splitLines(baseText);
+  const mine = splitLines(mineText);
+  const theirs = splitLines(theirsText);
+  const mineMatches = matchBaseLines(base, mine);
+  const theirsMatches = matchBaseLines(base, theirs);
+
+  const chunks = [];
+  let baseIndex = 0;
+  let mineIndex = 0;
+  let theirsIndex = 0;
+
+  while (baseIndex <= base.length) {
+    let stable = baseIndex;
+    while (stable < base.length && (mineMatches[stable] === -1 || theirsMatches[stable] === -1)) {
+      stable++;
+    }
+    const mineEnd = stable < base.length ? mineMatches[stable] : mine.length;
+    const theirsEnd = stable < base.length ? theirsMatches[stable] : theirs.length;
+
+    const baseChunk = base.slice(baseIndex, stable);
+    const mineChunk = mine.slice(mineIndex, mineEnd);
+    const theirsChunk = theirs.slice(theirsIndex, theirsEnd);
+
+    if (baseChunk.length || mineChunk.length || theirsChunk.length) {
+      if (sameLines(mineChunk, theirsChunk) || sameLines(theirsChunk, baseChunk)) {
+        chunks.push({ type: 'resolved', lines: mineChunk });
+      } else if (sameLines(mineChunk, baseChunk)) {
+        chunks.push({ type: 'resolved', lines: theirsChunk });
+      } else {
+        chunks.push({ type: 'conflict', base: baseChunk, mine: mineChunk, theirs: theirsChunk });
+      }
+    }
+
+    if (stable >= base.length) break;
+    chunks.push({ type: 'resolved', lines: [base[stable]] });
+    baseIndex = stable + 1;
+    mineIndex = mineEnd + 1;
+    theirsIndex = theirsEnd + 1;
+  }
+
+  const conflicts = chunks.filter(chunk => chunk.type === 'conflict').length;
+  const merged = chunks.flatMap(chunk => {
+    if (chunk.type === 'resolved') return chunk.lines;
+    return [
+      CONFLICT_MARKERS.mine,
+      ...chunk.mine,
+      CONFLICT_MARKERS.separator,
+      ...chunk.theirs,
+      CONFLICT_MARKERS.theirs
+    ];
+  }).join('\n');
+
+  return { merged, conflicts, chunks };
+};
+
+export const hasConflictMarkers = (text) => {
+  const lines = splitLines(text);
+  return lines.includes(CONFLICT_MARKERS.mine) || lines.includes(CONFLICT_MARKERS.theirs);
+};
@@ -0,0 +1,145 @@
+import { format } from 'date-fns';
+import { parseFrontMatter, stringifyFrontMatter } from './frontMatter';
+import { getBaseName } from './noteTree';
+import { collectNoteTags } from './tags';
+
+// Fields managed by the app; anything else in the front matter is kept as a custom field
+export const NOTE_META_FIELDS = ['title', 'tags', 'created', 'updated'];
+
+// Timestamps embedded in gitnote-2024-01-31_18-45-12-345Z.md style names
+const NAME_TIMESTAMP_PATTERN = /(\d{4})-(\d{2})-(\d{2})[T_](\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?Z?/;
+
+export const parseNameTimestamp = (name) => {
+  const match = name.match(NAME_TIMESTAMP_PATTERN);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, millis = '000'] = match;
+  const date = new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  return Array.from(new Set(
+    list
+      .map(tag => String(tag).trim().replace(/^#/, ''))
+      .filter(Boolean)
+  ));
+};
+
+// Title for notes without one: the date from the file name, else the bare file name
+const fallbackTitle = (path) => {
+  const name = getBaseName(path);
+  const nameDate = parseNameTimestamp(name);
+  if (nameDate) return `Note from ${format(nameDate, 'MMM d, yyyy HH:mm')}`;
+  return name.replace(/\.[^.]+$/, '');
+};
+
+// Date for a metadata value, or null when it is missing or not a date
+export const parseNoteDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Normalise dates to ISO strings but keep values that are not dates untouched
+const toIsoString = (value) => {
+  if (!value) return null;
+  const date = parseNoteDate(value);
+  return date ? date.toISOString() : String(value);
+};
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/m;
+
+// A title worth writing into the front matter: one that differs from the first heading. A copy of
+// the heading would pin the title, so it stopped following later edits of the heading.
+export const explicitTitle = (title, body) => {
+  const heading = body.match(HEADING_PATTERN);
+  return title && !(heading && String(title) === heading[1]) ? title : undefined;
+};
+
+// Metadata for a note, inferring whatever the front matter does not provide
+export const inferNoteMeta = (path, content) => {
+  const { data, body } = parseFrontMatter(content);
+  const heading = body.match(HEADING_PATTERN);
+  const nameDate = parseNameTimestamp(getBaseName(path));
+  const created = toIsoString(data.created) || (nameDate ? nameDate.toISOString() : null);
+
+  return {
+    meta: {
+      ...data,
+      title: data.title ? String(data.title) : heading ? heading[1] : fallbackTitle(path),
+      tags: normalizeTags(data.tags),
+      created,
+      updated: toIsoString(data.updated) || created
+    },
+    body
+  };
+};
+
+// Build the note object used throughout the UI from a stored file
+export const buildNote = (file, content) => {
+  const { meta, body } = inferNoteMeta(file.path, content);
+  return {
+    name: getBaseName(file.path),
+    path: file.path,
+    content,
+    body,
+    meta,
+    tags: collectNoteTags(meta.tags, body),
+    sha: file.sha,
+    size: file.size,
+    isLoaded: true
+  };
+};
+
+// Stand-in for a note whose content has not been downloaded yet; title and date come from the path
+export const buildPlaceholderNote = (file) => {
+  const { meta } = inferNoteMeta(file.path, '');
+  return {
+    name: getBaseName(file.path),
+    path: file.path,
+    content: null,
+    body: '',
+    meta,
+    tags: [],
+    sha: file.sha,
+    size: file.size,
+    isLoaded: false
+  };
+};
+
+// Custom front matter fields (everything but the managed ones)
+export const getCustomFields = (meta) => {
+  return Object.fromEntries(
+    Object.entries(meta).filter(([key]) => !NOTE_META_FIELDS.includes(key))
+  );
+};
+
+// Rewrite the front matter before a commit: keep custom fields, fill in inferred values, bump `updated`.
+// The title is only kept when the user set one; otherwise it keeps following the first heading.
+export const withSaveMetadata = (path, content, now = new Date()) => {
+  const { data } = parseFrontMatter(content);
+  const { meta, body } = inferNoteMeta(path, content);
+  const timestamp = now.toISOString();
+
+  return stringifyFrontMatter({
+    title: explicitTitle(data.title, body),
+    tags: meta.tags.length > 0 ? meta.tags : undefined,
+    created: meta.created || timestamp,
+    updated: timestamp,
+    ...getCustomFields(meta)
+  }, body);
+};
+
+// Newest first by creation date; notes without any date sort last
+export const compareByCreated = (a, b) => {
+  const dateA = parseNoteDate(a.meta.created)?.getTime() || 0;
+  const dateB = parseNoteDate(b.meta.created)?.getTime() || 0;
+  return dateB - dateA;
+};
+
+export const compareByUpdated = (a, b) => {
+  const dateA = parseNoteDate(a.meta.updated)?.getTime() || 0;
+  const dateB = parseNoteDate(b.meta.updated)?.getTime() || 0;
+  return dateB - dateA;
+};
@@ -0,0 +1,83 @@
+// Helpers for working with notes organised in nested folders
+
+export const FOLDER_PLACEHOLDER = '.gitkeep';
+
+// Last segment of a slash-separated path
+export const getBaseName = (path) => {
+  const parts = path.split('/');
+  return parts[parts.length - 1];
+};
+
+// Folder containing a path ('' for the repository root)
+export const getParentFolder = (path) => {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.substring(0, index);
+};
+
+// Join folder and file name without producing leading slashes
+export const joinPath = (folder, name) => {
+  return folder ? `${folder}/${name}` : name;
+};
+
+// The path itself, or one with a "-2" style suffix before the extension when it is taken
+export const uniquePath = (path, takenPaths) => {
+  const [, stem, extension = ''] = path.match(/^(.*?)(\.[^./]+)?$/);
+  let candidate = path;
+  for (let suffix = 2; takenPaths.has(candidate); suffix++) {
+    candidate = `${stem}-${suffix}${extension}`;
+  }
+  return candidate;
+};
+
+// Hidden folders (.github, .kiara, ...) never hold notes
+export const isHiddenPath = (path) => {
+  return path.split('/').some(segment => segment.startsWith('.'));
+};
+
+// Collect every folder from git tree entries, including the implied parents of note files
+export const collectFolders = (entries) => {
+  const folders = new Set();
+
+  entries.forEach(entry => {
+    if (isHiddenPath(entry.path)) return;
+
+    const folderPath = entry.type === 'tree' ? entry.path : getParentFolder(entry.path);
+    let current = folderPath;
+    while (current) {
+      folders.add(current);
+      current = getParentFolder(current);
+    }
+  });
+
+  return Array.from(folders).sort((a, b) => a.localeCompare(b));
+};
+
+// Turn a flat list of folder paths into a nested tree for rendering
+export const buildFolderTree = (folders) => {
+  const root = { name: '', path: '', children: [] };
+  const nodes = new Map([['', root]]);
+
+  [...folders].sort((a, b) => a.localeCompare(b)).forEach(path => {
+    const parent = nodes.get(getParentFolder(path)) || root;
+    const node = { name: getBaseName(path), path, children: [] };
+    parent.children.push(node);
+    nodes.set(path, node);
+  });
+
+  return root;
+};
+
+// True when the path lives in the folder or one of its subfolders
+export const isInFolder = (path, folder) => {
+  if (!folder) return true;
+  return path.startsWith(`${folder}/`);
+};
+
+// Validate a single folder name typed by the user
+export const sanitizeFolderName = (name) => {
+  return name
+    .trim()
+    .replace(/[\\/]+/g, '-')
+    .replace(/^\.+/, '')
+    .replace(/\s+/g, ' ');
+};
@@ -0,0 +1,216 @@
+import { format } from 'date-fns';
+import { getBaseName, getParentFolder, isHiddenPath, isInFolder, joinPath } from './noteTree';
+import { inferNoteMeta } from './noteMeta';
+
+// Per-repository settings, committed alongside the notes
+export const CONFIG_PATH = '.kiara/config.json';
+
+export const DEFAULT_CONFIG = {
+  directory: '',
+  filename: 'gitnote-{timestamp}',
+  extensions: ['md'],
+  assets: 'assets',
+  // Days deleted notes stay in the trash before they are purged; 0 keeps them forever
+  trashRetentionDays: 30,
+  // Today's note is `<directory>/<dailyFolder>/YYYY-MM-DD.md`, started from this template
+  dailyFolder: 'daily',
+  dailyTemplate: '# {{weekday}}, {{date}}\n\n## Done today\n\n- \n\n## Tasks\n\n- [ ] \n'
+};
+
+// Placeholders allowed in the filename pattern and what they match when listing notes
+const FILENAME_TOKENS = {
+  timestamp: '\\d{4}-\\d{2}-\\d{2}[T_]\\d{2}-\\d{2}-\\d{2}(?:-\\d{3})?Z?',
+  date: '\\d{4}-\\d{2}-\\d{2}',
+  time: '\\d{2}-\\d{2}-\\d{2}',
+  slug: '[^/]+?'
+};
+const TOKEN_PATTERN = /\{(\w+)\}/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const configError = (message) => {
+  const error = new Error(`Invalid ${CONFIG_PATH}: ${message}`);
+  error.status = 422;
+  return error;
+};
+
+// Folder path without stray slashes; null when it points outside the repository or into a hidden folder
+const normalizeFolder = (value) => {
+  const folder = String(value)
+    .trim()
+    .replace(/\\/g, '/')
+    .replace(/\/{2,}/g, '/')
+    .replace(/^\/|\/$/g, '');
+  if (folder.split('/').some(segment => segment === '..') || isHiddenPath(folder)) return null;
+  return folder;
+};
+
+// Fill in defaults and reject values that would put notes somewhere unreadable
+export const normalizeRepoConfig = (raw = {}) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw configError('expected a JSON object');
+  }
+
+  const directory = normalizeFolder(raw.directory ?? DEFAULT_CONFIG.directory);
+  if (directory === null) {
+    throw configError('"directory" must be a visible folder inside the repository');
+  }
+
+  const filename = String(raw.filename ?? DEFAULT_CONFIG.filename).trim();
+  if (!filename || filename.includes('/')) {
+    throw configError('"filename" must be a file name without folders');
+  }
+  if (!/\{(timestamp|time|slug)\}/.test(filename)) {
+    throw configError('"filename" needs {timestamp}, {time} or {slug} so notes get distinct names');
+  }
+  const unknown = Array.from(filename.matchAll(TOKEN_PATTERN))
+    .map(match => match[1])
+    .filter(token => !FILENAME_TOKENS[token]);
+  if (unknown.length > 0) {
+    throw configError(`unknown placeholder {${unknown[0]}}`);
+  }
+
+  const rawExtensions = Array.isArray(raw.extensions)
+    ? raw.extensions
+    : raw.extensions ? String(raw.extensions).split(',') : DEFAULT_CONFIG.extensions;
+  const extensions = Array.from(new Set(
+    rawExtensions
+      .map(ext => String(ext).trim().replace(/^\./, '').toLowerCase())
+      .filter(Boolean)
+  ));
+  if (extensions.length === 0 || extensions.some(ext => !/^[a-z0-9]+$/.test(ext))) {
+    throw configError('"extensions" must list file extensions such as ["md"]');
+  }
+
+  const assets = normalizeFolder(raw.assets ?? DEFAULT_CONFIG.assets);
+  if (!assets) {
+    throw configError('"assets" must be a visible folder inside the repository');
+  }
+
+  const trashRetentionDays = Number(raw.trashRetentionDays ?? DEFAULT_CONFIG.trashRetentionDays);
+  if (!Number.isInteger(trashRetentionDays) || trashRetentionDays < 0) {
+    throw configError('"trashRetentionDays" must be a whole number of days (0 keeps deleted notes forever)');
+  }
+
+  const dailyFolder = normalizeFolder(raw.dailyFolder ?? DEFAULT_CONFIG.dailyFolder);
+  if (dailyFolder === null) {
+    throw configError('"dailyFolder" must be a visible folder inside the notes directory');
+  }
+  const dailyTemplate = String(raw.dailyTemplate ?? DEFAULT_CONFIG.dailyTemplate);
+
+  // Keep settings other features add to the same file
+  return { ...raw, directory, filename, extensions, assets, trashRetentionDays, dailyFolder, dailyTemplate };
+};
+
+// Read the config from the store; repositories without one use the defaults
+export const loadRepoConfig = async (noteStore, files) => {
+  if (!files.some(file => file.path === CONFIG_PATH)) {
+    return { config: DEFAULT_CONFIG, sha: null };
+  }
+
+  const { content, sha } = await noteStore.read(CONFIG_PATH);
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (error) {
+    throw configError('not valid JSON');
+  }
+  return { config: normalizeRepoConfig(raw), sha };
+};
+
+export const serializeRepoConfig = (config) => `${JSON.stringify(config, null, 2)}\n`;
+
+const notePatternCache = new Map();
+
+// Regex matching file names produced by the pattern, optionally with a "-2" style suffix
+const getNoteNamePattern = (config) => {
+  const key = `${config.filename}|${config.extensions.join(',')}`;
+  if (!notePatternCache.has(key)) {
+    const stem = config.filename
+      .split(TOKEN_PATTERN)
+      .map((part, index) => (index % 2 === 1 ? FILENAME_TOKENS[part] : escapeRegExp(part)))
+      .join('');
+    const extensions = config.extensions.map(escapeRegExp).join('|');
+    notePatternCache.set(key, new RegExp(`^${stem}(?:-\\d+)?\\.(?:${extensions})$`, 'i'));
+  }
+  return notePatternCache.get(key);
+};
+
+// Folder of the daily notes, relative to the repository root
+export const getDailyFolder = (config = DEFAULT_CONFIG) => {
+  return [config.directory, config.dailyFolder].filter(Boolean).join('/');
+};
+
+export const dailyNotePath = (config = DEFAULT_CONFIG, date = new Date()) => {
+  return joinPath(getDailyFolder(config), `${format(date, 'yyyy-MM-dd')}.${config.extensions[0]}`);
+};
+
+// Daily notes are named after their date rather than the filename pattern
+const isDailyNoteFile = (path, config) => {
+  if (getParentFolder(path) !== getDailyFolder(config)) return false;
+  const match = getBaseName(path).match(/^\d{4}-\d{2}-\d{2}\.(\w+)$/);
+  return !!match && config.extensions.includes(match[1].toLowerCase());
+};
+
+// Notes live under the configured directory and follow the filename pattern (or are daily notes)
+export const isNoteFile = (path, config = DEFAULT_CONFIG) => {
+  if (isHiddenPath(path)) return false;
+  if (config.directory && !isInFolder(path, config.directory)) return false;
+  if (isInFolder(path, config.assets)) return false;
+  return getNoteNamePattern(config).test(getBaseName(path)) || isDailyNoteFile(path, config);
+};
+
+// Folders shown in the sidebar: the notes directory and everything below it, minus the attachments folder
+export const filterNoteFolders = (folders, config = DEFAULT_CONFIG) => {
+  return folders.filter(folder => {
+    if (folder === config.assets || isInFolder(folder, config.assets)) return false;
+    return !config.directory || folder === config.directory || isInFolder(folder, config.directory);
+  });
+};
+
+// Folder that new notes go to when the user picked none (or one outside the notes directory)
+export const resolveNoteFolder = (folder, config = DEFAULT_CONFIG) => {
+  if (!config.directory) return folder;
+  return folder === config.directory || isInFolder(folder, config.directory) ? folder : config.directory;
+};
+
+export const slugify = (text) => {
+  const slug = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60)
+    .replace(/-+$/, '');
+  return slug || 'untitled';
+};
+
+// File name for a new note, e.g. "{date}-{slug}" -> "2024-01-31-meeting-notes.md"
+export const formatNoteFileName = (config, { content = '', date = new Date() } = {}) => {
+  const values = {
+    timestamp: () => date.toISOString().replace(/[:.]/g, '-').replace('T', '_'),
+    date: () => format(date, 'yyyy-MM-dd'),
+    time: () => format(date, 'HH-mm-ss'),
+    slug: () => {
+      // Notes without a title or heading are named after their first line
+      const { meta, body } = inferNoteMeta('', content);
+      return slugify(meta.title || body.trim().split('\n')[0]);
+    }
+  };
+  const stem = config.filename.replace(TOKEN_PATTERN, (match, token) => values[token]());
+  return `${stem}.${config.extensions[0]}`;
+};
+
+// Path for a new note that does not collide with any taken path; the chosen path is added to `takenPaths`
+export const buildNotePath = (config, folder, options, takenPaths = new Set()) => {
+  const fileName = formatNoteFileName(config, options);
+  const dot = fileName.lastIndexOf('.');
+  let path = joinPath(resolveNoteFolder(folder, config), fileName);
+
+  for (let suffix = 2; takenPaths.has(path); suffix++) {
+    path = joinPath(resolveNoteFolder(folder, config), `${fileName.substring(0, dot)}-${suffix}${fileName.substring(dot)}`);
+  }
+  takenPaths.add(path);
+  return path;
+};
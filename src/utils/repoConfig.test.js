@@ -0,0 +1,123 @@
+import {
+  DEFAULT_CONFIG,
+  buildNotePath,
+  dailyNotePath,
+  filterNoteFolders,
+  formatNoteFileName,
+  isNoteFile,
+  loadRepoConfig,
+  normalizeRepoConfig,
+  resolveNoteFolder,
+  serializeRepoConfig,
+  slugify
+} from './repoConfig';
+
+const date = new Date(2024, 4, 1, 10, 30, 15);
+
+describe('normalizeRepoConfig', () => {
+  it('fills in defaults and keeps settings other features add', () => {
+    expect(normalizeRepoConfig({ theme: 'dark' })).toEqual({ ...DEFAULT_CONFIG, theme: 'dark' });
+  });
+
+  it('tidies folders and extensions', () => {
+    const config = normalizeRepoConfig({ directory: '/notes//work/', extensions: '.MD, txt,md', assets: 'files\\img' });
+    expect(config.directory).toBe('notes/work');
+    expect(config.extensions).toEqual(['md', 'txt']);
+    expect(config.assets).toBe('files/img');
+  });
+
+  it('rejects settings that would put notes somewhere unreadable', () => {
+    expect(() => normalizeRepoConfig([])).toThrow('expected a JSON object');
+    expect(() => normalizeRepoConfig({ directory: '../elsewhere' })).toThrow('"directory"');
+    expect(() => normalizeRepoConfig({ directory: '.hidden' })).toThrow('"directory"');
+    expect(() => normalizeRepoConfig({ filename: 'notes/{slug}' })).toThrow('"filename"');
+    expect(() => normalizeRepoConfig({ filename: '{date}' })).toThrow('{timestamp}, {time} or {slug}');
+    expect(() => normalizeRepoConfig({ filename: '{slug}-{author}' })).toThrow('unknown placeholder {author}');
+    expect(() => normalizeRepoConfig({ extensions: ['md', 'tar.gz'] })).toThrow('"extensions"');
+    expect(() => normalizeRepoConfig({ trashRetentionDays: -1 })).toThrow('"trashRetentionDays"');
+    expect(normalizeRepoConfig({}).filename).toBe(DEFAULT_CONFIG.filename);
+  });
+});
+
+describe('loadRepoConfig', () => {
+  const store = (content) => ({ read: jest.fn(async () => ({ content, sha: 'c1' })) });
+
+  it('uses the defaults when the repository has no config', async () => {
+    const noteStore = store('');
+    expect(await loadRepoConfig(noteStore, [{ path: 'a.md' }])).toEqual({ config: DEFAULT_CONFIG, sha: null });
+    expect(noteStore.read).not.toHaveBeenCalled();
+  });
+
+  it('reads and checks the committed config', async () => {
+    const files = [{ path: '.kiara/config.json' }];
+    const { config, sha } = await loadRepoConfig(store(serializeRepoConfig({ directory: 'notes' })), files);
+    expect(config.directory).toBe('notes');
+    expect(sha).toBe('c1');
+    await expect(loadRepoConfig(store('{'), files)).rejects.toMatchObject({ status: 422 });
+  });
+});
+
+describe('isNoteFile', () => {
+  const config = normalizeRepoConfig({ directory: 'notes', filename: '{date}-{slug}', extensions: ['md', 'txt'] });
+
+  it('accepts files named by the pattern, with a numbered suffix, inside the notes directory', () => {
+    expect(isNoteFile('notes/2024-05-01-meeting.md', config)).toBe(true);
+    expect(isNoteFile('notes/work/2024-05-01-meeting-2.TXT', config)).toBe(true);
+    expect(isNoteFile('gitnote-2024-05-01_10-00-00-000Z.md')).toBe(true);
+  });
+
+  it('accepts daily notes only in the daily folder', () => {
+    expect(isNoteFile('notes/daily/2024-05-01.md', config)).toBe(true);
+    expect(isNoteFile('notes/2024-05-01.md', config)).toBe(false);
+  });
+
+  it('skips other names, other extensions, hidden files, attachments and files outside the directory', () => {
+    expect(isNoteFile('notes/meeting.md', config)).toBe(false);
+    expect(isNoteFile('notes/2024-05-01-meeting.pdf', config)).toBe(false);
+    expect(isNoteFile('notes/.drafts/2024-05-01-meeting.md', config)).toBe(false);
+    expect(isNoteFile('assets/2024-05-01-meeting.md', { ...config, directory: '' })).toBe(false);
+    expect(isNoteFile('2024-05-01-meeting.md', config)).toBe(false);
+    expect(isNoteFile('README.md')).toBe(false);
+  });
+});
+
+describe('folders', () => {
+  const config = normalizeRepoConfig({ directory: 'notes', assets: 'notes/assets' });
+
+  it('shows only folders inside the notes directory, without attachments', () => {
+    expect(filterNoteFolders(['docs', 'notes', 'notes/work', 'notes/assets', 'notes/assets/img'], config))
+      .toEqual(['notes', 'notes/work']);
+  });
+
+  it('puts new notes in the notes directory unless a folder inside it was picked', () => {
+    expect(resolveNoteFolder('notes/work', config)).toBe('notes/work');
+    expect(resolveNoteFolder('docs', config)).toBe('notes');
+    expect(resolveNoteFolder('docs', DEFAULT_CONFIG)).toBe('docs');
+  });
+});
+
+describe('new note names', () => {
+  it('slugifies titles', () => {
+    expect(slugify('  Café: Plans & Ideas!  ')).toBe('cafe-plans-ideas');
+    expect(slugify('???')).toBe('untitled');
+  });
+
+  it('fills in the filename pattern', () => {
+    const config = normalizeRepoConfig({ filename: '{date}_{time}-{slug}' });
+    expect(formatNoteFileName(config, { content: '---\ntitle: Weekly sync\n---\nBody\n', date }))
+      .toBe('2024-05-01_10-30-15-weekly-sync.md');
+    expect(formatNoteFileName(config, { content: 'First line\nSecond', date })).toBe('2024-05-01_10-30-15-first-line.md');
+  });
+
+  it('numbers paths that are taken and reserves the chosen one', () => {
+    const config = normalizeRepoConfig({ directory: 'notes', filename: '{slug}' });
+    const taken = new Set(['notes/plans.md']);
+    expect(buildNotePath(config, 'docs', { content: '# Plans', date }, taken)).toBe('notes/plans-2.md');
+    expect(buildNotePath(config, 'notes', { content: '# Plans', date }, taken)).toBe('notes/plans-3.md');
+    expect(isNoteFile('notes/plans-3.md', config)).toBe(true);
+  });
+
+  it('names daily notes after their date', () => {
+    expect(dailyNotePath(normalizeRepoConfig({ directory: 'notes' }), date)).toBe('notes/daily/2024-05-01.md');
+  });
+});
@@ -0,0 +1,43 @@
+import { CONFIG_PATH, buildNotePath, serializeRepoConfig } from './repoConfig';
+import { withSaveMetadata } from './noteMeta';
+
+// GitHub's rules for repository names
+export const REPO_NAME_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+export const validateRepoName = (name) => {
+  if (!name) return 'Enter a repository name';
+  if (!REPO_NAME_PATTERN.test(name)) return 'Use only letters, numbers, ".", "-" and "_"';
+  if (name === '.' || name === '..') return 'This name is reserved by GitHub';
+  return null;
+};
+
+const buildReadme = (repoName, config) => `# ${repoName}
+
+Notes managed with Kiara Note.
+
+- Notes live in \`${config.directory || '/'}\` and are named \`${config.filename}.${config.extensions[0]}\`
+- Each note is Markdown with optional YAML front matter (\`title\`, \`tags\`, \`created\`, \`updated\`)
+- Settings are stored in \`${CONFIG_PATH}\`
+`;
+
+const WELCOME_NOTE = `# Welcome to your notes
+
+This repository was created by Kiara Note. Every note you save becomes a commit here, so your notes have full history and work with any Git tool.
+
+- Add #tags anywhere in a note, or list them in the front matter
+- Organise notes in folders from the sidebar
+- Change where notes are stored and how they are named under ⚙️ Settings
+
+Delete this note whenever you like.
+`;
+
+// Files committed into a freshly created notes repository
+export const buildSeedChanges = (repoName, config, now = new Date()) => {
+  const welcomePath = buildNotePath(config, '', { content: WELCOME_NOTE, date: now });
+
+  return [
+    { path: 'README.md', content: buildReadme(repoName, config) },
+    { path: CONFIG_PATH, content: serializeRepoConfig(config) },
+    { path: welcomePath, content: withSaveMetadata(welcomePath, WELCOME_NOTE, now) }
+  ];
+};
@@ -0,0 +1,337 @@
+import { parseNoteDate } from './noteMeta';
+import { normalizeTag } from './tags';
+
+// Ranked full-text search over notes. The index keeps per-note term counts and is updated note by
+// note, so only notes whose text changed are tokenized again.
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Field weights: a match in the title counts three times as much as one in the body
+const FIELD_WEIGHTS = { title: 3, body: 1 };
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const PREFIX_WEIGHT = 0.6;
+const TYPO_WEIGHT = 0.4;
+const PHRASE_BONUS = 2;
+
+const normalizeWord = (word) => word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Words with their offsets in the original text
+export const tokenize = (text) => {
+  return Array.from(text.matchAll(WORD_PATTERN), match => ({
+    term: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+// Misspellings allowed for a query word: none for short words, one from 4 letters, two from 8
+const maxTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// Edit distance counting swapped neighbours as one edit; stops early and returns max + 1 once it
+// is clear the words are further apart than `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// YYYY-MM-DD or YYYY-MM as the local start of that day or month
+const parseQueryDate = (value) => {
+  const match = value.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  const date = new Date(Number(year), Number(month) - 1, day ? Number(day) : 1);
+  return Number.isNaN(date.getTime()) ? null : { date, isMonth: !day };
+};
+
+const QUERY_PART_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"?|(\S+)/g;
+
+/**
+ * Split a query into words, "exact phrases" and qualifiers:
+ * tag:name, in:title / in:body, before:YYYY-MM-DD and after:YYYY-MM-DD (or YYYY-MM).
+ * Unknown qualifiers are searched for as words.
+ */
+export const parseSearchQuery = (query) => {
+  const parsed = { terms: [], phrases: [], tags: [], field: null, before: null, after: null };
+  const addWords = (text) => parsed.terms.push(...tokenize(text).map(token => token.term));
+
+  for (const [part, name, rawValue, phrase, word] of query.matchAll(QUERY_PART_PATTERN)) {
+    if (word !== undefined) {
+      addWords(word);
+    } else if (phrase !== undefined) {
+      const terms = tokenize(phrase).map(token => token.term);
+      if (terms.length > 1) parsed.phrases.push(terms);
+      else parsed.terms.push(...terms);
+    } else {
+      const value = rawValue.replace(/^"|"$/g, '');
+      const key = name.toLowerCase();
+      const date = parseQueryDate(value);
+      if (key === 'tag' && normalizeTag(value)) {
+        parsed.tags.push(normalizeTag(value));
+      } else if (key === 'in' && ['title', 'body', 'content'].includes(value.toLowerCase())) {
+        parsed.field = value.toLowerCase() === 'title' ? 'title' : 'body';
+      } else if (key === 'before' && date) {
+        parsed.before = date.date;
+      } else if (key === 'after' && date) {
+        // after:2024-01 means from February on, after:2024-01-31 from February 1st on
+        const end = new Date(date.date);
+        if (date.isMonth) end.setMonth(end.getMonth() + 1);
+        else end.setDate(end.getDate() + 1);
+        parsed.after = end;
+      } else {
+        addWords(part);
+      }
+    }
+  }
+  return parsed;
+};
+
+// Whether the query has words or phrases to rank by, rather than only tag or date filters
+export const hasSearchText = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+export const isEmptyQuery = (parsed) => {
+  return !hasSearchText(parsed) && parsed.tags.length === 0 && !parsed.before && !parsed.after;
+};
+
+const countTerms = (tokens) => {
+  const counts = new Map();
+  tokens.forEach(({ term }) => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+};
+
+// Index one note: term counts per field, plus the word sequence for phrase matching
+const indexNote = (note) => {
+  const title = tokenize(`${note.meta.title} ${note.name}`);
+  const body = tokenize(note.isLoaded ? note.body : '');
+  return {
+    note,
+    title: note.meta.title,
+    body: note.isLoaded ? note.body : null,
+    fields: {
+      title: { counts: countTerms(title), length: title.length, words: ` ${title.map(t => t.term).join(' ')} ` },
+      body: { counts: countTerms(body), length: body.length, words: ` ${body.map(t => t.term).join(' ')} ` }
+    }
+  };
+};
+
+/**
+ * Search index for one repository's notes. Call `update` with the current notes before
+ * searching; notes whose title and body are unchanged keep their index entry.
+ */
+export const createSearchIndex = () => {
+  const entries = new Map();
+  // term -> paths of the notes using it, in any field
+  const postings = new Map();
+  // query word -> Map(indexed term -> weight), reset when the vocabulary changes
+  let expansions = new Map();
+
+  const addPostings = (path, entry) => {
+    Object.values(entry.fields).forEach(field => field.counts.forEach((count, term) => {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(path);
+    }));
+  };
+
+  const removePostings = (path, entry) => {
+    Object.values(entry.fields).forEach(field => field.counts.forEach((count, term) => {
+      const paths = postings.get(term);
+      if (!paths) return;
+      paths.delete(path);
+      if (paths.size === 0) postings.delete(term);
+    }));
+  };
+
+  const update = (notes) => {
+    let changed = false;
+    const seen = new Set();
+    notes.forEach(note => {
+      seen.add(note.path);
+      const existing = entries.get(note.path);
+      if (existing) {
+        // Tags and dates are read from the latest note object when searching
+        existing.note = note;
+        if (existing.title === note.meta.title && existing.body === (note.isLoaded ? note.body : null)) return;
+        removePostings(note.path, existing);
+      }
+      const entry = indexNote(note);
+      entries.set(note.path, entry);
+      addPostings(note.path, entry);
+      changed = true;
+    });
+    entries.forEach((entry, path) => {
+      if (seen.has(path)) return;
+      removePostings(path, entry);
+      entries.delete(path);
+      changed = true;
+    });
+    if (changed) expansions = new Map();
+  };
+
+  // Indexed terms a query word matches: itself, longer words it starts, and close misspellings
+  const expand = (word) => {
+    if (!expansions.has(word)) {
+      const variants = new Map();
+      const typos = maxTypos(word);
+      postings.forEach((paths, term) => {
+        if (term === word) {
+          variants.set(term, 1);
+        } else if (word.length >= 2 && term.startsWith(word)) {
+          variants.set(term, PREFIX_WEIGHT);
+        } else if (typos > 0) {
+          const distance = editDistance(word, term, typos);
+          if (distance <= typos) variants.set(term, TYPO_WEIGHT / distance);
+        }
+      });
+      expansions.set(word, variants);
+    }
+    return expansions.get(word);
+  };
+
+  /**
+   * Rank notes for a parsed query. Returns a Map of path -> { score, terms, phrases } for every
+   * matching note, where `terms` are the indexed words that matched, for highlighting.
+   */
+  const search = (parsed) => {
+    const fields = parsed.field ? [parsed.field] : Object.keys(FIELD_WEIGHTS);
+    const averageLength = {};
+    fields.forEach(field => {
+      let total = 0;
+      entries.forEach(entry => { total += entry.fields[field].length; });
+      averageLength[field] = entries.size > 0 ? Math.max(1, total / entries.size) : 1;
+    });
+    const idf = (term) => {
+      const count = postings.get(term)?.size || 0;
+      return Math.log(1 + (entries.size - count + 0.5) / (count + 0.5));
+    };
+
+    const results = new Map();
+    entries.forEach((entry, path) => {
+      const { note } = entry;
+      if (parsed.tags.length > 0 && !parsed.tags.every(tag => note.tags.includes(tag))) return;
+      if (parsed.before || parsed.after) {
+        const created = parseNoteDate(note.meta.created);
+        if (!created) return;
+        if (parsed.before && created >= parsed.before) return;
+        if (parsed.after && created < parsed.after) return;
+      }
+
+      let score = 0;
+      const terms = new Set();
+      // Every word must match somewhere in the searched fields
+      const allWordsMatch = parsed.terms.every(word => {
+        let best = 0;
+        expand(word).forEach((weight, term) => {
+          fields.forEach(field => {
+            const { counts, length } = entry.fields[field];
+            const frequency = counts.get(term);
+            if (!frequency) return;
+            const saturation = (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * (length / averageLength[field])));
+            best = Math.max(best, weight * FIELD_WEIGHTS[field] * idf(term) * saturation);
+            terms.add(term);
+          });
+        });
+        score += best;
+        return best > 0;
+      });
+      if (!allWordsMatch) return;
+
+      const phrasesMatch = parsed.phrases.every(phrase => {
+        const needle = ` ${phrase.join(' ')} `;
+        const matched = fields.filter(field => entry.fields[field].words.includes(needle));
+        matched.forEach(field => { score += PHRASE_BONUS * phrase.length * FIELD_WEIGHTS[field]; });
+        return matched.length > 0;
+      });
+      if (!phrasesMatch) return;
+
+      results.set(path, { score, terms, phrases: parsed.phrases });
+    });
+    return results;
+  };
+
+  return { update, search };
+};
+
+// Split text into plain and highlighted parts for the words and phrases of a search match
+const highlightRanges = (text, match) => {
+  const tokens = tokenize(text);
+  const marked = tokens.map(token => match.terms.has(token.term));
+  match.phrases.forEach(phrase => {
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((term, offset) => tokens[i + offset].term === term)) {
+        phrase.forEach((term, offset) => { marked[i + offset] = true; });
+      }
+    }
+  });
+  return tokens.filter((token, index) => marked[index]);
+};
+
+const toSegments = (text, ranges, from = 0, to = text.length) => {
+  const segments = [];
+  let position = from;
+  ranges.filter(range => range.start >= from && range.end <= to).forEach(range => {
+    if (range.start > position) segments.push({ text: text.slice(position, range.start), highlight: false });
+    segments.push({ text: text.slice(range.start, range.end), highlight: true });
+    position = range.end;
+  });
+  if (position < to) segments.push({ text: text.slice(position, to), highlight: false });
+  return segments;
+};
+
+// The whole text as [{ text, highlight }] parts, e.g. for a note title
+export const highlightText = (text, match) => toSegments(text, match ? highlightRanges(text, match) : []);
+
+/**
+ * A window of about `length` characters around the densest cluster of matches, as
+ * [{ text, highlight }] parts with ellipses where the text was cut. Null when nothing matches.
+ */
+export const buildSnippet = (text, match, length = 160) => {
+  const ranges = highlightRanges(text, match);
+  if (ranges.length === 0) return null;
+
+  let best = 0;
+  let bestCount = 0;
+  ranges.forEach((range, index) => {
+    const count = ranges.slice(index).filter(other => other.end <= range.start + length).length;
+    if (count > bestCount) {
+      best = index;
+      bestCount = count;
+    }
+  });
+
+  // Start a little before the first match, at a word boundary
+  let from = Math.max(0, ranges[best].start - Math.round(length / 4));
+  if (from > 0) {
+    const space = text.indexOf(' ', from);
+    from = space === -1 || space >= ranges[best].start ? ranges[best].start : space + 1;
+  }
+  let to = Math.min(text.length, from + length);
+  if (to < text.length) {
+    const space = text.lastIndexOf(' ', to);
+    if (space > ranges[best].end) to = space;
+  }
+
+  const segments = toSegments(text, ranges, from, to);
+  if (from > 0) segments.unshift({ text: '…', highlight: false });
+  if (to < text.length) segments.push({ text: '…', highlight: false });
+  return segments;
+};
@@ -0,0 +1,119 @@
+import { buildSnippet, createSearchIndex, highlightText, isEmptyQuery, parseSearchQuery } from './search';
+
+const note = (path, title, body, { tags = [], created = '2024-05-01T10:00:00.000Z' } = {}) => ({
+  path,
+  name: path,
+  meta: { title, created },
+  tags,
+  body,
+  isLoaded: true
+});
+
+const notes = [
+  note('garden.md', 'Garden plans', 'Plant tomatoes and basil in May.', { tags: ['home', 'plans'] }),
+  note('kitchen.md', 'Kitchen', 'Paint the walls before the garden party.', { tags: ['home'], created: '2024-02-10T10:00:00.000Z' }),
+  note('work.md', 'Quarterly review', 'Prepare the slides about the garden project.', { tags: ['work'], created: '2023-12-01T10:00:00.000Z' })
+];
+
+const searchFor = (query, indexed = notes) => {
+  const index = createSearchIndex();
+  index.update(indexed);
+  return index.search(parseSearchQuery(query));
+};
+
+// Paths of the matching notes, best match first
+const ranked = (query, indexed) => [...searchFor(query, indexed)]
+  .sort(([, a], [, b]) => b.score - a.score)
+  .map(([path]) => path);
+
+describe('parseSearchQuery', () => {
+  it('splits words, phrases and qualifiers', () => {
+    expect(parseSearchQuery('Tomatoes "paint the walls" tag:#Home in:title before:2024-03')).toEqual({
+      terms: ['tomatoes'],
+      phrases: [['paint', 'the', 'walls']],
+      tags: ['home'],
+      field: 'title',
+      before: new Date(2024, 2, 1),
+      after: null
+    });
+  });
+
+  it('reads after: as after the whole day or month and searches unknown qualifiers as words', () => {
+    expect(parseSearchQuery('after:2024-01').after).toEqual(new Date(2024, 1, 1));
+    expect(parseSearchQuery('after:2024-01-31').after).toEqual(new Date(2024, 1, 1));
+    expect(parseSearchQuery('from:me in:nowhere').terms).toEqual(['from', 'me', 'in', 'nowhere']);
+    expect(isEmptyQuery(parseSearchQuery('  '))).toBe(true);
+    expect(isEmptyQuery(parseSearchQuery('tag:home'))).toBe(false);
+  });
+});
+
+describe('createSearchIndex', () => {
+  it('tolerates typos in longer words only', () => {
+    expect(ranked('tomatos')).toEqual(['garden.md']);
+    expect(ranked('tomtaoes')).toEqual(['garden.md']);
+    expect(ranked('quartrely reveiw')).toEqual(['work.md']);
+    expect(ranked('bazil')).toEqual(['garden.md']);
+    expect(ranked('may')).toEqual(['garden.md']);
+    expect(ranked('mat')).toEqual([]);
+  });
+
+  it('matches the start of longer words and needs every word to match', () => {
+    expect(ranked('tomat')).toEqual(['garden.md']);
+    expect(ranked('garden walls')).toEqual(['kitchen.md']);
+  });
+
+  it('ranks title matches above body matches', () => {
+    expect(ranked('garden')).toEqual(['garden.md', 'kitchen.md', 'work.md']);
+  });
+
+  it('searches only titles or bodies with in:', () => {
+    expect(ranked('garden in:title')).toEqual(['garden.md']);
+    expect(ranked('kitchen in:body')).toEqual([]);
+    expect(ranked('party in:content')).toEqual(['kitchen.md']);
+  });
+
+  it('filters by tags and creation dates', () => {
+    expect(ranked('tag:home').sort()).toEqual(['garden.md', 'kitchen.md']);
+    expect(ranked('garden tag:home tag:plans')).toEqual(['garden.md']);
+    expect(ranked('garden tag:missing')).toEqual([]);
+    expect(ranked('garden before:2024-01-01')).toEqual(['work.md']);
+    expect(ranked('garden after:2024-04')).toEqual(['garden.md']);
+  });
+
+  it('requires phrases to appear as written', () => {
+    expect(ranked('"before the garden"')).toEqual(['kitchen.md']);
+    expect(ranked('"the garden before"')).toEqual([]);
+  });
+
+  it('reindexes changed notes and drops removed ones', () => {
+    const index = createSearchIndex();
+    index.update(notes);
+    index.update([{ ...notes[0], body: 'Plant peppers.' }, notes[1]]);
+
+    expect([...index.search(parseSearchQuery('tomatoes')).keys()]).toEqual([]);
+    expect([...index.search(parseSearchQuery('peppers')).keys()]).toEqual(['garden.md']);
+    expect([...index.search(parseSearchQuery('slides')).keys()]).toEqual([]);
+  });
+});
+
+describe('highlighting', () => {
+  const matchFor = (query, path) => searchFor(query).get(path);
+
+  it('marks the matched words, including misspelled ones', () => {
+    expect(highlightText('Garden plans', matchFor('gardn', 'garden.md'))).toEqual([
+      { text: 'Garden', highlight: true },
+      { text: ' plans', highlight: false }
+    ]);
+  });
+
+  it('marks whole phrases and cuts long text around the matches', () => {
+    const text = `${'Lorem ipsum dolor sit amet. '.repeat(10)}Paint the walls before the party. ${'Sed do eiusmod tempor. '.repeat(10)}`;
+    const snippet = buildSnippet(text, { terms: new Set(), phrases: [['paint', 'the', 'walls']] }, 60);
+
+    expect(snippet[0]).toEqual({ text: '…', highlight: false });
+    expect(snippet[snippet.length - 1]).toEqual({ text: '…', highlight: false });
+    expect(snippet.filter(part => part.highlight).map(part => part.text)).toEqual(['Paint', 'the', 'walls']);
+    expect(snippet.map(part => part.text).join('').length).toBeLessThanOrEqual(62);
+    expect(buildSnippet(text, { terms: new Set(['missing']), phrases: [] })).toBeNull();
+  });
+});
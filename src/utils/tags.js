@@ -0,0 +1,116 @@
+import { parseFrontMatter, stringifyFrontMatter } from './frontMatter';
+
+// Hex colors such as #fff or #1e293b; four and eight digit ones need a digit so #cafe stays a tag
+const HEX_COLOR = '(?:[0-9a-f]{3}|[0-9a-f]{6}|(?=[0-9a-f]*\\d)(?:[0-9a-f]{4}|[0-9a-f]{8}))(?![\\w/-])';
+// #tag or #nested/tag, not preceded by a word character (so URLs and "C#" are ignored)
+const HASHTAG_PATTERN = new RegExp(`(^|[^\\w&/#])#(?!${HEX_COLOR})([A-Za-z][\\w-]*(?:\\/[\\w-]+)*)`, 'gi');
+// Text where a # is never a tag: fenced and inline code, and link targets such as [setup](#setup)
+const SKIPPED_PATTERN = /(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]*`|\]\([^)\s]*(?:\s+"[^"]*")?\))/;
+
+export const normalizeTag = (tag) => String(tag).trim().replace(/^#/, '').toLowerCase();
+
+// Apply a transform to the text that can hold hashtags, leaving code and link targets alone
+const mapTaggableText = (text, transform) => {
+  return text
+    .split(SKIPPED_PATTERN)
+    .map((part, index) => (index % 2 === 1 ? part : transform(part)))
+    .join('');
+};
+
+// Matches one specific inline hashtag, keeping the preceding character in group 1
+const hashtagPattern = (tag) => {
+  const escaped = tag.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  return new RegExp(`(^|[^\\w&/#])#(?!${HEX_COLOR})${escaped}(?![\\w/-])`, 'gi');
+};
+
+export const extractHashtags = (body) => {
+  const tags = new Set();
+  mapTaggableText(body, (part) => {
+    for (const match of part.matchAll(HASHTAG_PATTERN)) {
+      tags.add(normalizeTag(match[2]));
+    }
+    return part;
+  });
+  return Array.from(tags);
+};
+
+// Tags from front matter plus inline hashtags, lower-cased and de-duplicated
+export const collectNoteTags = (metaTags, body) => {
+  return Array.from(new Set([
+    ...metaTags.map(normalizeTag),
+    ...extractHashtags(body)
+  ])).filter(Boolean);
+};
+
+// Tag counts across notes, most used first
+export const countTags = (notes) => {
+  const counts = new Map();
+  notes.forEach(note => {
+    note.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+// 'and' requires every selected tag, 'or' any of them
+export const matchesTags = (noteTags, selectedTags, mode = 'and') => {
+  if (selectedTags.length === 0) return true;
+  return mode === 'or'
+    ? selectedTags.some(tag => noteTags.includes(tag))
+    : selectedTags.every(tag => noteTags.includes(tag));
+};
+
+// Front matter tags as written, whether a list or a comma separated string
+const readMetaTags = (data) => {
+  if (Array.isArray(data.tags)) return data.tags;
+  return typeof data.tags === 'string' ? data.tags.split(',') : [];
+};
+
+// Rename a tag in front matter and inline hashtags; renaming onto an existing tag merges them
+export const renameTagInContent = (content, fromTag, toTag) => {
+  const from = normalizeTag(fromTag);
+  const to = normalizeTag(toTag);
+  const { data, body } = parseFrontMatter(content);
+
+  const newBody = mapTaggableText(body, part => part.replace(hashtagPattern(from), `$1#${to}`));
+
+  let newData = data;
+  const metaTags = readMetaTags(data);
+  if (metaTags.some(tag => normalizeTag(tag) === from)) {
+    const renamed = metaTags.map(tag => (normalizeTag(tag) === from ? to : String(tag).trim()));
+    newData = { ...data, tags: Array.from(new Set(renamed.map(tag => tag.replace(/^#/, '')))) };
+  }
+
+  if (newData === data) {
+    // Keep the original front matter text untouched when only the body changed
+    return content.slice(0, content.length - body.length) + newBody;
+  }
+  return stringifyFrontMatter(newData, newBody);
+};
+
+// Add a tag to the front matter unless the note already has it
+export const addTagToContent = (content, tag) => {
+  const added = normalizeTag(tag);
+  const { data, body } = parseFrontMatter(content);
+  const metaTags = readMetaTags(data);
+  if (collectNoteTags(metaTags, body).includes(added)) return content;
+
+  const tags = [...metaTags.map(t => String(t).trim().replace(/^#/, '')).filter(Boolean), added];
+  return stringifyFrontMatter({ ...data, tags }, body);
+};
+
+// Remove a tag from the front matter; inline hashtags lose their # but keep the word, so sentences still read
+export const removeTagFromContent = (content, tag) => {
+  const removed = normalizeTag(tag);
+  const { data, body } = parseFrontMatter(content);
+
+  const newBody = mapTaggableText(body, part => part.replace(hashtagPattern(removed), (match, before) => before + match.slice(before.length + 1)));
+
+  const metaTags = readMetaTags(data);
+  if (!metaTags.some(t => normalizeTag(t) === removed)) {
+    return content.slice(0, content.length - body.length) + newBody;
+  }
+  const { tags: _tags, ...rest } = data;
+  const remaining = metaTags.filter(t => normalizeTag(t) !== removed).map(t => String(t).trim());
+  return stringifyFrontMatter(remaining.length > 0 ? { ...rest, tags: remaining } : rest, newBody);
+};
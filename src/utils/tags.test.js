@@ -0,0 +1,50 @@
+import { addTagToContent, collectNoteTags, extractHashtags, removeTagFromContent, renameTagInContent } from './tags';
+
+describe('extractHashtags', () => {
+  it('finds inline and nested hashtags, lower-cased and once each', () => {
+    expect(extractHashtags('#Work on #projects/kiara, then #work again.\n#home')).toEqual(['work', 'projects/kiara', 'home']);
+  });
+
+  it('ignores anchors, hex colors, URLs and headings', () => {
+    const body = '# Heading\nSee [setup](#setup) and [docs](https://example.com/#usage "Usage").\n' +
+      'Color #fff, #1e293b and #ffcc0080 but #cafe and #work. C# and https://example.com/#frag';
+    expect(extractHashtags(body)).toEqual(['cafe', 'work']);
+  });
+
+  it('ignores hashtags in inline and fenced code', () => {
+    const body = 'Use `#not-a-tag` here\n```\n#code\n```\n~~~css\n#tilde { color: red; }\n~~~\n#real';
+    expect(extractHashtags(body)).toEqual(['real']);
+  });
+});
+
+describe('collectNoteTags', () => {
+  it('combines front matter tags and hashtags', () => {
+    expect(collectNoteTags(['Work', '#home'], 'More #work and #later')).toEqual(['work', 'home', 'later']);
+  });
+});
+
+describe('renameTagInContent', () => {
+  it('renames front matter tags and hashtags, leaving code and link targets alone', () => {
+    const content = '---\ntags: [setup, home]\n---\nRead [setup](#setup) first. #setup `#setup` #setup-notes\n';
+    expect(renameTagInContent(content, 'setup', 'install'))
+      .toBe('---\ntags: [install, home]\n---\nRead [setup](#setup) first. #install `#setup` #setup-notes\n');
+  });
+
+  it('merges into an existing tag', () => {
+    expect(renameTagInContent('---\ntags: [a, b]\n---\n#A\n', 'a', 'b')).toBe('---\ntags: [b]\n---\n#b\n');
+  });
+
+  it('keeps the front matter text when only the body changes', () => {
+    const content = '---\ntags:\n  - home\n---\n#work\n';
+    expect(renameTagInContent(content, 'work', 'job')).toBe('---\ntags:\n  - home\n---\n#job\n');
+  });
+});
+
+describe('addTagToContent and removeTagFromContent', () => {
+  it('adds a tag once and removes it from front matter and text', () => {
+    const added = addTagToContent('# Note\n#work\n', 'home');
+    expect(added).toBe('---\ntags: [home]\n---\n# Note\n#work\n');
+    expect(addTagToContent(added, 'work')).toBe(added);
+    expect(removeTagFromContent('---\ntags: [home]\n---\n#home sweet #home\n', 'home')).toBe('home sweet home\n');
+  });
+});
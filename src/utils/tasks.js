@@ -0,0 +1,56 @@
+import { parseFrontMatter } from './frontMatter';
+
+// "- [ ] text", "* [x] text" or "1. [ ] text" at any indentation; the last group keeps a CRLF line's "\r"
+const TASK_PATTERN = /^(\s*(?:[-*+]|\d+[.)]) +\[)([ xX])\](?=\s|$)(.*?)(\r?)$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// Every checkbox in a note's content, with the line it is on (0-based, counting front matter)
+export const parseTasks = (note) => {
+  const content = note.content || '';
+  const { body } = parseFrontMatter(content);
+  const firstLine = content.slice(0, content.length - body.length).split('\n').length - 1;
+
+  const tasks = [];
+  let fence = null;
+  content.split('\n').forEach((line, index) => {
+    if (index < firstLine) return;
+    // Checkboxes inside code blocks are examples, not tasks
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+      return;
+    }
+    if (fence) return;
+
+    const match = line.match(TASK_PATTERN);
+    if (!match) return;
+    tasks.push({
+      id: `${note.path}:${index}`,
+      path: note.path,
+      line: index,
+      text: match[3].trim(),
+      done: match[2] !== ' ',
+      depth: match[1].match(/^\s*/)[0].length
+    });
+  });
+  return tasks;
+};
+
+// Tasks of all loaded notes, in note order
+export const collectTasks = (notes) => notes.filter(note => note.isLoaded).flatMap(parseTasks);
+
+// Tick or untick a task, finding it again by its text when lines were added above it since it
+// was listed. Returns the new content (unchanged when it already had that state), or null when
+// the task is gone.
+export const setTaskDone = (content, task, done) => {
+  const lines = content.split('\n');
+  const matches = parseTasks({ path: task.path, content })
+    .filter(candidate => candidate.text === task.text)
+    .sort((a, b) => Math.abs(a.line - task.line) - Math.abs(b.line - task.line));
+  if (matches.length === 0) return null;
+
+  const { line } = matches[0];
+  lines[line] = lines[line].replace(TASK_PATTERN, (_, start, __, rest, lineEnd) => `${start}${done ? 'x' : ' '}]${rest}${lineEnd}`);
+  return lines.join('\n');
+};
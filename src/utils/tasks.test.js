@@ -0,0 +1,45 @@
+import { collectTasks, parseTasks, setTaskDone } from './tasks';
+
+describe('parseTasks', () => {
+  it('finds open and done tasks with their lines and depth, outside code blocks', () => {
+    const content = '---\ntitle: Plans\n---\n- [ ] one\n  * [x] two\n1. [X] three\n```\n- [ ] example\n```\n- [] not a task\n';
+    expect(parseTasks({ path: 'a.md', content }).map(({ line, text, done, depth }) => ({ line, text, done, depth }))).toEqual([
+      { line: 3, text: 'one', done: false, depth: 0 },
+      { line: 4, text: 'two', done: true, depth: 2 },
+      { line: 5, text: 'three', done: true, depth: 0 }
+    ]);
+  });
+
+  it('reads notes with CRLF line endings', () => {
+    expect(parseTasks({ path: 'a.md', content: '- [ ] one\r\n- [x] two\r\n' }).map(task => [task.text, task.done]))
+      .toEqual([['one', false], ['two', true]]);
+  });
+});
+
+describe('collectTasks', () => {
+  it('only reads loaded notes', () => {
+    const notes = [{ path: 'a.md', content: '- [ ] a', isLoaded: true }, { path: 'b.md', content: null, isLoaded: false }];
+    expect(collectTasks(notes).map(task => task.id)).toEqual(['a.md:0']);
+  });
+});
+
+describe('setTaskDone', () => {
+  it('ticks and unticks a task', () => {
+    const content = '- [ ] one\n- [x] two\n';
+    const [one, two] = parseTasks({ path: 'a.md', content });
+    expect(setTaskDone(content, one, true)).toBe('- [x] one\n- [x] two\n');
+    expect(setTaskDone(content, two, false)).toBe('- [ ] one\n- [ ] two\n');
+  });
+
+  it('keeps CRLF line endings', () => {
+    const content = '- [ ] one\r\n- [ ] two\r\n';
+    const [, two] = parseTasks({ path: 'a.md', content });
+    expect(setTaskDone(content, two, true)).toBe('- [ ] one\r\n- [x] two\r\n');
+  });
+
+  it('finds a task again after lines were added above it, or reports it gone', () => {
+    const [task] = parseTasks({ path: 'a.md', content: '- [ ] one\n' });
+    expect(setTaskDone('New line\n- [ ] one\n', task, true)).toBe('New line\n- [x] one\n');
+    expect(setTaskDone('- [ ] other\n', task, true)).toBeNull();
+  });
+});
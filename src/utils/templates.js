@@ -0,0 +1,65 @@
+import { format } from 'date-fns';
+import { parseFrontMatter, stringifyFrontMatter } from './frontMatter';
+import { normalizeTags } from './noteMeta';
+import { getBaseName, isInFolder, joinPath, uniquePath } from './noteTree';
+import { slugify } from './repoConfig';
+
+// Note templates are Markdown files committed next to the repository config
+export const TEMPLATES_FOLDER = '.kiara/templates';
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+// Stands in for {{cursor}} while the other variables are filled in
+const CURSOR = '\u0000';
+
+// { path, sha, size, name } for every template in a repository listing, sorted by name
+export const listTemplates = (files) => {
+  return files
+    .filter(file => isInFolder(file.path, TEMPLATES_FOLDER) && /\.md$/i.test(file.path))
+    .map(file => ({ ...file, name: getBaseName(file.path).replace(/\.md$/i, '') }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Path for a new template called `name` that does not replace an existing one
+export const templatePathFor = (name, takenPaths = new Set()) => {
+  return uniquePath(joinPath(TEMPLATES_FOLDER, `${slugify(name)}.md`), takenPaths);
+};
+
+// Values for the template variables; `extra` adds or overrides some, e.g. { title, content } on import
+export const templateVariables = ({ user, repo, date = new Date(), ...extra } = {}) => ({
+  date: format(date, 'yyyy-MM-dd'),
+  time: format(date, 'HH:mm'),
+  weekday: format(date, 'EEEE'),
+  'user.login': user?.login || '',
+  'user.name': user?.name || user?.login || '',
+  repo: repo?.name || '',
+  ...extra
+});
+
+// Fill in {{variables}}; unknown ones are left as they are. The first {{cursor}} marks where the
+// caret goes and is removed, like any others.
+export const renderTemplate = (template, variables) => {
+  const marked = template.replace(VARIABLE_PATTERN, (match, name) => {
+    if (name === 'cursor') return CURSOR;
+    return Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match;
+  });
+  const cursor = marked.indexOf(CURSOR);
+  return {
+    content: marked.split(CURSOR).join(''),
+    cursor: cursor === -1 ? null : cursor
+  };
+};
+
+// Wrap existing note content in a template: the body goes where {{content}} is (or after the
+// template), and front matter from both is merged, the note's own values winning and tags combined
+export const applyTemplate = (template, content, variables) => {
+  const note = parseFrontMatter(content);
+  const source = /\{\{\s*content\s*\}\}/.test(template) ? template : `${template.replace(/\s*$/, '')}\n\n{{content}}`;
+  const rendered = parseFrontMatter(renderTemplate(source, { ...variables, content: note.body }).content);
+
+  const tags = Array.from(new Set([...normalizeTags(rendered.data.tags), ...normalizeTags(note.data.tags)]));
+  return stringifyFrontMatter({
+    ...rendered.data,
+    ...note.data,
+    tags: tags.length > 0 ? tags : undefined
+  }, rendered.body);
+};
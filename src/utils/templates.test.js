@@ -0,0 +1,53 @@
+import { applyTemplate, listTemplates, renderTemplate, templatePathFor, templateVariables } from './templates';
+
+const date = new Date(2024, 4, 1, 9, 30);
+const variables = templateVariables({ user: { login: 'jo' }, repo: { name: 'notes' }, date });
+
+describe('listTemplates', () => {
+  it('lists Markdown files in the templates folder by name', () => {
+    const files = [
+      { path: '.kiara/templates/weekly.md' },
+      { path: '.kiara/templates/daily.md' },
+      { path: '.kiara/templates/readme.txt' },
+      { path: 'notes/weekly.md' }
+    ];
+    expect(listTemplates(files).map(template => template.name)).toEqual(['daily', 'weekly']);
+  });
+});
+
+describe('templatePathFor', () => {
+  it('slugs the name and avoids taken paths', () => {
+    expect(templatePathFor('Meeting Notes')).toBe('.kiara/templates/meeting-notes.md');
+    expect(templatePathFor('Meeting Notes', new Set(['.kiara/templates/meeting-notes.md'])))
+      .not.toBe('.kiara/templates/meeting-notes.md');
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills in the variables', () => {
+    const { content } = renderTemplate('# {{ date }} ({{weekday}}, {{time}})\nBy {{user.login}} / {{user.name}} in {{repo}}', variables);
+    expect(content).toBe('# 2024-05-01 (Wednesday, 09:30)\nBy jo / jo in notes');
+  });
+
+  it('places the cursor at the first {{cursor}} and removes every one', () => {
+    expect(renderTemplate('# {{date}} {{cursor}}\n\n{{cursor}}', variables)).toEqual({ content: '# 2024-05-01 \n\n', cursor: 13 });
+    expect(renderTemplate('No cursor', variables)).toEqual({ content: 'No cursor', cursor: null });
+  });
+
+  it('leaves unknown variables as written', () => {
+    expect(renderTemplate('{{unknown}} and {{ user.email }}', variables).content).toBe('{{unknown}} and {{ user.email }}');
+  });
+});
+
+describe('applyTemplate', () => {
+  it('places the note where {{content}} is and merges the front matter', () => {
+    const template = '---\ntags: [meeting]\nstatus: draft\n---\n# {{title}}\n\n{{content}}\n\n---\nImported {{date}}\n';
+    const note = '---\ntags: [work]\nstatus: done\n---\nAgenda\n';
+    expect(applyTemplate(template, note, { ...variables, title: 'Plans' }))
+      .toBe('---\ntags: [meeting, work]\nstatus: done\n---\n# Plans\n\nAgenda\n\n\n---\nImported 2024-05-01\n');
+  });
+
+  it('adds the note after a template without {{content}}', () => {
+    expect(applyTemplate('# Log\n', 'Entry', variables)).toBe('# Log\n\nEntry');
+  });
+});
@@ -0,0 +1,44 @@
+import { isInFolder } from './noteTree';
+
+// Deleted notes are moved to `.trash/<deleted at>/<original path>`, so the path alone records
+// where a note came from and when it was deleted. Hidden folders are never listed as notes.
+export const TRASH_FOLDER = '.trash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 2026-01-31T09:15:00.000Z -> 2026-01-31T09-15-00-000Z, which is safe in a path
+const encodeDate = (date) => date.toISOString().replace(/[:.]/g, '-');
+
+const STAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+const decodeDate = (stamp) => {
+  const match = stamp.match(STAMP_PATTERN);
+  if (!match) return null;
+  const [, day, hours, minutes, seconds, millis] = match;
+  return new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+};
+
+export const trashPathFor = (path, date = new Date()) => `${TRASH_FOLDER}/${encodeDate(date)}/${path}`;
+
+// { path, sha, size, originalPath, deletedAt } for a file in the trash, null for anything else
+export const parseTrashFile = (file) => {
+  if (!isInFolder(file.path, TRASH_FOLDER)) return null;
+  const [, stamp, ...rest] = file.path.split('/');
+  const deletedAt = decodeDate(stamp);
+  if (!deletedAt || rest.length === 0) return null;
+  return { ...file, originalPath: rest.join('/'), deletedAt };
+};
+
+// Trashed notes, most recently deleted first
+export const listTrash = (files) => {
+  return files
+    .map(parseTrashFile)
+    .filter(Boolean)
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+// Trashed notes older than the retention period; a period of 0 keeps them forever
+export const findExpiredTrash = (entries, retentionDays, now = new Date()) => {
+  if (!retentionDays) return [];
+  return entries.filter(entry => now - entry.deletedAt > retentionDays * DAY_MS);
+};
@@ -0,0 +1,51 @@
+import { findExpiredTrash, listTrash, parseTrashFile, trashPathFor } from './trash';
+import { isNoteFile } from './repoConfig';
+
+const deletedAt = new Date('2026-01-31T09:15:00.000Z');
+
+describe('trash paths', () => {
+  it('records the original path and deletion time in the trash path', () => {
+    const path = trashPathFor('notes/work/plans.md', deletedAt);
+    expect(path).toBe('.trash/2026-01-31T09-15-00-000Z/notes/work/plans.md');
+    expect(parseTrashFile({ path, sha: 's1' })).toEqual({ path, sha: 's1', originalPath: 'notes/work/plans.md', deletedAt });
+  });
+
+  it('never lists trashed notes as notes', () => {
+    expect(isNoteFile(trashPathFor('gitnote-2024-05-01_10-00-00-000Z.md', deletedAt))).toBe(false);
+  });
+
+  it('ignores files outside the trash or without a deletion time', () => {
+    expect(parseTrashFile({ path: 'notes/plans.md' })).toBeNull();
+    expect(parseTrashFile({ path: '.trash/plans.md' })).toBeNull();
+    expect(parseTrashFile({ path: '.trash/yesterday/plans.md' })).toBeNull();
+    expect(parseTrashFile({ path: '.trash/2026-01-31T09-15-00-000Z' })).toBeNull();
+  });
+});
+
+describe('listTrash', () => {
+  it('lists trashed notes most recently deleted first', () => {
+    const files = [
+      { path: 'a.md' },
+      { path: trashPathFor('old.md', new Date('2026-01-01T00:00:00.000Z')) },
+      { path: trashPathFor('new.md', deletedAt) }
+    ];
+    expect(listTrash(files).map(entry => entry.originalPath)).toEqual(['new.md', 'old.md']);
+  });
+});
+
+describe('findExpiredTrash', () => {
+  const entries = listTrash([
+    { path: trashPathFor('old.md', new Date('2026-01-01T09:00:00.000Z')) },
+    { path: trashPathFor('recent.md', deletedAt) }
+  ]);
+  const now = new Date('2026-02-01T10:00:00.000Z');
+
+  it('finds notes deleted longer ago than the retention period', () => {
+    expect(findExpiredTrash(entries, 30, now).map(entry => entry.originalPath)).toEqual(['old.md']);
+    expect(findExpiredTrash(entries, 1, now).map(entry => entry.originalPath)).toEqual(['recent.md', 'old.md']);
+  });
+
+  it('keeps everything forever with a retention of 0', () => {
+    expect(findExpiredTrash(entries, 0, now)).toEqual([]);
+  });
+});
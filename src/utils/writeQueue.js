@@ -0,0 +1,138 @@
+import { gitBlobSha } from './contentCache';
+import { buildNote } from './noteMeta';
+
+// Writes made while GitHub cannot be reached, kept in this browser until they can be replayed.
+// Each entry becomes one commit: { id, message, queuedAt, status, error, changes }, where a change is
+// { path, content, encoding? } to write or { path, delete: true }. A change carrying the `sha` it was
+// based on only applies on top of that version, the same check an online save gets.
+
+const STORAGE_KEY = 'kiara-write-queue';
+
+export const loadAllQueues = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Throws when the browser runs out of storage, so callers can tell the user nothing was kept
+export const saveAllQueues = (queues) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(queues));
+};
+
+// Queued writes belong to the branch they would have been committed to
+export const getQueueKey = (repo, settings) => {
+  return `${repo.full_name}@${settings.prMode ? settings.workBranch : settings.branch}`;
+};
+
+// Fold a new change into one already queued for the same path, keeping the version it was based on
+const mergeChange = (queued, change) => {
+  if (change.delete) {
+    // Deleting a note that only exists in the queue just drops it
+    return queued.sha ? { path: queued.path, sha: queued.sha, delete: true } : null;
+  }
+  const { sha, ...write } = change;
+  return queued.sha ? { ...write, sha: queued.sha } : write;
+};
+
+// Add a write to the queue. Changes to paths that are already queued are merged into the
+// earlier entry so replaying never trips over our own edits; `busyId` is an entry being replayed.
+export const enqueueWrite = (entries, { changes, message }, { busyId, now = new Date() } = {}) => {
+  let remaining = changes;
+  const merged = entries
+    .map(entry => {
+      if (entry.id === busyId || !entry.changes.some(queued => remaining.some(change => change.path === queued.path))) {
+        return entry;
+      }
+      const nextChanges = entry.changes
+        .map(queued => {
+          const change = remaining.find(c => c.path === queued.path);
+          if (!change) return queued;
+          remaining = remaining.filter(c => c !== change);
+          return mergeChange(queued, change);
+        })
+        .filter(Boolean);
+      return { ...entry, changes: nextChanges };
+    })
+    .filter(entry => entry.changes.length > 0);
+
+  if (remaining.length === 0) return merged;
+  return [...merged, {
+    id: `${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    message,
+    queuedAt: now.toISOString(),
+    status: 'pending',
+    changes: remaining
+  }];
+};
+
+// Drop an entry that was committed; later changes based on the version it replaced now build on
+// the version it wrote, whose blob sha is given per path in `writtenShas`
+export const completeEntry = (entries, landed, writtenShas) => {
+  return entries
+    .filter(entry => entry.id !== landed.id)
+    .map(entry => ({
+      ...entry,
+      changes: entry.changes.map(change => {
+        const previous = landed.changes.find(c => c.path === change.path);
+        if (!previous || previous.delete || change.sha !== previous.sha || !writtenShas.has(change.path)) return change;
+        return { ...change, sha: writtenShas.get(change.path) };
+      })
+    }));
+};
+
+// Blob shas of the text files an entry wrote; empty where the browser cannot hash (insecure origins)
+export const getWrittenShas = async (entry) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return new Map();
+  const written = entry.changes.filter(change => !change.delete && !change.encoding);
+  return new Map(await Promise.all(written.map(async change => [change.path, await gitBlobSha(change.content)])));
+};
+
+export const markConflict = (entries, id, error) => {
+  return entries.map(entry => (entry.id === id ? { ...entry, status: 'conflict', error } : entry));
+};
+
+// Commit a write: single notes use the contents API and its sha check, anything larger is one
+// Git Data API commit after checking the shas up front
+export const applyWrite = async (noteStore, { changes, message }, options) => {
+  const [change] = changes;
+  if (changes.length === 1 && !change.encoding) {
+    if (change.delete) return noteStore.delete(change.path, change.sha, message);
+    if (change.sha) return noteStore.update(change.path, change.content, change.sha, message);
+    return noteStore.create(change.path, change.content, message);
+  }
+
+  // Bulk writes check every file against one listing instead of reading them one by one
+  const expected = changes.filter(c => c.sha);
+  const currentShas = expected.length > 1
+    ? new Map((await noteStore.list()).files.map(file => [file.path, file.sha]))
+    : new Map(await Promise.all(expected.map(async ({ path }) => [path, (await noteStore.read(path)).sha])));
+  const stale = expected.find(({ path, sha }) => currentShas.get(path) !== sha);
+  if (stale) {
+    const error = new Error(`${stale.path} does not match ${stale.sha}`);
+    error.status = 409;
+    throw error;
+  }
+  // The shas go along so the commit is checked again if the branch moves while it is made
+  return noteStore.commitChanges(changes, message, options);
+};
+
+// Notes as they will be once the queued writes land; queued notes are flagged for the list.
+// `isNote` tells notes apart from other text files written alongside them.
+export const applyQueuedWrites = (notes, entries, isNote = () => true) => {
+  const byPath = new Map(notes.map(note => [note.path, note]));
+  entries.forEach(entry => entry.changes.forEach(change => {
+    if (change.delete) {
+      byPath.delete(change.path);
+    } else if (!change.encoding && isNote(change.path)) {
+      byPath.set(change.path, {
+        ...buildNote({ path: change.path, sha: change.sha || null, size: change.content.length }, change.content),
+        isPending: true,
+        hasConflict: entry.status === 'conflict'
+      });
+    }
+  }));
+  return Array.from(byPath.values());
+};